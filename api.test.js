@@ -1,6 +1,10 @@
 import request from 'supertest';
 import {afterAll, beforeAll, beforeEach, describe, expect, it, jest} from '@jest/globals';
 import WebSocket from 'ws';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import mqtt from 'mqtt';
 
 // ==========================================
 // 1. SETUP ENVIRONNEMENT (AVANT IMPORTS)
@@ -18,21 +22,72 @@ process.env.API_BASE_URL = process.env.API_BASE_URL |"https://api.fake-database.
 // ==========================================
 global.fetch = jest.fn();
 
-jest.mock('mqtt', () => ({
-    connect: jest.fn(() => ({
+// Un seul faux client partagé : mqtt.connect() le renvoie aussi aux tests
+jest.mock('mqtt', () => {
+    const mockClient = {
         on: jest.fn(),
         subscribe: jest.fn(),
+        publish: jest.fn(),
         end: jest.fn(),
         emit: jest.fn()
-    }))
-}));
+    };
+    return { connect: jest.fn(() => mockClient) };
+});
 
 // ==========================================
 // 3. IMPORT DU SERVEUR
 // ==========================================
-import { app, server, wss, stopRetryTimer } from './server.js';
+import { app, server, wss, stopRetryTimer, sendToAide, checkEscalations, handleMqttMessage,
+    runDispenseScheduler, reloadSchedules, checkMissedDoses, flushOutbox, checkHeartbeats, checkCommandTimeouts,
+    checkStockForecasts, checkPendingNotifications, registerNotificationChannel, flushWebhooks,
+    compactAlertHistory, flushDeadLetters, checkShiftHandovers } from './server.js';
+import { createSmsChannel } from './notifications.js';
+import { verifyWebhookSignature } from './webhooks.js';
+import { openApiDocument } from './openapi.js';
+import { toOpenApiPath } from './validation.js';
 
 const API_KEY = process.env.API_KEY;
+const mqttClient = mqtt.connect();
+
+// Connexion via /api/auth/login avec un faux compte, renvoie le jeton d'accès
+async function loginAs(id, password, role) {
+    global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ mot_de_passe: password })
+    });
+    const res = await request(app).post('/api/auth/login').send({ id, password, role });
+    return res.body.accessToken;
+}
+
+// Patients renvoyés par la fausse API (liste partagée : le serveur la met en cache)
+const PATIENTS = [
+    { id_patient: 'patient_esc', fk_aide_soignant: 'aide_esc', fk_medecin_traitant: 'med_esc' },
+    { id_patient: 'patient_box', fk_aide_soignant: 'aide_box', fk_medecin_traitant: null },
+    { id_patient: 'patient_rbac', fk_aide_soignant: 'aide_rbac', fk_medecin_traitant: 'med_rbac' },
+    { id_patient: 'patient_cache', fk_aide_soignant: 'aide_cache', fk_medecin_traitant: null },
+    { id_patient: 'patient_team', fk_aide_soignant: 'aide_team_a', fk_medecin_traitant: null },
+];
+
+// Instant d'aujourd'hui (UTC) où il est hours:minutes dans SCHEDULE_TZ
+// (Asia/Kolkata, UTC+5:30, cf. jest.setup.js)
+function atScheduleTime(hours, minutes, seconds = 0) {
+    const at = new Date();
+    at.setUTCHours(hours, minutes - 330, seconds, 0);
+    return at;
+}
+
+function mockPatientsApi(prescriptions = []) {
+    global.fetch.mockImplementation(async (url) => ({
+        ok: true,
+        status: 200,
+        json: async () => {
+            if (String(url).endsWith('/patients')) return PATIENTS;
+            if (String(url).includes('/prescriptions/')) return prescriptions;
+            return {};
+        },
+        text: async () => "OK"
+    }));
+}
 
 describe('IoT Server Tests', () => {
 
@@ -128,6 +183,400 @@ describe('IoT Server Tests', () => {
             });
             expect(res.statusCode).toEqual(200);
             expect(res.body.success).toBe(true);
+            expect(res.body.accessToken).toBeDefined();
+            expect(res.body.refreshToken).toBeDefined();
+            expect(res.body.user.mot_de_passe).toBeUndefined();
+        });
+    });
+
+    describe('Protection contre la force brute', () => {
+        const attempt = (password) => request(app).post('/api/auth/login')
+            .send({ id: 'aide_brute', password, role: 'aidesoignants' });
+
+        it('devrait imposer un délai croissant entre deux échecs', async () => {
+            global.fetch.mockResolvedValue({ ok: true, json: async () => ({ mot_de_passe: 'bon' }) });
+            await attempt('mauvais');
+            await attempt('mauvais');
+            const res = await attempt('bon');
+            expect(res.statusCode).toEqual(429);
+            expect(res.headers['retry-after']).toBeDefined();
+        });
+
+        it('devrait verrouiller le compte puis le déverrouiller via l\'admin', async () => {
+            global.fetch.mockResolvedValue({ ok: true, json: async () => ({ mot_de_passe: 'bon' }) });
+            const start = Date.now();
+            const clock = jest.spyOn(Date, 'now');
+            try {
+                // Tentatives espacées d'une minute : seul le verrouillage peut bloquer
+                for (let i = 1; i <= 5; i++) {
+                    clock.mockReturnValue(start + i * 60_000);
+                    await attempt('mauvais');
+                }
+                clock.mockReturnValue(start + 6 * 60_000);
+                const locked = await attempt('bon');
+                expect(locked.statusCode).toEqual(429);
+                expect(locked.body.error).toMatch(/verrouillé/);
+
+                const lockouts = await request(app).get('/api/auth/lockouts').set('api_key', API_KEY);
+                expect(lockouts.body.lockouts.map(l => l.key)).toContain('account:aidesoignants/aide_brute');
+
+                const unlock = await request(app)
+                    .post('/api/auth/unlock')
+                    .set('api_key', API_KEY)
+                    .send({ role: 'aidesoignants', id: 'aide_brute' });
+                expect(unlock.body.unlocked).toBe(true);
+
+                const ok = await attempt('bon');
+                expect(ok.statusCode).toEqual(200);
+            } finally {
+                clock.mockRestore();
+            }
+        });
+    });
+
+    describe('Clients derrière un proxy', () => {
+        it('devrait compter les échecs par IP d\'origine et non par IP du proxy', async () => {
+            global.fetch.mockResolvedValue({ ok: true, json: async () => ({ mot_de_passe: 'bon' }) });
+            const from = (ip, id, password) => request(app).post('/api/auth/login')
+                .set('X-Forwarded-For', ip)
+                .send({ id, password, role: 'aidesoignants' });
+            for (let i = 0; i < 20; i++) {
+                await from('203.0.113.7', `aide_proxy_${i}`, 'mauvais');
+            }
+            expect((await from('203.0.113.7', 'aide_proxy_ok', 'bon')).statusCode).toEqual(429);
+            expect((await from('198.51.100.2', 'aide_proxy_ok', 'bon')).statusCode).toEqual(200);
+
+            const lockouts = await request(app).get('/api/auth/lockouts').set('api_key', API_KEY);
+            expect(lockouts.body.lockouts.map(l => l.key)).toContain('ip:203.0.113.7');
+            await request(app).post('/api/auth/unlock').set('api_key', API_KEY).send({ ip: '203.0.113.7' });
+        });
+    });
+
+    describe('Sessions par jeton', () => {
+        it('devrait accepter le jeton d\'accès sur une route protégée', async () => {
+            const token = await loginAs('aide_tok', 'pwd', 'aidesoignants');
+            const res = await request(app)
+                .get('/api/alerts/pending/aide_tok')
+                .set('Authorization', `Bearer ${token}`);
+            expect(res.statusCode).toEqual(200);
+        });
+
+        it('devrait faire tourner le jeton de rafraîchissement', async () => {
+            global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ mot_de_passe: 'pwd' }) });
+            const login = await request(app).post('/api/auth/login')
+                .send({ id: 'med_tok', password: 'pwd', role: 'medecins' });
+
+            const refreshed = await request(app).post('/api/auth/refresh')
+                .send({ refreshToken: login.body.refreshToken });
+            expect(refreshed.statusCode).toEqual(200);
+            expect(refreshed.body.refreshToken).not.toBe(login.body.refreshToken);
+
+            // L'ancien jeton est rejoué : refusé, et la session est révoquée
+            const replay = await request(app).post('/api/auth/refresh')
+                .send({ refreshToken: login.body.refreshToken });
+            expect(replay.statusCode).toEqual(401);
+            const afterReplay = await request(app).post('/api/auth/refresh')
+                .send({ refreshToken: refreshed.body.refreshToken });
+            expect(afterReplay.statusCode).toEqual(401);
+        });
+
+        it('devrait refuser le jeton après déconnexion', async () => {
+            const token = await loginAs('aide_out', 'pwd', 'aidesoignants');
+            const logout = await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${token}`);
+            expect(logout.statusCode).toEqual(200);
+
+            const res = await request(app)
+                .get('/api/alerts/pending/aide_out')
+                .set('Authorization', `Bearer ${token}`);
+            expect(res.statusCode).toEqual(401);
+        });
+    });
+
+    // ============================================
+    // TESTS CONTRÔLE D'ACCÈS PAR RÔLE
+    // ============================================
+    describe('Contrôle d\'accès par rôle', () => {
+        it('un aide ne voit que sa propre liste de patients', async () => {
+            const token = await loginAs('aide_rbac', 'pwd', 'aidesoignants');
+            mockPatientsApi();
+
+            const own = await request(app)
+                .get('/api/patients/of/aide_rbac')
+                .set('Authorization', `Bearer ${token}`);
+            expect(own.statusCode).toEqual(200);
+            expect(own.body.patients.map(p => p.id_patient)).toEqual(['patient_rbac']);
+
+            const other = await request(app)
+                .get('/api/patients/of/aide_box')
+                .set('Authorization', `Bearer ${token}`);
+            expect(other.statusCode).toEqual(403);
+        });
+
+        it('un aide ne peut supprimer que ses propres patients', async () => {
+            const token = await loginAs('aide_rbac', 'pwd', 'aidesoignants');
+            mockPatientsApi();
+
+            const other = await request(app)
+                .delete('/api/patients/patient_box')
+                .set('Authorization', `Bearer ${token}`);
+            expect(other.statusCode).toEqual(403);
+
+            const own = await request(app)
+                .delete('/api/patients/patient_rbac')
+                .set('Authorization', `Bearer ${token}`);
+            expect(own.statusCode).toEqual(200);
+        });
+
+        it('un patient ne lit que ses propres prescriptions', async () => {
+            const token = await loginAs('patient_rbac', 'pwd', 'patients');
+            mockPatientsApi([{ nom_medoc: 'Doliprane' }]);
+
+            const own = await request(app)
+                .get('/api/prescriptions/patient_rbac')
+                .set('Authorization', `Bearer ${token}`);
+            expect(own.statusCode).toEqual(200);
+
+            const other = await request(app)
+                .get('/api/prescriptions/patient_box')
+                .set('Authorization', `Bearer ${token}`);
+            expect(other.statusCode).toEqual(403);
+        });
+
+        it('seul le médecin peut créer une prescription, pas l\'aide', async () => {
+            const token = await loginAs('aide_rbac', 'pwd', 'aidesoignants');
+            const res = await request(app)
+                .post('/api/prescriptions')
+                .set('Authorization', `Bearer ${token}`)
+                .send({
+                    patientId: 'patient_rbac', nom_medoc: 'X', quantite_totale: 1, quantite_restante: 1, compartiment: 1
+                });
+            expect(res.statusCode).toEqual(403);
+        });
+
+        it('un médecin ne prescrit qu\'à ses patients suivis', async () => {
+            const token = await loginAs('med_esc', 'pwd', 'medecins');
+            mockPatientsApi();
+            const prescription = { nom_medoc: 'X', quantite_totale: 1, quantite_restante: 1, compartiment: 1 };
+
+            const other = await request(app)
+                .post('/api/prescriptions')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ ...prescription, patientId: 'patient_box' });
+            expect(other.statusCode).toEqual(403);
+
+            const own = await request(app)
+                .post('/api/prescriptions')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ ...prescription, patientId: 'patient_esc' });
+            expect(own.statusCode).toEqual(200);
+            const posted = global.fetch.mock.calls.filter(([, init]) => init?.method === 'POST');
+            expect(posted.map(([url]) => url)).toEqual(['https://api.fake-database.com/prescriptions/patient_esc']);
+        });
+
+        it('une alerte manuelle ne va qu\'à un aide du patient', async () => {
+            const token = await loginAs('med_esc', 'pwd', 'medecins');
+            mockPatientsApi();
+            const send = (body) => request(app)
+                .post('/api/send-alert')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ patientId: 'patient_esc', alertType: 'manual', ...body });
+
+            const stranger = await send({ aideId: 'aide_box' });
+            expect(stranger.statusCode).toEqual(400);
+            expect(stranger.body.details).toEqual([
+                { in: 'body', path: 'aideId', message: 'doit être un aide-soignant du patient' }
+            ]);
+            expect((await request(app).get('/api/alerts/pending/aide_box').set('api_key', API_KEY)).body.alerts
+                .filter((a) => a.alertType === 'manual')).toEqual([]);
+
+            expect((await send({ message: 'Contrôle tension' })).statusCode).toEqual(200);
+            const queued = (await request(app).get('/api/alerts/pending/aide_esc').set('api_key', API_KEY)).body.alerts;
+            expect(queued).toEqual(expect.arrayContaining([
+                expect.objectContaining({ patientId: 'patient_esc', alertType: 'manual', message: 'Contrôle tension' })
+            ]));
+        });
+
+        it('seul l\'aide du patient peut décompter le stock d\'un médicament', async () => {
+            const patientToken = await loginAs('patient_rbac', 'pwd', 'patients');
+            const refused = await request(app)
+                .patch('/api/medocs/m_rbac/distribute')
+                .set('Authorization', `Bearer ${patientToken}`)
+                .send({ quantite_distribuee: 1 });
+            expect(refused.statusCode).toEqual(403);
+
+            const token = await loginAs('aide_rbac', 'pwd', 'aidesoignants');
+            mockPatientsApi();
+            const patched = [];
+            global.fetch.mockImplementation(async (url, init = {}) => {
+                if (init.method === 'PATCH') patched.push(String(url));
+                return {
+                    ok: true,
+                    status: 200,
+                    json: async () => (String(url).endsWith('/patients')
+                        ? PATIENTS
+                        : { id_patient: 'patient_box', nom_medoc: 'Doliprane', quantite_restante: 5 }),
+                    text: async () => 'OK'
+                };
+            });
+            const other = await request(app)
+                .patch('/api/medocs/m_box/distribute')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ quantite_distribuee: 1 });
+            expect(other.statusCode).toEqual(403);
+            expect(patched).toEqual([]);
+        });
+
+        it('une distribution ne décompte que le stock du patient annoncé', async () => {
+            const token = await loginAs('aide_rbac', 'pwd', 'aidesoignants');
+            mockPatientsApi();
+            const patched = [];
+            global.fetch.mockImplementation(async (url, init = {}) => {
+                if (init.method === 'PATCH') patched.push(String(url));
+                return {
+                    ok: true,
+                    status: 200,
+                    json: async () => {
+                        const u = String(url);
+                        if (u.includes('/medocpatients/')) {
+                            return { id_patient: 'patient_box', nom_medoc: 'Doliprane', quantite_restante: 5 };
+                        }
+                        if (u.endsWith('/patients')) return PATIENTS;
+                        return PATIENTS.find((p) => u.endsWith(`/patients/${p.id_patient}`)) ?? {};
+                    },
+                    text: async () => 'OK'
+                };
+            });
+            // Son propre patient, mais le médicament d'un autre
+            const res = await request(app)
+                .post('/api/distributions')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ patientId: 'patient_rbac', medocId: 'm_box', quantite: 1 });
+            expect(res.statusCode).toEqual(409);
+            expect(patched).toEqual([]);
+        });
+
+        it('les routes de test sont réservées à la clé de service', async () => {
+            const token = await loginAs('med_rbac', 'pwd', 'medecins');
+            const res = await request(app)
+                .post('/api/test/send-alert')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ aideId: 'aide_rbac' });
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    // ============================================
+    // TESTS JOURNAL D'AUDIT
+    // ============================================
+    describe('Journal d\'audit', () => {
+        it('devrait tracer la suppression d\'un patient avec l\'auteur et l\'état avant', async () => {
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                json: async () => ({ id_patient: 'patient_audit', nomFamille: 'Dupont' })
+            });
+            await request(app).delete('/api/patients/patient_audit').set('api_key', API_KEY);
+
+            const res = await request(app)
+                .get('/api/audit?patientId=patient_audit&action=patient.delete')
+                .set('api_key', API_KEY);
+            expect(res.body.count).toBe(1);
+            expect(res.body.entries[0]).toMatchObject({
+                actor: { role: 'service' },
+                before: { nomFamille: 'Dupont' },
+                after: null
+            });
+        });
+
+        it('devrait rattacher une prescription à son patient', async () => {
+            await request(app)
+                .post('/api/prescriptions')
+                .set('api_key', API_KEY)
+                .send({ patientId: 'patient_audit', nom_medoc: 'Doliprane', quantite_totale: 10,
+                    quantite_restante: 10, compartiment: 1 });
+
+            const res = await request(app)
+                .get('/api/audit?patientId=patient_audit&action=prescription.create')
+                .set('api_key', API_KEY);
+            expect(res.body.count).toBe(1);
+            expect(res.body.entries[0].after).toMatchObject({ nom_medoc: 'Doliprane', compartiment: 1 });
+        });
+
+        it('devrait nommer l\'aide qui enregistre une distribution', async () => {
+            const token = await loginAs('aide_box', 'pwd', 'aidesoignants');
+            global.fetch.mockImplementation(async (url) => ({
+                ok: true,
+                status: 200,
+                json: async () => {
+                    const u = String(url);
+                    if (u.includes('/medocpatients/')) {
+                        return { id_patient: 'patient_box', nom_medoc: 'Doliprane', quantite_restante: 5 };
+                    }
+                    if (u.endsWith('/patients')) return PATIENTS;
+                    return PATIENTS.find((p) => u.endsWith(`/patients/${p.id_patient}`)) ?? {};
+                },
+                text: async () => 'OK'
+            }));
+            const res = await request(app)
+                .post('/api/distributions')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ patientId: 'patient_box', medocId: 'm_audit', quantite: 2 });
+            expect(res.statusCode).toEqual(200);
+
+            const audit = await request(app)
+                .get('/api/audit?patientId=patient_box&action=stock.distribute')
+                .set('api_key', API_KEY);
+            expect(audit.body.entries.at(-1)).toMatchObject({
+                actor: { userId: 'aide_box', role: 'aidesoignants' },
+                target: 'medoc:m_audit',
+                after: { quantite_restante: 3, quantite_distribuee: 2 }
+            });
+        });
+
+        it('devrait exporter le journal en CSV', async () => {
+            const res = await request(app)
+                .get('/api/audit/export?format=csv&patientId=patient_audit')
+                .set('api_key', API_KEY);
+            expect(res.headers['content-type']).toMatch(/text\/csv/);
+            const [header, row] = res.text.split('\n');
+            expect(header).toMatch(/^seq,at,actor_id/);
+            expect(row).toContain('patient.delete');
+        });
+
+        it('devrait détecter une altération du fichier', async () => {
+            const file = path.join(process.env.DATA_DIR, 'audit.jsonl');
+            const original = fs.readFileSync(file, 'utf8');
+            try {
+                // Ni AUDIT_SECRET ni SESSION_SECRET dans les tests : clé tirée au démarrage
+                expect((await request(app).get('/api/audit/verify').set('api_key', API_KEY)).body)
+                    .toMatchObject({ valid: true, keyed: false });
+
+                fs.writeFileSync(file, original.replace('Dupont', 'Durand'));
+                const res = await request(app).get('/api/audit/verify').set('api_key', API_KEY);
+                expect(res.body.valid).toBe(false);
+
+                // Chaîne recalculée sans la clé du serveur
+                let prevHash = null;
+                const rehashed = original.trim().split('\n').map((line) => {
+                    const { hash, ...content } = JSON.parse(line.replace('Dupont', 'Durand'));
+                    content.prevHash = prevHash;
+                    prevHash = crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+                    return JSON.stringify({ ...content, hash: prevHash });
+                });
+                fs.writeFileSync(file, rehashed.join('\n') + '\n');
+                expect((await request(app).get('/api/audit/verify').set('api_key', API_KEY)).body)
+                    .toMatchObject({ valid: false, brokenAt: 1 });
+
+                // Dernière entrée supprimée
+                const lines = original.trim().split('\n');
+                fs.writeFileSync(file, lines.slice(0, -1).join('\n') + '\n');
+                expect((await request(app).get('/api/audit/verify').set('api_key', API_KEY)).body)
+                    .toMatchObject({ valid: false, entries: lines.length - 1, brokenAt: lines.length });
+            } finally {
+                fs.writeFileSync(file, original);
+            }
         });
     });
 
@@ -154,6 +603,7 @@ describe('IoT Server Tests', () => {
                 .post('/api/prescriptions')
                 .set('api_key', API_KEY)
                 .send({
+                    patientId: 'patient_esc',
                     heure_distrib: '12:00',
                     nom_medoc: 'Doliprane',
                     quantite_totale: 10,
@@ -166,6 +616,1265 @@ describe('IoT Server Tests', () => {
         });
     });
 
+    describe('Appels à l\'API externe', () => {
+        it('GET /api/prescriptions/:patientId devrait transmettre l\'api_key', async () => {
+            global.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => [{ id: 1 }] });
+            const res = await request(app)
+                .get('/api/prescriptions/patient_x')
+                .set('api_key', API_KEY);
+
+            expect(res.statusCode).toEqual(200);
+            const [url, init] = global.fetch.mock.calls[0];
+            expect(url).toContain('/prescriptions/patient_x');
+            expect(init.headers.api_key).toBe(API_KEY);
+        });
+
+        it('devrait relayer un 404 de l\'API et convertir une panne réseau en 502', async () => {
+            global.fetch.mockResolvedValueOnce({ ok: false, status: 404, text: async () => 'absent' });
+            const notFound = await request(app)
+                .get('/api/prescriptions/inconnu')
+                .set('api_key', API_KEY);
+            expect(notFound.statusCode).toEqual(404);
+            expect(notFound.body).toMatchObject({ code: 'UPSTREAM_ERROR', upstreamStatus: 404 });
+
+            global.fetch.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+            const down = await request(app)
+                .post('/api/patients')
+                .set('api_key', API_KEY)
+                .send({ id_patient: 'box_42' });
+            expect(down.statusCode).toEqual(502);
+            expect(down.body.code).toBe('UPSTREAM_UNREACHABLE');
+        });
+    });
+
+    // ============================================
+    // TESTS FILE D'ALERTES PERSISTÉE
+    // ============================================
+    describe('GET /api/alerts/pending/:aideId', () => {
+        it('devrait conserver sur disque les alertes d\'un aide hors ligne', async () => {
+            await request(app)
+                .post('/api/test/send-alert')
+                .set('api_key', API_KEY)
+                .send({ aideId: 'aide_offline', patientId: 'patient_persist' });
+
+            const res = await request(app)
+                .get('/api/alerts/pending/aide_offline')
+                .set('api_key', API_KEY);
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.count).toBeGreaterThanOrEqual(1);
+            const alert = res.body.alerts.find(a => a.patientId === 'patient_persist');
+            expect(alert.alertId).toBeDefined();
+
+            const file = path.join(process.env.DATA_DIR, 'pending-alerts.json');
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            expect(saved.aide_offline.map(a => a.alertId)).toContain(alert.alertId);
+        });
+    });
+
+    // ============================================
+    // TESTS ESCALADE
+    // ============================================
+    describe('Escalade des alertes critiques', () => {
+        it('devrait escalader vers le médecin traitant sans ACK après le délai', async () => {
+            mockPatientsApi();
+            sendToAide('aide_esc', {
+                type: 'critical', patientId: 'patient_esc', alertType: 'plusmedoc', message: 'vide'
+            });
+
+            await checkEscalations(Date.now() + 11 * 60_000);
+
+            const res = await request(app)
+                .get('/api/alerts/pending/med_esc')
+                .set('api_key', API_KEY);
+            const alert = res.body.alerts.find(a => a.patientId === 'patient_esc');
+            expect(alert.escalation.level).toBe(2);
+            expect(alert.escalation.history.map(h => h.target)).toEqual(['aide_esc', 'med_esc']);
+        });
+
+        it('ne devrait pas escalader avant le délai', async () => {
+            mockPatientsApi();
+            sendToAide('aide_esc_2', {
+                type: 'critical', patientId: 'patient_esc', alertType: 'plusmedoc', message: 'vide'
+            });
+
+            await checkEscalations();
+
+            const res = await request(app)
+                .get('/api/alerts/pending/aide_esc_2')
+                .set('api_key', API_KEY);
+            expect(res.body.alerts[0].escalation.level).toBe(0);
+        });
+    });
+
+    // ============================================
+    // TESTS INCIDENTS DE MAINTENANCE
+    // ============================================
+    describe('Incidents de maintenance', () => {
+        it('devrait regrouper les pannes répétées d\'une box dans un seul incident', async () => {
+            mockPatientsApi();
+            await handleMqttMessage('alert/box/patient_box/mecanic', Buffer.from('moteur bloqué'));
+            await handleMqttMessage('alert/box/patient_box/mecanic', Buffer.from('moteur bloqué'));
+
+            const res = await request(app)
+                .get('/api/incidents?boxId=patient_box&status=open')
+                .set('api_key', API_KEY);
+            expect(res.body.count).toBe(1);
+            expect(res.body.incidents[0].occurrences).toBe(2);
+            expect(res.body.incidents[0].aideId).toBe('aide_box');
+
+            const pending = await request(app)
+                .get('/api/alerts/pending/aide_box')
+                .set('api_key', API_KEY);
+            expect(pending.body.alerts.filter(a => a.type === 'maintenance')).toHaveLength(1);
+        });
+
+        it('devrait assigner puis résoudre un incident', async () => {
+            const list = await request(app)
+                .get('/api/incidents?boxId=patient_box')
+                .set('api_key', API_KEY);
+            const { incidentId } = list.body.incidents[0];
+
+            const assigned = await request(app)
+                .patch(`/api/incidents/${incidentId}/assign`)
+                .set('api_key', API_KEY)
+                .send({ aideId: 'aide_maintenance' });
+            expect(assigned.body.incident.status).toBe('assigned');
+
+            const resolved = await request(app)
+                .patch(`/api/incidents/${incidentId}/resolve`)
+                .set('api_key', API_KEY)
+                .send({ resolution: 'moteur remplacé' });
+            expect(resolved.body.incident.status).toBe('resolved');
+
+            const again = await request(app)
+                .patch(`/api/incidents/${incidentId}/resolve`)
+                .set('api_key', API_KEY);
+            expect(again.statusCode).toEqual(409);
+        });
+    });
+
+    // ============================================
+    // TESTS RÉPONSES MQTT AUX BOX
+    // ============================================
+    describe('Requêtes MQTT getprescription / getmedocs', () => {
+        const lastReply = () => {
+            const [topic, body] = mqttClient.publish.mock.calls.at(-1);
+            return { topic, body: JSON.parse(body) };
+        };
+
+        it('devrait publier les prescriptions avec le correlationId de la requête', async () => {
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                json: async () => [{ nom_medoc: 'Doliprane', compartiment: 1 }]
+            });
+
+            await handleMqttMessage(
+                'alert/box/patient_box/getprescription',
+                Buffer.from(JSON.stringify({ correlationId: 'req-42' }))
+            );
+
+            const { topic, body } = lastReply();
+            expect(topic).toBe('alert/box/patient_box/response/getprescription');
+            expect(body.correlationId).toBe('req-42');
+            expect(body.ok).toBe(true);
+            expect(body.data[0].nom_medoc).toBe('Doliprane');
+        });
+
+        it('devrait répondre une erreur structurée EMPTY pour une liste vide', async () => {
+            global.fetch.mockResolvedValue({ ok: false, status: 404, json: async () => ({}) });
+
+            await handleMqttMessage('alert/box/patient_box/getmedocs', Buffer.from('req-43'));
+
+            const { topic, body } = lastReply();
+            expect(topic).toBe('alert/box/patient_box/response/getmedocs');
+            expect(body).toMatchObject({ correlationId: 'req-43', ok: false, error: { code: 'EMPTY' } });
+        });
+
+        it('devrait répondre UPSTREAM_ERROR si l\'API échoue', async () => {
+            global.fetch.mockResolvedValue({ ok: false, status: 503, json: async () => ({}) });
+
+            await handleMqttMessage('alert/box/patient_box/getmedocs', Buffer.from('req-44'));
+
+            expect(lastReply().body.error).toMatchObject({ code: 'UPSTREAM_ERROR', status: 503 });
+        });
+    });
+
+    // ============================================
+    // TESTS PLANIFICATEUR DE DISTRIBUTION
+    // ============================================
+    describe('Planificateur de distribution', () => {
+        const PRESCRIPTIONS = [
+            { id_prescription: 1, heure_distrib: '08:00', compartiment: 1, nom_medoc: 'Doliprane' },
+            { id_prescription: 2, heure_distrib: '20:30:00', compartiment: 2, nom_medoc: 'Kardegic' },
+        ];
+
+        it('devrait exposer les prochaines prises d\'un patient', async () => {
+            global.fetch.mockResolvedValue({ ok: true, status: 200, json: async () => PRESCRIPTIONS });
+
+            const res = await request(app)
+                .get('/api/schedule/patient_sched')
+                .set('api_key', API_KEY);
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.doses).toHaveLength(2);
+            expect(res.body.doses.map(d => d.nom_medoc).sort()).toEqual(['Doliprane', 'Kardegic']);
+            // Heures de SCHEDULE_TZ (UTC+5:30) : 08:00 -> 02:30Z, 20:30 -> 15:00Z
+            const nextAt = Object.fromEntries(res.body.doses.map(d => [d.nom_medoc, d.nextAt]));
+            expect(nextAt.Doliprane).toMatch(/T02:30:00\.000Z$/);
+            expect(nextAt.Kardegic).toMatch(/T15:00:00\.000Z$/);
+            for (const at of Object.values(nextAt)) {
+                expect(Date.parse(at) - Date.now()).toBeGreaterThan(0);
+                expect(Date.parse(at) - Date.now()).toBeLessThanOrEqual(86_400_000);
+            }
+        });
+
+        it('devrait publier une seule commande de distribution à l\'heure prévue', () => {
+            // 8:00 à l'heure du planning, 2:30 UTC pour le processus
+            const at8 = atScheduleTime(8, 0, 10);
+
+            runDispenseScheduler(at8);
+            runDispenseScheduler(new Date(at8.getTime() + 20_000));
+
+            const calls = mqttClient.publish.mock.calls
+                .filter(([topic]) => topic === 'alert/box/patient_sched/cmd/dispense');
+            expect(calls).toHaveLength(1);
+            expect(JSON.parse(calls[0][1])).toMatchObject({ command: 'dispense', compartiment: 1 });
+            // Conservée pour un redémarrage dans la même minute
+            const fired = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'fired-doses.json'), 'utf8'));
+            expect(fired.keys).toContain('patient_sched|1|08:00');
+        });
+
+        it('devrait recharger le seul planning du patient après une prescription', async () => {
+            mockPatientsApi(PRESCRIPTIONS);
+            await request(app)
+                .post('/api/prescriptions')
+                .set('api_key', API_KEY)
+                .send({ patientId: 'patient_sched', nom_medoc: 'Kardegic', quantite_totale: 30,
+                    quantite_restante: 30, compartiment: 2, heure_distrib: '20:30' });
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            const reloads = global.fetch.mock.calls
+                .filter(([url, init]) => String(url).includes('/prescriptions/') && init?.method !== 'POST');
+            expect(reloads.map(([url]) => url)).toEqual(['https://api.fake-database.com/prescriptions/patient_sched']);
+        });
+    });
+
+    // ============================================
+    // TESTS PRISES MANQUÉES
+    // ============================================
+    describe('Détection des prises manquées', () => {
+        it('devrait signaler en "late" la prise non délivrée dans le délai de grâce', async () => {
+            mockPatientsApi([
+                { heure_distrib: '09:15', compartiment: 1, nom_medoc: 'Doliprane' },
+                { heure_distrib: '09:15', compartiment: 2, nom_medoc: 'Kardegic' },
+            ]);
+            await reloadSchedules('patient_box');
+
+            const at = atScheduleTime(9, 15);
+            runDispenseScheduler(at);
+
+            // Prises attendues conservées sur disque
+            const expectedOnDisk = () => JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'expected-doses.json'), 'utf8'))
+                .filter((d) => d.heure_distrib === '09:15')
+                .map((d) => d.compartiment);
+            expect(expectedOnDisk()).toEqual([1, 2]);
+
+            // Seul le compartiment 1 est délivré par la box
+            await handleMqttMessage('alert/box/patient_box/delivery', Buffer.from(JSON.stringify({
+                heure_distrib: '09:15', nom_medoc: 'Doliprane', quantite_totale: 10,
+                quantite_restante: 9, compartiment: 1
+            })));
+
+            expect(expectedOnDisk()).toEqual([2]);
+            await checkMissedDoses(at.getTime() + 31 * 60_000);
+            expect(expectedOnDisk()).toEqual([]);
+
+            const res = await request(app)
+                .get('/api/missed-doses/patient_box')
+                .set('api_key', API_KEY);
+            expect(res.body.count).toBe(1);
+            expect(res.body.missedDoses[0]).toMatchObject({ nom_medoc: 'Kardegic', compartiment: 2 });
+
+            const pending = await request(app)
+                .get('/api/alerts/pending/aide_box')
+                .set('api_key', API_KEY);
+            const late = pending.body.alerts.filter(a => a.alertType === 'late');
+            expect(late).toHaveLength(1);
+            expect(late[0].dose.nom_medoc).toBe('Kardegic');
+        });
+
+        it('devrait oublier les prises manquées au-delà de la rétention', async () => {
+            const missed = async () => (await request(app)
+                .get('/api/missed-doses/patient_box')
+                .set('api_key', API_KEY)).body.count;
+            expect(await missed()).toBeGreaterThan(0);
+
+            // Rétention de 90 jours par défaut
+            await checkMissedDoses(Date.now() + 89 * 86_400_000);
+            expect(await missed()).toBeGreaterThan(0);
+            await checkMissedDoses(Date.now() + 91 * 86_400_000);
+            expect(await missed()).toBe(0);
+            const onDisk = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'missed-doses.json'), 'utf8'));
+            expect(onDisk.filter((d) => d.patientId === 'patient_box')).toEqual([]);
+        });
+    });
+
+    // ============================================
+    // TESTS OUTBOX
+    // ============================================
+    describe('Outbox des écritures vers l\'API', () => {
+        it('devrait garder les livraisons pendant une panne puis les rejouer dans l\'ordre', async () => {
+            const synced = [];
+            let apiDown = true;
+            global.fetch.mockImplementation(async (url, init = {}) => {
+                if (init.method === 'POST') {
+                    if (apiDown) throw new Error('ECONNREFUSED');
+                    synced.push(JSON.parse(init.body));
+                    return { ok: true, status: 201, json: async () => ({}) };
+                }
+                return { ok: true, status: 200, json: async () => PATIENTS };
+            });
+            const delivery = (restant) => Buffer.from(JSON.stringify({
+                heure_distrib: '08:00', nom_medoc: 'Doliprane', quantite_totale: 10,
+                quantite_restante: restant, compartiment: 1
+            }));
+
+            await handleMqttMessage('alert/box/patient_box/delivery', delivery(9));
+            await handleMqttMessage('alert/box/patient_box/delivery', delivery(8));
+
+            let res = await request(app).get('/api/outbox').set('api_key', API_KEY);
+            expect(res.body.pending).toBe(2);
+            expect(res.body.entries.map(e => e.body.quantite_restante)).toEqual([9, 8]);
+            const metrics = await request(app).get('/metrics');
+            expect(metrics.text).toContain('outbox_entries{status="pending"} 2');
+
+            apiDown = false;
+            await flushOutbox(Date.now() + 60_000);
+            expect(synced.map(d => d.quantite_restante)).toEqual([9, 8]);
+            res = await request(app).get('/api/outbox').set('api_key', API_KEY);
+            expect(res.body).toMatchObject({ pending: 0, failed: 0, entries: [] });
+        });
+    });
+
+    // ============================================
+    // TESTS CACHE PATIENTS
+    // ============================================
+    describe('Cache des patients', () => {
+        const pendingCount = async (aideId) => (await request(app)
+            .get(`/api/alerts/pending/${aideId}`)
+            .set('api_key', API_KEY)).body.count;
+        const stockAlert = (patientId) =>
+            handleMqttMessage(`alert/box/${patientId}/seuilmedoc`, Buffer.from('stock bas'));
+
+        it('devrait lire seul un patient absent de la liste', async () => {
+            const urls = [];
+            global.fetch.mockImplementation(async (url) => {
+                urls.push(String(url));
+                if (String(url).endsWith('/patients/patient_new')) {
+                    return { ok: true, status: 200, json: async () => ({ id_patient: 'patient_new', fk_aide_soignant: 'aide_new' }) };
+                }
+                return { ok: true, status: 200, json: async () => PATIENTS };
+            });
+
+            await stockAlert('patient_new');
+            await stockAlert('patient_new');
+            expect(await pendingCount('aide_new')).toBe(2);
+            expect(urls.filter(u => u.endsWith('/patients/patient_new'))).toHaveLength(1);
+        });
+
+        it('devrait servir la liste en cache si l\'API échoue au rechargement', async () => {
+            mockPatientsApi();
+            await stockAlert('patient_cache');
+            const before = await pendingCount('aide_cache');
+
+            global.fetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({ error: 'db down' }) });
+            const realNow = Date.now();
+            const clock = jest.spyOn(Date, 'now').mockReturnValue(realNow + 60_000);
+            try {
+                await stockAlert('patient_cache');
+                await new Promise(r => setTimeout(r, 20));
+            } finally {
+                clock.mockRestore();
+            }
+            expect(await pendingCount('aide_cache')).toBe(before + 1);
+        });
+
+        it('devrait invalider le patient supprimé par la passerelle', async () => {
+            let deleted = false;
+            const urls = [];
+            global.fetch.mockImplementation(async (url, init = {}) => {
+                urls.push(`${init.method} ${url}`);
+                if (String(url).endsWith('/patients/patient_cache')) {
+                    if (init.method === 'DELETE') return { ok: true, status: 204, json: async () => null };
+                    return deleted
+                        ? { ok: false, status: 404, text: async () => 'absent' }
+                        : { ok: true, status: 200, json: async () => PATIENTS[3] };
+                }
+                return { ok: true, status: 200, json: async () => PATIENTS };
+            });
+            await stockAlert('patient_cache');
+            const before = await pendingCount('aide_cache');
+
+            const res = await request(app)
+                .delete('/api/patients/patient_cache')
+                .set('api_key', API_KEY);
+            expect(res.statusCode).toEqual(200);
+            urls.length = 0;
+            deleted = true;
+
+            await stockAlert('patient_cache');
+            expect(urls).toEqual([expect.stringMatching(/^GET .*\/patients\/patient_cache$/)]);
+            expect(await pendingCount('aide_cache')).toBe(before);
+        });
+    });
+
+    // ============================================
+    // TESTS REGISTRE DES BOX
+    // ============================================
+    describe('Registre des box', () => {
+        const pendingCount = async (aideId) => (await request(app)
+            .get(`/api/alerts/pending/${aideId}`)
+            .set('api_key', API_KEY)).body.count;
+
+        it('devrait provisionner une box et router ses messages vers son patient', async () => {
+            mockPatientsApi();
+            const res = await request(app)
+                .post('/api/devices')
+                .set('api_key', API_KEY)
+                .send({ deviceId: 'HW-001', patientId: 'patient_esc', firmwareVersion: '1.4.2' });
+            expect(res.statusCode).toEqual(201);
+            expect(res.body).toMatchObject({ status: 'active', patientId: 'patient_esc', lastSeenAt: null });
+
+            const conflict = await request(app)
+                .post('/api/devices')
+                .set('api_key', API_KEY)
+                .send({ deviceId: 'HW-002', patientId: 'patient_esc' });
+            expect(conflict.statusCode).toEqual(409);
+
+            const before = await pendingCount('aide_esc');
+            await handleMqttMessage('alert/box/HW-001/seuilmedoc', Buffer.from('stock bas'));
+            expect(await pendingCount('aide_esc')).toBe(before + 1);
+
+            const status = await request(app)
+                .get('/api/device/HW-001/status')
+                .set('api_key', API_KEY);
+            expect(status.statusCode).toEqual(200);
+            expect(status.body.device).toMatchObject({ firmwareVersion: '1.4.2', lastTopic: 'alert/box/HW-001/seuilmedoc' });
+            expect(status.body.device.lastSeenAt).not.toBeNull();
+        });
+
+        it('devrait réaffecter puis retirer une box, dont les messages sont alors ignorés', async () => {
+            mockPatientsApi();
+            await handleMqttMessage('alert/box/HW-001/heartbeat', Buffer.from(''));
+            const reassigned = await request(app)
+                .patch('/api/devices/HW-001/assign')
+                .set('api_key', API_KEY)
+                .send({ patientId: 'patient_box' });
+            expect(reassigned.statusCode).toEqual(200);
+            expect(reassigned.body.device.assignments.map(a => a.patientId)).toEqual(['patient_esc', 'patient_box']);
+
+            const beforeBox = await pendingCount('aide_box');
+            await handleMqttMessage('alert/box/HW-001/seuilmedoc', Buffer.from('stock bas'));
+            expect(await pendingCount('aide_box')).toBe(beforeBox + 1);
+
+            // La surveillance suit la box chez son nouveau patient
+            await checkHeartbeats(Date.now() + 4 * 60_000);
+            const offline = async () => (await request(app)
+                .get('/api/alerts/pending/aide_box')
+                .set('api_key', API_KEY)).body.alerts.filter(a => a.alertType === 'offline');
+            expect(await offline()).toEqual([expect.objectContaining({ boxId: 'HW-001', patientId: 'patient_box' })]);
+
+            const retired = await request(app)
+                .patch('/api/devices/HW-001/decommission')
+                .set('api_key', API_KEY);
+            expect(retired.body.device.status).toBe('decommissioned');
+            expect(await offline()).toEqual([]);
+            expect((await request(app).get('/api/device/HW-001/status').set('api_key', API_KEY)).body.liveness)
+                .toMatchObject({ status: 'unknown', monitored: false });
+
+            await handleMqttMessage('alert/box/HW-001/seuilmedoc', Buffer.from('stock bas'));
+            expect(await pendingCount('aide_box')).toBe(beforeBox + 1);
+            await checkHeartbeats(Date.now() + 10 * 60_000);
+            expect(await offline()).toEqual([]);
+            const metrics = await request(app).get('/metrics');
+            expect(metrics.text).toContain('mqtt_messages_rejected_total{reason="decommissioned"} 1');
+            // Mode warn : les box hors registre sont traitées, pas rejetées
+            expect(metrics.text).not.toContain('mqtt_messages_rejected_total{reason="unknown_device"}');
+            expect(metrics.text).toMatch(/mqtt_messages_unregistered_total [1-9]/);
+        });
+    });
+
+    // ============================================
+    // TESTS HEARTBEAT
+    // ============================================
+    describe('Surveillance des heartbeats', () => {
+        it('devrait alerter quand une box se tait puis résoudre l\'alerte à son retour', async () => {
+            mockPatientsApi();
+            const pending = async () => (await request(app)
+                .get('/api/alerts/pending/aide_box')
+                .set('api_key', API_KEY)).body.alerts.filter(a => a.alertType === 'offline');
+            const status = async () => (await request(app)
+                .get('/api/device/patient_box/status')
+                .set('api_key', API_KEY)).body.liveness;
+
+            await handleMqttMessage('alert/box/patient_box/heartbeat', Buffer.from('{"rssi": -61}'));
+            expect(await status()).toMatchObject({ status: 'online', monitored: true, report: { rssi: -61 } });
+
+            // 3 heartbeats manqués (intervalle de 60 s par défaut)
+            await checkHeartbeats(Date.now() + 4 * 60_000);
+            expect(await status()).toMatchObject({ status: 'offline' });
+            const alerts = await pending();
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0]).toMatchObject({ type: 'maintenance', boxId: 'patient_box' });
+
+            // Une seule alerte tant que la box reste hors ligne
+            await checkHeartbeats(Date.now() + 10 * 60_000);
+            expect(await pending()).toHaveLength(1);
+
+            await handleMqttMessage('alert/box/patient_box/heartbeat', Buffer.from(''));
+            expect(await status()).toMatchObject({ status: 'online', offlineSince: null });
+            expect(await pending()).toHaveLength(0);
+        });
+    });
+
+    // ============================================
+    // TESTS PRÉVISION DES STOCKS
+    // ============================================
+    describe('Prévision d\'épuisement des stocks', () => {
+        const forecastOf = async (nom) => (await request(app)
+            .get('/api/device/patient_cache/status')
+            .set('api_key', API_KEY)).body.forecast.find(f => f.nom_medoc === nom);
+
+        it('devrait prévoir l\'épuisement à partir de la consommation observée et prévenir l\'aide', async () => {
+            mockPatientsApi();
+            const t0 = Date.now();
+            const deliverAt = async (days, restant) => {
+                const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(t0 + days * 86_400_000);
+                await handleMqttMessage('alert/box/patient_cache/delivery', Buffer.from(JSON.stringify({
+                    nom_medoc: 'Levothyrox', quantite_totale: 30, quantite_restante: restant, compartiment: 3
+                })));
+                nowSpy.mockRestore();
+            };
+            await deliverAt(0, 20);
+            await deliverAt(1, 18);
+
+            expect(await forecastOf('Levothyrox')).toMatchObject({
+                compartiment: 3, quantite_restante: 18, basis: 'observed', observedPerDay: 2, daysUntilEmpty: 9, warning: false
+            });
+
+            // 16 comprimés en 2 jours : 4 restants, épuisés dans une demi-journée
+            await deliverAt(2, 4);
+            await checkStockForecasts(t0 + 2 * 86_400_000);
+            await checkStockForecasts(t0 + 2 * 86_400_000);
+
+            const pending = await request(app)
+                .get('/api/alerts/pending/aide_cache')
+                .set('api_key', API_KEY);
+            const warnings = pending.body.alerts.filter(a => a.alertType === 'stock_forecast');
+            expect(warnings).toHaveLength(1);
+            expect(warnings[0].forecast).toMatchObject({ nom_medoc: 'Levothyrox', daysUntilEmpty: 0.5 });
+        });
+
+        it('devrait se baser sur les prescriptions sans historique de consommation', async () => {
+            global.fetch.mockImplementation(async (url) => ({
+                ok: true,
+                status: 200,
+                json: async () => {
+                    const u = String(url);
+                    if (u.endsWith('/patients')) return PATIENTS;
+                    if (u.endsWith('/patients/patient_cache')) return PATIENTS[3];
+                    if (u.includes('/prescriptions/')) {
+                        return [
+                            { heure_distrib: '08:00', compartiment: 4, nom_medoc: 'Kardegic' },
+                            { heure_distrib: '20:00', compartiment: 4, nom_medoc: 'Kardegic' },
+                        ];
+                    }
+                    if (u.includes('/medocpatients/')) return [{ nom_medoc: 'Kardegic', quantite_restante: 10 }];
+                    return {};
+                }
+            }));
+            await reloadSchedules('patient_cache');
+
+            expect(await forecastOf('Kardegic')).toMatchObject({
+                quantite_restante: 10, basis: 'prescription', prescribedPerDay: 2, observedPerDay: null, daysUntilEmpty: 5
+            });
+        });
+
+        it('devrait suivre un médicament prescrit sans relevé en décomptant le temps écoulé', async () => {
+            mockPatientsApi([
+                { heure_distrib: '08:00', compartiment: 6, nom_medoc: 'Xarelto', quantite_restante: 8 },
+                { heure_distrib: '20:00', compartiment: 6, nom_medoc: 'Xarelto', quantite_restante: 8 },
+            ]);
+            await reloadSchedules('patient_cache');
+            const warnings = async () => (await request(app)
+                .get('/api/alerts/pending/aide_cache')
+                .set('api_key', API_KEY)).body.alerts
+                .filter(a => a.alertType === 'stock_forecast' && a.forecast.nom_medoc === 'Xarelto');
+
+            // 8 comprimés à 2 par jour : 4 jours, au-delà du seuil de 3 jours
+            const t0 = Date.now();
+            await checkStockForecasts(t0);
+            expect(await warnings()).toHaveLength(0);
+
+            // Un jour et demi plus tard, sans nouveau relevé : 2,5 jours restants
+            await checkStockForecasts(t0 + 1.5 * 86_400_000);
+            const [warning] = await warnings();
+            expect(warning.forecast).toMatchObject({
+                compartiment: 6, quantite_restante: 8, basis: 'prescription', daysUntilEmpty: 2.5,
+                emptyAt: new Date(t0 + 4 * 86_400_000).toISOString()
+            });
+        });
+    });
+
+    // ============================================
+    // TESTS COMMANDES À DISTANCE
+    // ============================================
+    describe('Commandes à distance vers les box', () => {
+        const sendCommand = (body) => request(app)
+            .post('/api/device/patient_box/commands')
+            .set('api_key', API_KEY)
+            .send(body);
+        const commandStatus = async (commandId) => (await request(app)
+            .get(`/api/device/patient_box/commands/${commandId}`)
+            .set('api_key', API_KEY)).body.status;
+        const ack = (body) => handleMqttMessage('alert/box/patient_box/cmdack', Buffer.from(JSON.stringify(body)));
+
+        it('devrait publier la commande puis enregistrer l\'accusé de réception de la box', async () => {
+            mockPatientsApi();
+            const res = await sendCommand({ command: 'dispense', params: { compartiment: 2 } });
+            expect(res.statusCode).toEqual(202);
+            expect(res.body).toMatchObject({ status: 'sent', command: 'dispense', patientId: 'patient_box' });
+
+            const [topic, body] = mqttClient.publish.mock.calls.at(-1);
+            expect(topic).toBe('alert/box/patient_box/cmd/dispense');
+            expect(JSON.parse(body)).toMatchObject({ commandId: res.body.commandId, command: 'dispense', compartiment: 2 });
+
+            await ack({ commandId: res.body.commandId, ok: true });
+            expect(await commandStatus(res.body.commandId)).toBe('acknowledged');
+        });
+
+        it('devrait passer en failed sur refus de la box et en timed_out sans réponse', async () => {
+            mockPatientsApi();
+            const refill = await sendCommand({ command: 'open_compartment', params: { compartiment: 1 } });
+            const reboot = await sendCommand({ command: 'reboot' });
+
+            await ack({ commandId: refill.body.commandId, ok: false, error: 'trappe bloquée' });
+            checkCommandTimeouts(Date.now() + 61_000);
+
+            expect(await commandStatus(refill.body.commandId)).toBe('failed');
+            expect(await commandStatus(reboot.body.commandId)).toBe('timed_out');
+            const list = await request(app)
+                .get('/api/device/patient_box/commands?status=failed')
+                .set('api_key', API_KEY);
+            expect(list.body.commands[0]).toMatchObject({ command: 'open_compartment', error: 'trappe bloquée' });
+        });
+
+        it('devrait refuser une commande invalide ou hors périmètre', async () => {
+            mockPatientsApi();
+            expect((await sendCommand({ command: 'format' })).statusCode).toEqual(400);
+            const missing = await sendCommand({ command: 'dispense', params: {} });
+            expect(missing.statusCode).toEqual(400);
+            expect(missing.body).toMatchObject({
+                code: 'VALIDATION_ERROR',
+                details: [{ in: 'body', path: 'params.compartiment', message: 'requis' }]
+            });
+
+            const token = await loginAs('aide_rbac', 'pw', 'aidesoignants');
+            const forbidden = await request(app)
+                .post('/api/device/patient_box/commands')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ command: 'reboot' });
+            expect(forbidden.statusCode).toEqual(403);
+        });
+    });
+
+    // ============================================
+    // TESTS RECHARGES
+    // ============================================
+    describe('Recharge des compartiments', () => {
+        const patches = [];
+        beforeEach(() => {
+            patches.length = 0;
+            global.fetch.mockImplementation(async (url, init = {}) => {
+                const u = String(url);
+                if (init.method === 'PATCH') patches.push({ url: u, body: JSON.parse(init.body) });
+                return {
+                    ok: true,
+                    status: 200,
+                    json: async () => {
+                        if (u.endsWith('/patients')) return PATIENTS;
+                        if (u.endsWith('/medocpatients/id/m1')) {
+                            return { id_patient: 'patient_box', nom_medoc: 'Doliprane', quantite_restante: 2 };
+                        }
+                        if (u.endsWith('/medocpatients/id/m2')) {
+                            return { id_patient: 'patient_esc', nom_medoc: 'Kardegic', quantite_restante: 5 };
+                        }
+                        if (u.endsWith('/medocpatients/id/m3')) {
+                            return { id_patient: 'patient_box', nom_medoc: 'Fer', quantite_restante: 1 };
+                        }
+                        if (u.endsWith('/medocpatients/id/m4')) {
+                            return { nom_medoc: 'Orphelin', quantite_restante: 1 };
+                        }
+                        return {};
+                    }
+                };
+            });
+        });
+
+        it('devrait mettre à jour le stock, lever les alertes du médicament et prévenir la box', async () => {
+            await handleMqttMessage('alert/box/patient_box/seuilmedoc', Buffer.from('Doliprane presque vide'));
+            await handleMqttMessage('alert/box/patient_box/plusmedoc', Buffer.from('compartiment 5 vide'));
+            const stockAlerts = async () => (await request(app)
+                .get('/api/alerts/pending/aide_box')
+                .set('api_key', API_KEY)).body.alerts
+                .filter(a => ['seuilmedoc', 'plusmedoc'].includes(a.alertType))
+                .map(a => a.message);
+            expect(await stockAlerts()).toEqual(expect.arrayContaining(['Doliprane presque vide', 'compartiment 5 vide']));
+
+            const res = await request(app)
+                .post('/api/device/patient_box/refills')
+                .set('api_key', API_KEY)
+                .send({ medocId: 'm1', compartiment: 1, quantite_ajoutee: 10 });
+            expect(res.statusCode).toEqual(201);
+            expect(res.body).toMatchObject({ nom_medoc: 'Doliprane', before: 2, after: 12 });
+            expect(res.body.resolvedAlerts.length).toBeGreaterThanOrEqual(1);
+
+            expect(patches).toEqual([{ url: 'https://api.fake-database.com/medocpatients/m1', body: { quantite_restante: 12 } }]);
+            const [topic, body] = mqttClient.publish.mock.calls.at(-1);
+            expect(topic).toBe('alert/box/patient_box/cmd/refill');
+            expect(JSON.parse(body)).toMatchObject({ command: 'refill', compartiment: 1, quantite_restante: 12 });
+
+            const remaining = await stockAlerts();
+            expect(remaining).not.toContain('Doliprane presque vide');
+            expect(remaining).toContain('compartiment 5 vide');
+
+            const history = await request(app)
+                .get('/api/refills/patient_box')
+                .set('api_key', API_KEY);
+            expect(history.body.count).toBe(1);
+            expect(history.body.refills[0].commandId).toBe(res.body.commandId);
+        });
+
+        it('ne devrait lever que les alertes qui nomment le médicament en entier', async () => {
+            const messages = ['Fervex presque vide', 'Échantillon offert épuisé', 'Fer presque vide', 'compartiment 4 : Fer vide'];
+            for (const message of messages) {
+                await handleMqttMessage('alert/box/patient_box/seuilmedoc', Buffer.from(message));
+            }
+            const res = await request(app)
+                .post('/api/device/patient_box/refills')
+                .set('api_key', API_KEY)
+                .send({ medocId: 'm3', compartiment: 2, quantite_ajoutee: 10 });
+            expect(res.statusCode).toEqual(201);
+
+            const remaining = (await request(app)
+                .get('/api/alerts/pending/aide_box')
+                .set('api_key', API_KEY)).body.alerts
+                .filter(a => a.alertType === 'seuilmedoc')
+                .map(a => a.message);
+            expect(remaining).toEqual(expect.arrayContaining(['Fervex presque vide', 'Échantillon offert épuisé', 'compartiment 4 : Fer vide']));
+            expect(remaining).not.toContain('Fer presque vide');
+        });
+
+        it('devrait refuser une recharge invalide ou d\'un médicament d\'un autre patient', async () => {
+            const send = (body) => request(app)
+                .post('/api/device/patient_box/refills')
+                .set('api_key', API_KEY)
+                .send(body);
+            const invalid = await send({ medocId: 'm1', compartiment: 1, quantite_ajoutee: 0 });
+            expect(invalid.statusCode).toEqual(400);
+            expect(invalid.body.details).toEqual([
+                { in: 'body', path: 'quantite_ajoutee', message: 'doit être supérieur ou égal à 1' }
+            ]);
+
+            expect((await send({ medocId: 'm2', compartiment: 1, quantite_ajoutee: 5 })).statusCode).toEqual(409);
+            // Médicament sans patient connu
+            expect((await send({ medocId: 'm4', compartiment: 1, quantite_ajoutee: 5 })).statusCode).toEqual(409);
+            expect(patches).toHaveLength(0);
+        });
+    });
+
+    // ============================================
+    // TESTS VALIDATION MQTT
+    // ============================================
+    describe('Validation des messages MQTT', () => {
+        const posts = () => global.fetch.mock.calls.filter(([, init]) => init?.method === 'POST');
+        const deadLetters = async (query) => (await request(app)
+            .get('/api/mqtt/dead-letters')
+            .query(query)
+            .set('api_key', API_KEY)).body;
+
+        it('devrait rejeter une livraison incomplète sans rien écrire vers l\'API', async () => {
+            mockPatientsApi();
+            mqttClient.publish.mockClear();
+
+            await handleMqttMessage('alert/box/patient_box/delivery', Buffer.from(JSON.stringify({
+                nom_medoc: 'Doliprane', quantite_totale: 10, compartiment: '1'
+            })));
+
+            expect(posts()).toHaveLength(0);
+            const [topic, body] = mqttClient.publish.mock.calls.at(-1);
+            expect(topic).toBe('alert/deadletter/patient_box/delivery');
+            expect(JSON.parse(body).reason).toBe('invalid_payload');
+
+            const res = await deadLetters({ boxId: 'patient_box', alertType: 'delivery' });
+            expect(res.count).toBe(1);
+            expect(res.entries[0].errors).toEqual([
+                { path: 'quantite_restante', message: 'requis' },
+                { path: 'compartiment', message: 'doit être de type integer' },
+            ]);
+        });
+
+        it('devrait mettre de côté le JSON illisible et les types inconnus', async () => {
+            mockPatientsApi();
+            await handleMqttMessage('alert/box/patient_box/delivery', Buffer.from('{nom_medoc:'));
+            await handleMqttMessage('alert/box/patient_box/reboot', Buffer.from('now'));
+
+            expect((await deadLetters({ reason: 'invalid_json' })).count).toBe(1);
+            expect((await deadLetters({ reason: 'unknown_type' })).entries[0].alertType).toBe('reboot');
+            const metrics = await request(app).get('/metrics');
+            expect(metrics.text).toContain('mqtt_dead_letters_total{alertType="unknown",reason="unknown_type"} 1');
+            expect(metrics.text).toMatch(/mqtt_messages_received_total\{alertType="unknown"\} \d+/);
+            expect(metrics.text).not.toContain('alertType="reboot"');
+
+            const forbidden = await request(app)
+                .get('/api/mqtt/dead-letters')
+                .set('Authorization', `Bearer ${await loginAs('aide_box', 'pw', 'aidesoignants')}`);
+            expect(forbidden.status).toBe(403);
+        });
+
+        it('devrait écrire les messages rejetés sur disque par lot', async () => {
+            const file = path.join(process.env.DATA_DIR, 'dead-letters.json');
+            flushDeadLetters();
+            const onDisk = () => JSON.parse(fs.readFileSync(file, 'utf8')).filter((e) => e.boxId === 'box_rafale');
+            const writes = jest.spyOn(fs, 'writeFileSync');
+            try {
+                for (let i = 0; i < 20; i++) {
+                    await handleMqttMessage('alert/box/box_rafale/delivery', Buffer.from(`{rafale ${i}`));
+                }
+                expect(writes).not.toHaveBeenCalled();
+                expect((await deadLetters({ boxId: 'box_rafale' })).count).toBe(20);
+
+                flushDeadLetters();
+                expect(writes).toHaveBeenCalledTimes(1);
+                expect(onDisk()).toHaveLength(20);
+            } finally {
+                writes.mockRestore();
+            }
+        });
+
+        it('devrait accepter un stock restant à 0', async () => {
+            mockPatientsApi();
+            await handleMqttMessage('alert/box/patient_box/delivery', Buffer.from(JSON.stringify({
+                nom_medoc: 'Doliprane', quantite_totale: 10, quantite_restante: 0, compartiment: 1
+            })));
+
+            expect(posts()).toHaveLength(1);
+            expect(JSON.parse(posts()[0][1].body)).toMatchObject({ quantite_restante: 0, heure_distrib: null });
+        });
+
+        it('devrait créer le patient d\'une nouvelle box avec l\'id du topic', async () => {
+            mockPatientsApi();
+            await handleMqttMessage('alert/box/box_neuve/createclient', Buffer.from('{"prenom": "Jeanne"}'));
+
+            const [url, init] = posts()[0];
+            expect(url).toBe('https://api.fake-database.com/patients');
+            expect(JSON.parse(init.body)).toMatchObject({ id_patient: 'box_neuve', prenom: 'Jeanne', nomFamille: 'default' });
+        });
+    });
+
+    describe('Notifications des aides hors ligne', () => {
+        const SMS_URL = 'https://sms.example/send';
+        const smsCalls = () => global.fetch.mock.calls.filter(([url]) => url === SMS_URL);
+        const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+        const putPreferences = (userId, body, auth = ['api_key', API_KEY]) => request(app)
+            .put(`/api/notifications/preferences/${userId}`)
+            .set(...auth)
+            .send(body);
+
+        beforeAll(() => {
+            registerNotificationChannel(createSmsChannel({ url: SMS_URL, token: 'sms-token' }));
+        });
+
+        it('devrait envoyer un SMS dès une alerte critique pour un aide hors ligne', async () => {
+            const token = await loginAs('aide_notif', 'pw', 'aidesoignants');
+            const auth = ['Authorization', `Bearer ${token}`];
+            const missing = await putPreferences('aide_notif', { channels: ['sms'] }, auth);
+            expect(missing.statusCode).toEqual(400);
+            expect(missing.body.details).toEqual([
+                { in: 'body', path: 'phone', message: 'requis pour le canal sms' }
+            ]);
+            const internal = await putPreferences('aide_notif', {
+                channels: ['push'], pushSubscription: { endpoint: 'https://10.0.0.5/admin' }
+            }, auth);
+            expect(internal.body.details).toEqual([
+                { in: 'body', path: 'pushSubscription.endpoint', message: 'doit être l\'adresse d\'un service push connu' }
+            ]);
+            const saved = await putPreferences('aide_notif', { channels: ['sms'], phone: '+33612345678' }, auth);
+            expect(saved.body.preferences).toMatchObject({ channels: ['sms'], types: ['critical', 'maintenance'] });
+            expect((await putPreferences('aide_box', { channels: [] }, auth)).statusCode).toEqual(403);
+
+            expect(sendToAide('aide_notif', {
+                type: 'critical', patientId: 'patient_x', alertType: 'plusmedoc', message: 'Compartiment 2 vide'
+            })).toBe(false);
+            sendToAide('aide_notif', { type: 'info', patientId: 'patient_x', alertType: 'delivery' });
+            await settle();
+
+            expect(smsCalls()).toHaveLength(1);
+            const [, init] = smsCalls()[0];
+            expect(init.headers.Authorization).toBe('Bearer sms-token');
+            const sms = JSON.parse(init.body);
+            expect(sms.to).toBe('+33612345678');
+            expect(sms.text).toContain('[critical] plusmedoc - patient patient_x');
+            expect(sms.text).toContain('Compartiment 2 vide');
+
+            const log = await request(app).get('/api/notifications/log?userId=aide_notif').set('api_key', API_KEY);
+            expect(log.body.count).toBe(1);
+            expect(log.body.entries[0]).toMatchObject({
+                reason: 'offline', alertType: 'plusmedoc', results: [{ channel: 'sms', ok: true }]
+            });
+        });
+
+        it('devrait notifier une seule fois une alerte restée sans ACK', async () => {
+            sendToAide('aide_notif_ack', { type: 'maintenance', patientId: 'patient_x', alertType: 'mecanic' });
+            await settle();
+            expect(smsCalls()).toHaveLength(0);
+
+            await putPreferences('aide_notif_ack', { channels: ['sms', 'email'], phone: '0612345678', email: 'a@b.fr' });
+            await checkPendingNotifications(Date.now() + 60_000);
+            expect(smsCalls()).toHaveLength(0);
+            await checkPendingNotifications(Date.now() + 6 * 60_000);
+            await checkPendingNotifications(Date.now() + 12 * 60_000);
+
+            // Le canal email n'est pas configuré : seul le SMS part
+            expect(smsCalls()).toHaveLength(1);
+            const log = await request(app).get('/api/notifications/log?reason=ack_timeout').set('api_key', API_KEY);
+            expect(log.body.entries).toEqual([
+                expect.objectContaining({ userId: 'aide_notif_ack', results: [{ channel: 'sms', ok: true }] })
+            ]);
+        });
+
+        it('devrait rapporter l\'échec de la passerelle lors d\'un envoi d\'essai', async () => {
+            global.fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+            const res = await request(app)
+                .post('/api/notifications/preferences/aide_notif/test')
+                .set('api_key', API_KEY);
+            expect(res.body.results).toEqual([{ channel: 'sms', ok: false, error: 'Passerelle SMS: HTTP 503' }]);
+
+            const metrics = await request(app).get('/metrics');
+            expect(metrics.text).toContain('notifications_sent_total{channel="sms",outcome="failed"} 1');
+            expect((await request(app)
+                .delete('/api/notifications/preferences/aide_notif')
+                .set('api_key', API_KEY)).statusCode).toEqual(200);
+        });
+    });
+
+    describe('Équipes de soins et gardes', () => {
+        const HOUR = 3_600_000;
+        const iso = (ms) => new Date(ms).toISOString();
+        const pending = async (aideId) => (await request(app)
+            .get(`/api/alerts/pending/${aideId}`)
+            .set('api_key', API_KEY)).body.alerts;
+        let teamId;
+
+        it('devrait router les alertes d\'un patient vers le membre de garde', async () => {
+            mockPatientsApi();
+            const created = await request(app).post('/api/teams').set('api_key', API_KEY).send({
+                name: 'Équipe nuit', members: ['aide_team_a', 'aide_team_b'], patientIds: ['patient_team']
+            });
+            expect(created.statusCode).toEqual(201);
+            teamId = created.body.teamId;
+            expect((await request(app).post('/api/teams').set('api_key', API_KEY)
+                .send({ name: 'Doublon', patientIds: ['patient_team'] })).statusCode).toEqual(409);
+
+            const token = await loginAs('aide_team_b', 'pw', 'aidesoignants');
+            const auth = ['Authorization', `Bearer ${token}`];
+            expect((await request(app).get(`/api/teams/${teamId}`).set(...auth)).body.name).toBe('Équipe nuit');
+            expect((await request(app).post('/api/teams').set(...auth).send({ name: 'x' })).statusCode).toEqual(403);
+
+            const now = Date.now();
+            const addShift = (body) => request(app)
+                .post(`/api/teams/${teamId}/shifts`)
+                .set('api_key', API_KEY)
+                .send(body);
+            expect((await addShift({ aideId: 'intrus', start: iso(now), end: iso(now + HOUR) })).body.details)
+                .toEqual([{ in: 'body', path: 'aideId', message: 'doit être membre de l\'équipe' }]);
+            expect((await addShift({ aideId: 'aide_team_b', start: iso(now), end: iso(now - HOUR) })).statusCode)
+                .toEqual(400);
+            const shift = await addShift({ aideId: 'aide_team_b', start: iso(now - HOUR), end: iso(now + HOUR) });
+            expect(shift.statusCode).toEqual(201);
+            expect((await addShift({ aideId: 'aide_team_b', start: iso(now), end: iso(now + 2 * HOUR) })).statusCode)
+                .toEqual(409);
+
+            const duty = await request(app).get('/api/on-duty?patientId=patient_team').set(...auth);
+            expect(duty.body).toMatchObject({
+                patientId: 'patient_team',
+                aideId: 'aide_team_b',
+                teams: [{ teamId, onDuty: [{ aideId: 'aide_team_b', shiftId: shift.body.shiftId }] }]
+            });
+
+            await handleMqttMessage('alert/box/patient_team/plusmedoc', Buffer.from('compartiment 1 vide'));
+            expect(await pending('aide_team_b')).toEqual([
+                expect.objectContaining({ patientId: 'patient_team', alertType: 'plusmedoc' })
+            ]);
+            expect(await pending('aide_team_a')).toEqual([]);
+            // Un membre de l'équipe accède aux patients de l'équipe
+            expect((await request(app).get('/api/missed-doses/patient_team').set(...auth)).statusCode).toEqual(200);
+        });
+
+        it('ne devrait montrer une équipe et ses gardes qu\'à qui suit ses patients', async () => {
+            mockPatientsApi();
+            const outsider = ['Authorization', `Bearer ${await loginAs('aide_box', 'pw', 'aidesoignants')}`];
+            const teamIds = async (auth) => (await request(app).get('/api/teams').set(...auth)).body.teams
+                .map((t) => t.teamId);
+            expect(await teamIds(outsider)).not.toContain(teamId);
+            expect((await request(app).get(`/api/teams/${teamId}`).set(...outsider)).statusCode).toEqual(403);
+            expect((await request(app).get(`/api/teams/${teamId}/shifts`).set(...outsider)).statusCode).toEqual(403);
+            expect((await request(app).get('/api/on-duty?patientId=patient_team').set(...outsider)).statusCode)
+                .toEqual(403);
+            expect((await request(app).get(`/api/on-duty?teamId=${teamId}`).set(...outsider)).body.teams).toEqual([]);
+
+            // aide_team_a, aide référent du patient, et le service voient l'équipe
+            const member = ['Authorization', `Bearer ${await loginAs('aide_team_a', 'pw', 'aidesoignants')}`];
+            expect(await teamIds(member)).toContain(teamId);
+            expect(await teamIds(['api_key', API_KEY])).toContain(teamId);
+        });
+
+        it('devrait transmettre les alertes en attente au changement de garde', async () => {
+            mockPatientsApi();
+            const now = Date.now();
+            await request(app).post(`/api/teams/${teamId}/shifts`).set('api_key', API_KEY)
+                .send({ aideId: 'aide_team_a', start: iso(now + HOUR), end: iso(now + 3 * HOUR) });
+            const [alert] = await pending('aide_team_b');
+
+            expect(await checkShiftHandovers(now + 30 * 60_000)).toEqual([]);
+            const handed = await checkShiftHandovers(now + 2 * HOUR);
+            expect(handed).toEqual([{ alertId: alert.alertId, from: 'aide_team_b', to: 'aide_team_a' }]);
+            expect(await pending('aide_team_b')).toEqual([]);
+            expect((await pending('aide_team_a'))[0]).toMatchObject({
+                alertId: alert.alertId,
+                handovers: [{ from: 'aide_team_b', to: 'aide_team_a', at: iso(now + 2 * HOUR) }]
+            });
+            expect(await checkShiftHandovers(now + 2 * HOUR)).toEqual([]);
+
+            const metrics = await request(app).get('/metrics');
+            expect(metrics.text).toContain('alert_handovers_total 1');
+            const shifts = await request(app)
+                .get(`/api/teams/${teamId}/shifts?from=${iso(now + 90 * 60_000)}`)
+                .set('api_key', API_KEY);
+            expect(shifts.body.shifts.map((s) => s.aideId)).toEqual(['aide_team_a']);
+
+            expect((await request(app).delete(`/api/teams/${teamId}`).set('api_key', API_KEY)).statusCode)
+                .toEqual(200);
+            expect((await request(app).get(`/api/on-duty?teamId=${teamId}`).set('api_key', API_KEY)).body.teams)
+                .toEqual([]);
+        });
+    });
+
+    describe('Webhooks sortants', () => {
+        const HOOK_URL = 'https://pharmacie.example/hooks';
+        const hookCalls = () => global.fetch.mock.calls.filter(([url]) => url === HOOK_URL);
+        const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+        const subscribe = (body, auth = ['api_key', API_KEY]) => request(app)
+            .post('/api/webhooks')
+            .set(...auth)
+            .send(body);
+
+        it('devrait envoyer un événement signé aux seuls abonnés de son type', async () => {
+            expect((await subscribe({ url: HOOK_URL, events: [] })).body.details).toEqual([
+                { in: 'body', path: 'events', message: 'doit contenir au moins 1 élément(s)' }
+            ]);
+            expect((await subscribe({ url: 'ftp://x', events: ['stock.out'] })).body.details).toHaveLength(2);
+            const token = await loginAs('aide_box', 'pw', 'aidesoignants');
+            expect((await subscribe({ url: HOOK_URL, events: ['stock.low'] },
+                ['Authorization', `Bearer ${token}`])).statusCode).toEqual(403);
+
+            const created = await subscribe({ url: HOOK_URL, events: ['stock.low'], description: 'Pharmacie' });
+            expect(created.statusCode).toEqual(201);
+            const { webhookId, secret } = created.body;
+            expect(secret).toMatch(/^whsec_/);
+            const list = await request(app).get('/api/webhooks').set('api_key', API_KEY);
+            expect(list.body.webhooks.find((w) => w.webhookId === webhookId).secret).toBeUndefined();
+
+            await handleMqttMessage('alert/box/patient_box/mecanic', Buffer.from('moteur bloqué'));
+            await handleMqttMessage('alert/box/patient_box/plusmedoc', Buffer.from('compartiment 3 vide'));
+            await settle();
+
+            expect(hookCalls()).toHaveLength(1);
+            const [, init] = hookCalls()[0];
+            const event = JSON.parse(init.body);
+            expect(event).toMatchObject({
+                type: 'stock.low',
+                data: { patientId: 'patient_box', level: 'empty', message: 'compartiment 3 vide' }
+            });
+            expect(init.headers['X-Webhook-Id']).toBe(event.id);
+            expect(verifyWebhookSignature(secret, {
+                signature: init.headers['X-Webhook-Signature'],
+                timestamp: init.headers['X-Webhook-Timestamp'],
+                body: init.body
+            })).toBe(true);
+
+            const deliveries = await request(app)
+                .get(`/api/webhooks/${webhookId}/deliveries?status=delivered`)
+                .set('api_key', API_KEY);
+            expect(deliveries.body.deliveries).toEqual([
+                expect.objectContaining({ event: 'stock.low', status: 'delivered', attempts: 1, lastStatus: 200 })
+            ]);
+            await request(app).delete(`/api/webhooks/${webhookId}`).set('api_key', API_KEY);
+        });
+
+        it('devrait retenter avec un délai croissant puis permettre un renvoi manuel', async () => {
+            let hookStatus = 500;
+            global.fetch.mockImplementation(async (url) => (url === HOOK_URL
+                ? { ok: hookStatus < 300, status: hookStatus }
+                : { ok: true, status: 200, json: async () => ({}), text: async () => 'OK' }));
+            const { body: webhook } = await subscribe({ url: HOOK_URL, events: ['maintenance.fault'] });
+
+            await handleMqttMessage('alert/box/patient_box/mecanic', Buffer.from('capteur HS'));
+            await settle();
+            const [pending] = (await request(app)
+                .get(`/api/webhooks/${webhook.webhookId}/deliveries`)
+                .set('api_key', API_KEY)).body.deliveries;
+            expect(pending).toMatchObject({
+                status: 'pending', attempts: 1, lastStatus: 500, lastError: 'HTTP 500',
+                payload: { type: 'maintenance.fault', data: { source: 'mecanic', fault: 'capteur HS' } }
+            });
+
+            // Premier délai : 30 s (WEBHOOK_RETRY_SECONDS)
+            await flushWebhooks(Date.now() + 10_000);
+            expect(hookCalls()).toHaveLength(1);
+            hookStatus = 204;
+            await flushWebhooks(Date.now() + 31_000);
+            expect(hookCalls()).toHaveLength(2);
+
+            const redelivered = await request(app)
+                .post(`/api/webhooks/${webhook.webhookId}/deliveries/${pending.deliveryId}/redeliver`)
+                .set('api_key', API_KEY);
+            expect(redelivered.statusCode).toEqual(201);
+            expect(redelivered.body).toMatchObject({
+                status: 'delivered', attempts: 1, redeliveryOf: pending.deliveryId, eventId: pending.eventId
+            });
+            expect(hookCalls()[2][1].headers['X-Webhook-Id']).toBe(pending.eventId);
+
+            const log = await request(app)
+                .get(`/api/webhooks/${webhook.webhookId}/deliveries`)
+                .set('api_key', API_KEY);
+            expect(log.body.deliveries.map((d) => [d.status, d.attempts])).toEqual([['delivered', 1], ['delivered', 2]]);
+            const metrics = await request(app).get('/metrics');
+            expect(metrics.text).toContain('webhook_deliveries_total{event="maintenance.fault",outcome="retry"} 1');
+
+            expect((await request(app)
+                .delete(`/api/webhooks/${webhook.webhookId}`)
+                .set('api_key', API_KEY)).statusCode).toEqual(200);
+            expect((await request(app)
+                .get(`/api/webhooks/${webhook.webhookId}`)
+                .set('api_key', API_KEY)).statusCode).toEqual(404);
+                });
+
+        it("un abonné qui ne répond pas ne devrait pas retarder les autres", async () => {
+            const SLOW_URL = 'https://lent.example/hooks';
+            let release;
+            global.fetch.mockImplementation((url) => {
+                if (url === SLOW_URL) return new Promise((resolve) => { release = () => resolve({ ok: true, status: 200 }); });
+                return Promise.resolve({ ok: true, status: 200, json: async () => ({}), text: async () => 'OK' });
+            });
+            const { body: slow } = await subscribe({ url: SLOW_URL, events: ['maintenance.fault'] });
+            const { body: fast } = await subscribe({ url: HOOK_URL, events: ['maintenance.fault'] });
+
+            await handleMqttMessage('alert/box/patient_box/mecanic', Buffer.from('trappe coincée'));
+            await settle();
+            expect(hookCalls()).toHaveLength(1);
+            const status = async (webhookId) => (await request(app)
+                .get(`/api/webhooks/${webhookId}/deliveries`)
+                .set('api_key', API_KEY)).body.deliveries.map((d) => d.status);
+            expect(await status(fast.webhookId)).toEqual(['delivered']);
+            expect(await status(slow.webhookId)).toEqual(['pending']);
+
+            release();
+            await settle();
+            expect(await status(slow.webhookId)).toEqual(['delivered']);
+            for (const { webhookId } of [slow, fast]) {
+                await request(app).delete(`/api/webhooks/${webhookId}`).set('api_key', API_KEY);
+            }
+        });
+    });
+
+    describe('Documentation et validation des requêtes', () => {
+        it('devrait documenter chaque route déclarée', () => {
+            const routes = app.router.stack
+                .filter((layer) => layer.route)
+                .flatMap((layer) => Object.keys(layer.route.methods)
+                    .map((method) => [method, toOpenApiPath(layer.route.path)]));
+            expect(routes.length).toBeGreaterThan(50);
+            const missing = routes.filter(([method, p]) => !openApiDocument.paths[p]?.[method]);
+            expect(missing).toEqual([]);
+        });
+
+        it('devrait servir le document et Swagger UI sans authentification', async () => {
+            const spec = await request(app).get('/api/docs/openapi.json');
+            expect(spec.statusCode).toEqual(200);
+            expect(spec.body.openapi).toBe('3.0.3');
+            expect(spec.body.paths['/api/device/{deviceId}/refills'].post).toBeDefined();
+
+            const page = await request(app).get('/api/docs');
+            expect(page.statusCode).toEqual(200);
+            expect(page.text).toContain('SwaggerUIBundle');
+            const nonce = page.text.match(/nonce="([^"]+)"/)[1];
+            expect(page.headers['content-security-policy']).toContain(`'nonce-${nonce}'`);
+        });
+
+        it('devrait renvoyer le même format d\'erreur pour le corps, la query et les paramètres', async () => {
+            const login = await request(app).post('/api/auth/login').send({ id: '1', role: 'hacker' });
+            expect(login.statusCode).toEqual(400);
+            expect(login.body).toEqual({
+                error: 'Requête invalide',
+                code: 'VALIDATION_ERROR',
+                details: [
+                    { in: 'body', path: 'password', message: 'requis' },
+                    { in: 'body', path: 'role', message: 'doit valoir "medecins", "patients", "aidesoignants"' }
+                ]
+            });
+
+            const fetchCalls = global.fetch.mock.calls.length;
+            const distribute = await request(app)
+                .patch('/api/medocs/m1/distribute')
+                .set('api_key', API_KEY)
+                .send({ quantite_distribuee: 'deux' });
+            expect(distribute.body.details).toEqual([
+                { in: 'body', path: 'quantite_distribuee', message: 'doit être de type integer' }
+            ]);
+            expect(global.fetch.mock.calls.length).toBe(fetchCalls);
+
+            const audit = await request(app)
+                .get('/api/audit?limit=0&from=hier')
+                .set('api_key', API_KEY);
+            expect(audit.statusCode).toEqual(400);
+            expect(audit.body.details).toEqual([
+                { in: 'query', path: 'from', message: 'doit être une date ISO 8601' },
+                { in: 'query', path: 'limit', message: 'doit être supérieur ou égal à 1' }
+            ]);
+        });
+
+        it('devrait refuser un identifiant qui n\'est ni une chaîne ni un entier', async () => {
+            const fetchCalls = global.fetch.mock.calls.length;
+            const res = await request(app)
+                .post('/api/prescriptions')
+                .set('api_key', API_KEY)
+                .send({
+                    patientId: { id: 'patient_box' }, nom_medoc: 'X', quantite_totale: 1, quantite_restante: 1, compartiment: 1
+                });
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.details).toEqual([
+                { in: 'body', path: 'patientId', message: 'doit être de type string ou integer' }
+            ]);
+            expect(global.fetch.mock.calls.length).toBe(fetchCalls);
+        });
+
+        it('devrait authentifier avant de valider', async () => {
+            const res = await request(app).post('/api/devices').send({});
+            expect(res.statusCode).toEqual(401);
+        });
+    });
+
     // ============================================
     // TESTS WEBSOCKET
     // ============================================
@@ -190,7 +1899,7 @@ describe('IoT Server Tests', () => {
         });
 
         it('WS: Devrait rejeter connexion avec mauvais token', (done) => {
-            wsClient = new WebSocket(`ws://localhost:${TEST_PORT}?id=1&pwd=x&token=FAKE`);
+            wsClient = new WebSocket(`ws://localhost:${TEST_PORT}?access_token=FAKE`);
             wsClient.on('message', (data) => {
                 const msg = JSON.parse(data);
                 if (msg.error === 'Invalid token') {
@@ -201,14 +1910,12 @@ describe('IoT Server Tests', () => {
             wsClient.on('close', () => done());
         });
 
-        it('WS: Scénario complet (Connexion -> Réception Alerte -> ACK)', (done) => {
-            // Mock Auth réussi pour la connexion WS
-            global.fetch.mockResolvedValueOnce({
-                ok: true,
-                json: async () => ({ mot_de_passe: AIDE_PWD })
-            });
+        it('WS: Scénario complet (Connexion -> Réception Alerte -> ACK)', async () => {
+            const accessToken = await loginAs(AIDE_ID, AIDE_PWD, 'aidesoignants');
+            let done;
+            const finished = new Promise(r => { done = r; });
 
-            wsClient = new WebSocket(`ws://localhost:${TEST_PORT}?id=${AIDE_ID}&pwd=${AIDE_PWD}&token=${API_KEY}`);
+            wsClient = new WebSocket(`ws://localhost:${TEST_PORT}?access_token=${accessToken}`);
 
             wsClient.on('open', async () => {
                 // ⚠️ AJOUT DU DELAI : On attend 500ms pour être sûr que le serveur
@@ -235,6 +1942,97 @@ describe('IoT Server Tests', () => {
                     done();
                 }
             });
+            await finished;
         }, 10000); // Timeout augmenté à 10s pour ce test
+
+        it('WS: L\'ACK devrait alimenter les statistiques d\'alertes', async () => {
+            const accessToken = await loginAs('aide_stats', AIDE_PWD, 'aidesoignants');
+            wsClient = new WebSocket(`ws://localhost:${TEST_PORT}?access_token=${accessToken}`);
+            await new Promise(r => wsClient.on('open', r));
+            await new Promise(r => setTimeout(r, 100));
+
+            const acked = new Promise(r => wsClient.on('message', (data) => {
+                const msg = JSON.parse(data);
+                if (msg.patientId !== 'patient_stats') return;
+                wsClient.send(JSON.stringify({ type: 'ack', alertId: msg.alertId }));
+                r();
+            }));
+            sendToAide('aide_stats', {
+                type: 'warning', patientId: 'patient_stats', alertType: 'seuilmedoc',
+                message: 'stock bas', topic: 'alert/box/box_stats/seuilmedoc'
+            });
+            await acked;
+            await new Promise(r => setTimeout(r, 100));
+
+            const res = await request(app)
+                .get(`/api/analytics/alerts?from=${new Date(Date.now() - 60_000).toISOString()}`)
+                .set('api_key', API_KEY);
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.countsByType.seuilmedoc).toBeGreaterThanOrEqual(1);
+            const aide = res.body.timeToAck.find(a => a.aideId === 'aide_stats');
+            expect(aide).toMatchObject({ acked: 1, pending: 0 });
+            expect(aide.medianMs).toBeGreaterThanOrEqual(0);
+            expect(res.body.topBoxes.map(b => b.boxId)).toContain('box_stats');
+        });
+
+        it('WS: Un ACK ne devrait retirer que les alertes de sa propre file', async () => {
+            sendToAide('aide_ack_other', { type: 'warning', patientId: 'patient_ack', alertType: 'seuilmedoc' });
+            const [foreign] = (await request(app)
+                .get('/api/alerts/pending/aide_ack_other')
+                .set('api_key', API_KEY)).body.alerts;
+
+            const accessToken = await loginAs('aide_ack_self', AIDE_PWD, 'aidesoignants');
+            wsClient = new WebSocket(`ws://localhost:${TEST_PORT}?access_token=${accessToken}`);
+            await new Promise(r => wsClient.on('open', r));
+            wsClient.send(JSON.stringify({ type: 'ack', alertId: foreign.alertId }));
+            await new Promise(r => setTimeout(r, 100));
+
+            const res = await request(app).get('/api/alerts/pending/aide_ack_other').set('api_key', API_KEY);
+            expect(res.body.alerts.map(a => a.alertId)).toEqual([foreign.alertId]);
+        });
+
+        it('L\'historique des alertes devrait oublier les alertes closes trop anciennes', async () => {
+            const [stillPending] = (await request(app)
+                .get('/api/alerts/pending/aide_ack_other')
+                .set('api_key', API_KEY)).body.alerts;
+
+            // Rétention de 90 jours par défaut
+            compactAlertHistory(Date.now() + 91 * 86_400_000);
+
+            const res = await request(app).get('/api/analytics/alerts').set('api_key', API_KEY);
+            expect(res.body.topBoxes.map(b => b.boxId)).not.toContain('box_stats');
+            expect(res.body.timeToAck.find(a => a.aideId === 'aide_ack_other')).toMatchObject({ pending: 1 });
+            expect(res.body.timeToAck.map(a => a.aideId)).not.toContain('aide_stats');
+
+            const lines = fs.readFileSync(path.join(process.env.DATA_DIR, 'alert-history.jsonl'), 'utf8')
+                .trim().split('\n').map((line) => JSON.parse(line));
+            expect(lines.every((line) => line.event === 'snapshot')).toBe(true);
+            expect(lines.map((line) => line.record.alertId)).toContain(stillPending.alertId);
+            expect(lines.map((line) => line.record.patientId)).not.toContain('patient_stats');
+        });
+
+        it('WS: Devrait fermer le socket à la déconnexion de la session', async () => {
+            const accessToken = await loginAs('aide_ws_2', AIDE_PWD, 'aidesoignants');
+            wsClient = new WebSocket(`ws://localhost:${TEST_PORT}?access_token=${accessToken}`);
+            await new Promise(r => wsClient.on('open', r));
+            await new Promise(r => setTimeout(r, 100));
+
+            const closed = new Promise(r => wsClient.on('close', (code) => r(code)));
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${accessToken}`);
+            expect(await closed).toBe(4001);
+        });
+
+        it('GET /metrics devrait exposer les métriques métier', async () => {
+            const res = await request(app).get('/metrics');
+            expect(res.statusCode).toEqual(200);
+            expect(res.text).toMatch(/alerts_dispatched_total\{outcome="sent",alertType="seuilmedoc"\} \d+/);
+            expect(res.text).toMatch(/alert_ack_latency_seconds_count\{alertType="seuilmedoc"\} \d+/);
+            expect(res.text).toMatch(/mqtt_messages_received_total\{alertType="mecanic"\} \d+/);
+            expect(res.text).toMatch(/upstream_api_request_duration_seconds_count\{endpoint="\/patients"/);
+            expect(res.text).toContain('websocket_connections');
+            expect(res.text).toContain('pending_alerts');
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,256 @@
+// ======================
+// Client de l'API Azure
+// ======================
+// Point d'entrée unique vers API_BASE_URL : en-têtes communs (api_key),
+// délai maximum par appel, nouvelles tentatives bornées pour les appels
+// idempotents et coupe-circuit qui échoue immédiatement tant que l'API est
+// tombée. Les échecs remontent sous forme d'erreurs typées portant le statut
+// HTTP à renvoyer au client (httpStatus).
+
+export class UpstreamError extends Error {
+  constructor(message, { code, status = null, httpStatus = 502, body = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    // Statut renvoyé par l'API Azure (null si aucune réponse)
+    this.status = status;
+    // Statut à renvoyer par la route
+    this.httpStatus = httpStatus;
+    this.body = body;
+  }
+}
+
+export class UpstreamNotConfiguredError extends UpstreamError {
+  constructor() {
+    super("API_BASE_URL non configurée", {
+      code: "API_NOT_CONFIGURED",
+      httpStatus: 500,
+    });
+  }
+}
+
+export class UpstreamTimeoutError extends UpstreamError {
+  constructor(timeoutMs) {
+    super(`API sans réponse après ${timeoutMs} ms`, {
+      code: "UPSTREAM_TIMEOUT",
+      httpStatus: 504,
+    });
+  }
+}
+
+export class UpstreamUnreachableError extends UpstreamError {
+  constructor(cause) {
+    super("API injoignable", { code: "UPSTREAM_UNREACHABLE", httpStatus: 502 });
+    this.cause = cause;
+  }
+}
+
+export class CircuitOpenError extends UpstreamError {
+  constructor(retryAfterSeconds) {
+    super("API indisponible, nouvel essai plus tard", {
+      code: "CIRCUIT_OPEN",
+      httpStatus: 503,
+    });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Les refus liés à la requête (introuvable, invalide, conflit) sont renvoyés
+// tels quels ; tout le reste est une panne de l'API (502).
+const PASSTHROUGH_STATUSES = [400, 404, 409, 422];
+
+export class UpstreamHttpError extends UpstreamError {
+  constructor(status, body) {
+    super(`Erreur API (${status})`, {
+      code: "UPSTREAM_ERROR",
+      status,
+      httpStatus: PASSTHROUGH_STATUSES.includes(status) ? status : 502,
+      body,
+    });
+  }
+}
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD"];
+
+// Panne passagère de l'API (par opposition à un refus de la requête) :
+// un nouvel essai plus tard peut réussir
+export function isTransientError(err) {
+  if (err instanceof UpstreamHttpError) {
+    return err.status >= 500 || err.status === 429;
+  }
+  return (
+    err instanceof UpstreamTimeoutError ||
+    err instanceof UpstreamUnreachableError ||
+    err instanceof CircuitOpenError
+  );
+}
+
+// Réponse d'erreur : texte brut ou JSON ; réponse OK : JSON (null si vide)
+async function readBody(response) {
+  if (!response.ok && typeof response.text === "function") {
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return text;
+    }
+  }
+  if (typeof response.json !== "function") return null;
+  try {
+    return await response.json();
+  } catch (err) {
+    return null;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createApiClient({
+  baseUrl,
+  apiKey,
+  timeoutMs = 5000,
+  retries = 2,
+  retryDelayMs = 300,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30_000,
+  // Branchements pour les métriques : onResponse({ endpoint, method, status, seconds }),
+  // onError({ endpoint, method, reason })
+  onResponse = () => {},
+  onError = () => {},
+  fetchImpl = (...args) => fetch(...args),
+  now = () => Date.now(),
+} = {}) {
+  // closed -> open (après breakerThreshold échecs consécutifs) -> half_open
+  // (un seul appel d'essai à la fin du délai) -> closed ou open
+  const circuit = { state: "closed", failures: 0, openedAt: null, trialInFlight: false };
+
+  function acquireCircuit(endpoint, method) {
+    if (circuit.state === "closed") return;
+    const elapsed = now() - circuit.openedAt;
+    if (circuit.state === "open" && elapsed >= breakerCooldownMs) {
+      circuit.state = "half_open";
+    }
+    if (circuit.state === "half_open" && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return;
+    }
+    onError({ endpoint, method, reason: "circuit_open" });
+    const remaining = Math.max(breakerCooldownMs - elapsed, 0);
+    throw new CircuitOpenError(Math.ceil(remaining / 1000) || 1);
+  }
+
+  function recordSuccess() {
+    if (circuit.state !== "closed") {
+      console.log("[API] Coupe-circuit refermé, l'API répond de nouveau");
+    }
+    circuit.state = "closed";
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+  }
+
+  function recordFailure() {
+    circuit.failures++;
+    circuit.trialInFlight = false;
+    if (circuit.state === "half_open" || circuit.failures >= breakerThreshold) {
+      if (circuit.state !== "open") {
+        console.error(
+          `[API] Coupe-circuit ouvert après ${circuit.failures} échec(s) consécutif(s)`
+        );
+      }
+      circuit.state = "open";
+      circuit.openedAt = now();
+    }
+  }
+
+  async function attempt(endpoint, method, url, init, callTimeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new UpstreamTimeoutError(callTimeoutMs));
+      }, callTimeoutMs);
+    });
+    const startedAt = now();
+
+    try {
+      const { response, body } = await Promise.race([
+        (async () => {
+          const response = await fetchImpl(url, { ...init, signal: controller.signal });
+          return { response, body: await readBody(response) };
+        })(),
+        timeout,
+      ]);
+      const status = response.status || (response.ok ? 200 : 0);
+      onResponse({ endpoint, method, status, seconds: (now() - startedAt) / 1000 });
+      if (!response.ok) {
+        onError({ endpoint, method, reason: `http_${status}` });
+        throw new UpstreamHttpError(status, body);
+      }
+      return body;
+    } catch (err) {
+      if (err instanceof UpstreamHttpError) throw err;
+      onResponse({ endpoint, method, status: 0, seconds: (now() - startedAt) / 1000 });
+      if (err instanceof UpstreamTimeoutError) {
+        onError({ endpoint, method, reason: "timeout" });
+        throw err;
+      }
+      onError({ endpoint, method, reason: "network" });
+      throw new UpstreamUnreachableError(err);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // endpoint = gabarit de route ("/patients/:id") pour les métriques et les logs,
+  // path = chemin réel relatif à baseUrl
+  async function request(endpoint, path, options = {}) {
+    if (!baseUrl) throw new UpstreamNotConfiguredError();
+    const method = (options.method || "GET").toUpperCase();
+    const maxRetries = IDEMPOTENT_METHODS.includes(method)
+      ? options.retries ?? retries
+      : 0;
+    const init = {
+      method,
+      headers: { api_key: apiKey, "Content-Type": "application/json" },
+    };
+    if (options.body !== undefined) init.body = JSON.stringify(options.body);
+
+    acquireCircuit(endpoint, method);
+    for (let i = 0; ; i++) {
+      try {
+        const data = await attempt(
+          endpoint,
+          method,
+          `${baseUrl}${path}`,
+          init,
+          options.timeoutMs ?? timeoutMs
+        );
+        recordSuccess();
+        return data;
+      } catch (err) {
+        if (i < maxRetries && isTransientError(err)) {
+          await sleep(retryDelayMs * 2 ** i);
+          continue;
+        }
+        // Un refus 4xx prouve que l'API répond : il ne compte pas comme panne
+        if (isTransientError(err)) recordFailure();
+        else recordSuccess();
+        throw err;
+      }
+    }
+  }
+
+  return {
+    request,
+    get: (endpoint, path, options) => request(endpoint, path, { ...options, method: "GET" }),
+    post: (endpoint, path, body, options) =>
+      request(endpoint, path, { ...options, method: "POST", body }),
+    patch: (endpoint, path, body, options) =>
+      request(endpoint, path, { ...options, method: "PATCH", body }),
+    delete: (endpoint, path, options) =>
+      request(endpoint, path, { ...options, method: "DELETE" }),
+    circuitState: () => ({ state: circuit.state, failures: circuit.failures }),
+  };
+}
@@ -0,0 +1,132 @@
+import {describe, expect, it, jest} from '@jest/globals';
+import {
+    createApiClient,
+    CircuitOpenError,
+    UpstreamHttpError,
+    UpstreamNotConfiguredError,
+    UpstreamTimeoutError,
+    UpstreamUnreachableError
+} from './apiClient.js';
+
+const ok = (body) => ({ ok: true, status: 200, json: async () => body });
+const fail = (status, text = 'boom') => ({ ok: false, status, text: async () => text });
+
+// Horloge manuelle pour le coupe-circuit, pas d'attente entre les tentatives
+function makeClient(fetchImpl, options = {}) {
+    const clock = { now: 1_000_000 };
+    const onError = jest.fn();
+    const api = createApiClient({
+        baseUrl: 'https://api.test',
+        apiKey: 'cle',
+        retryDelayMs: 0,
+        breakerThreshold: 2,
+        breakerCooldownMs: 10_000,
+        fetchImpl,
+        onError,
+        now: () => clock.now,
+        ...options
+    });
+    return { api, clock, onError };
+}
+
+describe('apiClient', () => {
+    it('devrait envoyer api_key et le corps JSON', async () => {
+        const fetchImpl = jest.fn().mockResolvedValue(ok({ id: 1 }));
+        const { api } = makeClient(fetchImpl);
+
+        const data = await api.post('/patients', '/patients', { id_patient: 'p1' });
+        expect(data).toEqual({ id: 1 });
+        const [url, init] = fetchImpl.mock.calls[0];
+        expect(url).toBe('https://api.test/patients');
+        expect(init.method).toBe('POST');
+        expect(init.headers.api_key).toBe('cle');
+        expect(JSON.parse(init.body)).toEqual({ id_patient: 'p1' });
+    });
+
+    it('devrait refuser sans API_BASE_URL', async () => {
+        const { api } = makeClient(jest.fn(), { baseUrl: '' });
+        await expect(api.get('/patients', '/patients')).rejects.toBeInstanceOf(UpstreamNotConfiguredError);
+    });
+
+    it('devrait relancer un GET en échec puis réussir', async () => {
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce(fail(503))
+            .mockRejectedValueOnce(new Error('ECONNRESET'))
+            .mockResolvedValueOnce(ok([1, 2]));
+        const { api } = makeClient(fetchImpl);
+
+        await expect(api.get('/patients', '/patients')).resolves.toEqual([1, 2]);
+        expect(fetchImpl).toHaveBeenCalledTimes(3);
+        expect(api.circuitState()).toEqual({ state: 'closed', failures: 0 });
+    });
+
+    it('ne devrait jamais relancer un POST ni un refus 4xx', async () => {
+        const fetchImpl = jest.fn().mockResolvedValue(fail(503));
+        const { api } = makeClient(fetchImpl);
+        await expect(api.post('/patients', '/patients', {})).rejects.toBeInstanceOf(UpstreamHttpError);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+        fetchImpl.mockClear();
+        fetchImpl.mockResolvedValue(fail(404, '{"message":"absent"}'));
+        const err = await api.get('/patients/:id', '/patients/x').catch((e) => e);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+        expect(err).toMatchObject({ code: 'UPSTREAM_ERROR', status: 404, httpStatus: 404, body: { message: 'absent' } });
+    });
+
+    it('devrait convertir les erreurs en statuts HTTP homogènes', async () => {
+        const fetchImpl = jest.fn().mockResolvedValue(fail(500));
+        const { api } = makeClient(fetchImpl, { retries: 0, breakerThreshold: 99 });
+        await expect(api.get('/a', '/a')).rejects.toMatchObject({ httpStatus: 502, status: 500 });
+
+        fetchImpl.mockRejectedValue(new Error('ENOTFOUND'));
+        const err = await api.get('/a', '/a').catch((e) => e);
+        expect(err).toBeInstanceOf(UpstreamUnreachableError);
+        expect(err.httpStatus).toBe(502);
+    });
+
+    it('devrait abandonner un appel trop long', async () => {
+        const fetchImpl = jest.fn((url, init) => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+        const { api, onError } = makeClient(fetchImpl, { timeoutMs: 20, retries: 0 });
+
+        const err = await api.get('/lent', '/lent').catch((e) => e);
+        expect(err).toBeInstanceOf(UpstreamTimeoutError);
+        expect(err.httpStatus).toBe(504);
+        expect(onError).toHaveBeenCalledWith({ endpoint: '/lent', method: 'GET', reason: 'timeout' });
+    });
+
+    it('devrait ouvrir le circuit puis le refermer après un essai réussi', async () => {
+        const fetchImpl = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+        const { api, clock } = makeClient(fetchImpl, { retries: 0 });
+
+        await expect(api.get('/a', '/a')).rejects.toBeInstanceOf(UpstreamUnreachableError);
+        await expect(api.get('/a', '/a')).rejects.toBeInstanceOf(UpstreamUnreachableError);
+        expect(api.circuitState().state).toBe('open');
+
+        // Échec immédiat sans appeler l'API pendant le délai
+        fetchImpl.mockClear();
+        const err = await api.get('/a', '/a').catch((e) => e);
+        expect(err).toBeInstanceOf(CircuitOpenError);
+        expect(err).toMatchObject({ httpStatus: 503, retryAfterSeconds: 10 });
+        expect(fetchImpl).not.toHaveBeenCalled();
+
+        // Après le délai : un appel d'essai, qui referme le circuit
+        clock.now += 10_000;
+        fetchImpl.mockResolvedValue(ok({}));
+        await expect(api.get('/a', '/a')).resolves.toEqual({});
+        expect(api.circuitState().state).toBe('closed');
+    });
+
+    it('devrait rouvrir le circuit si l\'appel d\'essai échoue', async () => {
+        const fetchImpl = jest.fn().mockResolvedValue(fail(502));
+        const { api, clock } = makeClient(fetchImpl, { retries: 0 });
+        await api.get('/a', '/a').catch(() => {});
+        await api.get('/a', '/a').catch(() => {});
+
+        clock.now += 10_000;
+        await expect(api.get('/a', '/a')).rejects.toBeInstanceOf(UpstreamHttpError);
+        expect(api.circuitState().state).toBe('open');
+        await expect(api.get('/a', '/a')).rejects.toBeInstanceOf(CircuitOpenError);
+    });
+});
@@ -0,0 +1,18 @@
+import {afterAll} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Dossier de données propre à chaque fichier de test, créé avant l'import de
+// server.js : rien n'est rechargé d'une exécution à l'autre
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pilulier-test-'));
+process.env.DATA_DIR = dataDir;
+// supertest passe par la boucle locale : X-Forwarded-For fait foi
+process.env.TRUST_PROXY = 'loopback';
+// Planning dans un autre fuseau que le processus (UTC+5:30, sans heure d'été)
+process.env.TZ = 'UTC';
+process.env.SCHEDULE_TZ = 'Asia/Kolkata';
+
+afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,341 @@
+// ======================
+// Canaux de notification hors WebSocket
+// ======================
+// Un canal expose { name, contactField, send(contact, message) } :
+// contactField est le champ des préférences de l'utilisateur qui porte son
+// adresse sur ce canal, message = { subject, text }. send() échoue avec une
+// NotificationError. Trois canaux sans dépendance externe :
+// - email : client SMTP minimal (STARTTLS si proposé, AUTH PLAIN) ;
+// - sms : POST JSON vers une passerelle HTTP ;
+// - push : Web Push sans contenu (authentification VAPID), le service worker
+//   du client vient ensuite lire /api/alerts/pending/:aideId.
+
+import net from "net";
+import tls from "tls";
+import os from "os";
+import crypto from "crypto";
+
+export class NotificationError extends Error {
+  constructor(message, { channel, code = "SEND_FAILED", status = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.channel = channel;
+    // SUBSCRIPTION_GONE : l'abonnement Web Push n'existe plus (à oublier)
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// ----------------------
+// Email (SMTP)
+// ----------------------
+// Lit les réponses SMTP ("250-..." sur plusieurs lignes, puis "250 ...")
+function smtpReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let end;
+    while ((end = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] === "-") continue;
+      const reply = { code: parseInt(line.slice(0, 3), 10), lines };
+      lines = [];
+      const waiter = waiters.shift();
+      if (waiter) waiter.resolve(reply);
+      else replies.push(reply);
+    }
+  };
+  // Une erreur ou une fermeture fait échouer la lecture en cours et les suivantes
+  let failure = null;
+  const fail = (err) => {
+    failure = failure || err;
+    waiters.splice(0).forEach((w) => w.reject(failure));
+  };
+  const onClose = () => fail(new Error("connexion fermée par le serveur"));
+  socket.on("data", onData);
+  socket.on("error", fail);
+  socket.on("close", onClose);
+
+  return {
+    next: () => {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    detach: () => {
+      socket.off("data", onData);
+      socket.off("error", fail);
+      socket.off("close", onClose);
+    },
+  };
+}
+
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+// Corps en base64 : aucune ligne ne commence par "." (pas de dot-stuffing)
+function buildEmail({ from, to, subject, text }) {
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${from.split("@")[1] || "localhost"}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+export function createSmtpChannel({
+  host,
+  port = 587,
+  // true : TLS dès la connexion (port 465) ; sinon STARTTLS si le serveur le propose
+  secure = false,
+  user = "",
+  pass = "",
+  from,
+  timeoutMs = 10_000,
+  tlsOptions = {},
+}) {
+  async function send(to, { subject, text }) {
+    const fail = (message, code) => new NotificationError(message, { channel: "email", code });
+    const withTimeout = (s) =>
+      s.setTimeout(timeoutMs, () =>
+        s.destroy(fail(`SMTP sans réponse après ${timeoutMs} ms`, "TIMEOUT"))
+      );
+    let socket = secure
+      ? tls.connect({ host, port, servername: host, ...tlsOptions })
+      : net.connect({ host, port });
+    withTimeout(socket);
+    let reader = smtpReader(socket);
+
+    const expect = async (codes) => {
+      let reply;
+      try {
+        reply = await reader.next();
+      } catch (err) {
+        if (err instanceof NotificationError) throw err;
+        throw fail(`SMTP injoignable: ${err.message}`, "UNREACHABLE");
+      }
+      if (!codes.includes(reply.code)) {
+        throw fail(`SMTP ${reply.code} ${reply.lines.join(" ")}`.trim(), "REJECTED");
+      }
+      return reply;
+    };
+    const command = (line, codes) => {
+      socket.write(`${line}\r\n`);
+      return expect(codes);
+    };
+
+    try {
+      await expect([220]);
+      const ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      if (!secure && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+        await command("STARTTLS", [220]);
+        reader.detach();
+        socket = tls.connect({ socket, servername: host, ...tlsOptions });
+        withTimeout(socket);
+        reader = smtpReader(socket);
+        await command(`EHLO ${os.hostname()}`, [250]);
+      }
+      if (user) {
+        const credentials = Buffer.from(`\0${user}\0${pass}`, "utf8").toString("base64");
+        await command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+      await command(`MAIL FROM:<${from}>`, [250]);
+      await command(`RCPT TO:<${to}>`, [250, 251]);
+      await command("DATA", [354]);
+      await command(`${buildEmail({ from, to, subject, text })}\r\n.`, [250]);
+      await command("QUIT", [221]).catch(() => {});
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return { name: "email", contactField: "email", send };
+}
+
+// ----------------------
+// SMS (passerelle HTTP)
+// ----------------------
+// POST { to, from, text } ; Authorization: Bearer <token> si fourni
+export function createSmsChannel({
+  url,
+  token = "",
+  from = "",
+  timeoutMs = 10_000,
+  fetchImpl = (...args) => fetch(...args),
+}) {
+  async function send(to, { subject, text }) {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ to, from: from || undefined, text: `${subject}\n${text}` }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      throw new NotificationError(`Passerelle SMS injoignable: ${err.message}`, {
+        channel: "sms",
+        code: "UNREACHABLE",
+      });
+    }
+    if (!response.ok) {
+      throw new NotificationError(`Passerelle SMS: HTTP ${response.status}`, {
+        channel: "sms",
+        code: "REJECTED",
+        status: response.status,
+      });
+    }
+  }
+
+  return { name: "sms", contactField: "phone", send };
+}
+
+// ----------------------
+// Web Push (VAPID, sans contenu)
+// ----------------------
+const base64url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+// Clés au format attendu par PushManager.subscribe() : publique non
+// compressée (65 octets) et privée brute (32 octets), en base64url
+export function generateVapidKeys() {
+  const { privateKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "prime256v1",
+  });
+  const jwk = privateKey.export({ format: "jwk" });
+  return {
+    publicKey: base64url(
+      Buffer.concat([
+        Buffer.from([4]),
+        Buffer.from(jwk.x, "base64url"),
+        Buffer.from(jwk.y, "base64url"),
+      ])
+    ),
+    privateKey: jwk.d,
+  };
+}
+
+function vapidSigningKey(publicKey, privateKey) {
+  const point = Buffer.from(publicKey, "base64url");
+  return crypto.createPrivateKey({
+    format: "jwk",
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      x: base64url(point.subarray(1, 33)),
+      y: base64url(point.subarray(33, 65)),
+      d: privateKey,
+    },
+  });
+}
+
+// Services push des navigateurs : FCM (Chrome, Edge), Mozilla, Apple, WNS.
+// "*.domaine" couvre les sous-domaines.
+export const DEFAULT_PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  "updates.push.services.mozilla.com",
+  "web.push.apple.com",
+  "*.notify.windows.com",
+];
+
+// Un abonnement ne doit faire appeler que ces services (et non une adresse
+// interne choisie par le client)
+export function isPushServiceEndpoint(endpoint, allowedHosts = DEFAULT_PUSH_SERVICE_HOSTS) {
+  let hostname;
+  try {
+    hostname = new URL(endpoint).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return allowedHosts.some((host) => {
+    const pattern = host.trim().toLowerCase();
+    return pattern.startsWith("*.")
+      ? hostname.endsWith(pattern.slice(1))
+      : hostname === pattern;
+  });
+}
+
+export function createWebPushChannel({
+  publicKey,
+  privateKey,
+  // mailto: ou https: pour que le service push puisse joindre l'exploitant
+  subject,
+  allowedHosts = DEFAULT_PUSH_SERVICE_HOSTS,
+  ttlSeconds = 3600,
+  timeoutMs = 10_000,
+  fetchImpl = (...args) => fetch(...args),
+  now = () => Date.now(),
+}) {
+  const key = vapidSigningKey(publicKey, privateKey);
+
+  function vapidToken(audience) {
+    const header = base64url(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+    const claims = base64url(
+      JSON.stringify({ aud: audience, exp: Math.floor(now() / 1000) + 12 * 3600, sub: subject })
+    );
+    const signature = crypto.sign("sha256", Buffer.from(`${header}.${claims}`), {
+      key,
+      dsaEncoding: "ieee-p1363",
+    });
+    return `${header}.${claims}.${base64url(signature)}`;
+  }
+
+  async function send(subscription) {
+    const endpoint = subscription?.endpoint;
+    if (!isPushServiceEndpoint(endpoint, allowedHosts)) {
+      throw new NotificationError("Service push non autorisé", {
+        channel: "push",
+        code: "REJECTED",
+      });
+    }
+    let response;
+    try {
+      response = await fetchImpl(endpoint, {
+        method: "POST",
+        headers: {
+          TTL: String(ttlSeconds),
+          Urgency: "high",
+          Authorization: `vapid t=${vapidToken(new URL(endpoint).origin)}, k=${publicKey}`,
+        },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      throw new NotificationError(`Service push injoignable: ${err.message}`, {
+        channel: "push",
+        code: "UNREACHABLE",
+      });
+    }
+    if (response.status === 404 || response.status === 410) {
+      throw new NotificationError("Abonnement push expiré", {
+        channel: "push",
+        code: "SUBSCRIPTION_GONE",
+        status: response.status,
+      });
+    }
+    if (!response.ok) {
+      throw new NotificationError(`Service push: HTTP ${response.status}`, {
+        channel: "push",
+        code: "REJECTED",
+        status: response.status,
+      });
+    }
+  }
+
+  return { name: "push", contactField: "pushSubscription", send };
+}
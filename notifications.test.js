@@ -0,0 +1,180 @@
+import {afterEach, describe, expect, it, jest} from '@jest/globals';
+import net from 'net';
+import http from 'http';
+import crypto from 'crypto';
+import {
+    createSmtpChannel, createSmsChannel, createWebPushChannel, generateVapidKeys, isPushServiceEndpoint,
+    NotificationError
+} from './notifications.js';
+
+const MESSAGE = { subject: '[critical] plusmedoc - patient p1', text: 'Compartiment 2 vide, alerte à acquitter' };
+
+// Serveur local qui joue le rôle du serveur SMTP ou de la passerelle HTTP
+let standIn;
+afterEach((done) => {
+    if (!standIn) return done();
+    standIn.close(() => done());
+    standIn = null;
+});
+const listen = (server) => new Promise((resolve) => {
+    standIn = server;
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+// Serveur SMTP minimal : enregistre les commandes et le message reçu
+function smtpStandIn({ rejectRecipient = false } = {}) {
+    const received = { commands: [], data: '' };
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 localhost ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString();
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                received.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 OK queued\r\n');
+            }
+            let end;
+            while (!inData && (end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                received.commands.push(line);
+                if (line.startsWith('EHLO')) socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+                else if (line.startsWith('AUTH')) socket.write('235 Authenticated\r\n');
+                else if (line.startsWith('MAIL')) socket.write('250 OK\r\n');
+                else if (line.startsWith('RCPT')) socket.write(rejectRecipient ? '550 No such user\r\n' : '250 OK\r\n');
+                else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (line === 'QUIT') socket.end('221 Bye\r\n');
+            }
+        });
+    });
+    return { server, received };
+}
+
+// Passerelle HTTP : enregistre les requêtes, répond avec le statut donné
+function httpStandIn(status = 200) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body });
+            res.writeHead(status).end();
+        });
+    });
+    return { server, requests };
+}
+
+describe('Canal email (SMTP)', () => {
+    it('devrait s\'authentifier et envoyer le message encodé', async () => {
+        const { server, received } = smtpStandIn();
+        const port = await listen(server);
+        const channel = createSmtpChannel({
+            host: '127.0.0.1', port, user: 'gateway', pass: 'secret', from: 'alertes@pilulier.fr'
+        });
+
+        await channel.send('aide@example.com', MESSAGE);
+
+        expect(received.commands).toContain(`AUTH PLAIN ${Buffer.from('\0gateway\0secret').toString('base64')}`);
+        expect(received.commands).toContain('MAIL FROM:<alertes@pilulier.fr>');
+        expect(received.commands).toContain('RCPT TO:<aide@example.com>');
+        expect(received.data).toContain('Subject: [critical] plusmedoc - patient p1');
+        const body = received.data.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+        expect(Buffer.from(body, 'base64').toString()).toBe(MESSAGE.text);
+    });
+
+    it('devrait échouer sur un refus du serveur ou un serveur absent', async () => {
+        const { server } = smtpStandIn({ rejectRecipient: true });
+        const port = await listen(server);
+        const channel = createSmtpChannel({ host: '127.0.0.1', port, from: 'alertes@pilulier.fr' });
+        await expect(channel.send('inconnu@example.com', MESSAGE)).rejects.toMatchObject({
+            channel: 'email', code: 'REJECTED', message: 'SMTP 550 No such user'
+        });
+
+        const closed = createSmtpChannel({ host: '127.0.0.1', port: 1, from: 'alertes@pilulier.fr' });
+        await expect(closed.send('aide@example.com', MESSAGE)).rejects.toMatchObject({ code: 'UNREACHABLE' });
+    });
+});
+
+describe('Canal SMS (passerelle HTTP)', () => {
+    it('devrait poster le texte avec le jeton de la passerelle', async () => {
+        const { server, requests } = httpStandIn();
+        const port = await listen(server);
+        const channel = createSmsChannel({ url: `http://127.0.0.1:${port}/sms`, token: 'tok', from: 'Pilulier' });
+
+        await channel.send('+33612345678', MESSAGE);
+
+        expect(requests[0].url).toBe('/sms');
+        expect(requests[0].headers.authorization).toBe('Bearer tok');
+        expect(JSON.parse(requests[0].body)).toEqual({
+            to: '+33612345678', from: 'Pilulier', text: `${MESSAGE.subject}\n${MESSAGE.text}`
+        });
+    });
+
+    it('devrait remonter le statut d\'un refus', async () => {
+        const { server } = httpStandIn(503);
+        const port = await listen(server);
+        const channel = createSmsChannel({ url: `http://127.0.0.1:${port}/sms` });
+        const err = await channel.send('+33612345678', MESSAGE).catch((e) => e);
+        expect(err).toBeInstanceOf(NotificationError);
+        expect(err).toMatchObject({ channel: 'sms', code: 'REJECTED', status: 503 });
+    });
+});
+
+describe('Canal Web Push (VAPID)', () => {
+    const keys = generateVapidKeys();
+
+    it('devrait signer la requête avec la clé VAPID', async () => {
+        const { server, requests } = httpStandIn(201);
+        const port = await listen(server);
+        const channel = createWebPushChannel({ ...keys, subject: 'mailto:ops@pilulier.fr', allowedHosts: ['127.0.0.1'] });
+        const endpoint = `http://127.0.0.1:${port}/push/abc`;
+
+        await channel.send({ endpoint, keys: { p256dh: 'x', auth: 'y' } }, MESSAGE);
+
+        const { headers, body } = requests[0];
+        expect(body).toBe('');
+        expect(headers.ttl).toBe('3600');
+        const [, token, publicKey] = headers.authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+        expect(publicKey).toBe(keys.publicKey);
+        const [header, claims, signature] = token.split('.');
+        expect(JSON.parse(Buffer.from(claims, 'base64url'))).toMatchObject({
+            aud: `http://127.0.0.1:${port}`, sub: 'mailto:ops@pilulier.fr'
+        });
+        const point = Buffer.from(keys.publicKey, 'base64url');
+        const verifier = crypto.createPublicKey({ format: 'jwk', key: {
+            kty: 'EC', crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33).toString('base64url')
+        } });
+        expect(crypto.verify('sha256', Buffer.from(`${header}.${claims}`),
+            { key: verifier, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'))).toBe(true);
+    });
+
+    it('devrait signaler un abonnement expiré', async () => {
+        const { server } = httpStandIn(410);
+        const port = await listen(server);
+        const channel = createWebPushChannel({ ...keys, subject: 'mailto:ops@pilulier.fr', allowedHosts: ['127.0.0.1'] });
+        await expect(channel.send({ endpoint: `http://127.0.0.1:${port}/push/old` }, MESSAGE))
+            .rejects.toMatchObject({ channel: 'push', code: 'SUBSCRIPTION_GONE' });
+    });
+
+    it('ne devrait appeler que les services push connus', async () => {
+        expect(isPushServiceEndpoint('https://fcm.googleapis.com/fcm/send/abc')).toBe(true);
+        expect(isPushServiceEndpoint('https://wns2-par02p.notify.windows.com/w/?token=abc')).toBe(true);
+        expect(isPushServiceEndpoint('https://notify.windows.com.evil.example/w')).toBe(false);
+        expect(isPushServiceEndpoint('https://169.254.169.254/latest/meta-data')).toBe(false);
+        expect(isPushServiceEndpoint('pas une url')).toBe(false);
+
+        const fetchImpl = jest.fn();
+        const channel = createWebPushChannel({ ...keys, subject: 'mailto:ops@pilulier.fr', fetchImpl });
+        await expect(channel.send({ endpoint: 'https://10.0.0.5/admin' }, MESSAGE))
+            .rejects.toMatchObject({ channel: 'push', code: 'REJECTED' });
+        expect(fetchImpl).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,1499 @@
+// ======================
+// Document OpenAPI 3 de la passerelle
+// ======================
+// Décrit toutes les routes de server.js. Servi sur /api/docs (interface
+// Swagger UI) et /api/docs/openapi.json ; les paramètres et corps des
+// requêtes sont validés contre lui (validateRequest dans server.js).
+// Toute nouvelle route doit y être ajoutée : api.test.js le vérifie.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const body = (schema) => ({ required: true, content: json(schema) });
+const ok = (description, schema = { type: "object" }) => ({
+  description,
+  content: json(schema),
+});
+const text = (description, mediaType) => ({
+  description,
+  content: { [mediaType]: { schema: { type: "string" } } },
+});
+const errorResponse = (description, schema = "Error") => ({
+  description,
+  content: json(ref(schema)),
+});
+
+const pathParam = (name, description) => ({
+  name,
+  in: "path",
+  required: true,
+  description,
+  schema: { type: "string", minLength: 1 },
+});
+const query = (name, schema, description) => ({
+  name,
+  in: "query",
+  required: false,
+  description,
+  schema,
+});
+const dateRange = [
+  query("from", { type: "string", format: "date-time" }, "Début (ISO 8601)"),
+  query("to", { type: "string", format: "date-time" }, "Fin (ISO 8601)"),
+];
+const limit = (defaultValue) =>
+  query("limit", { type: "integer", minimum: 1, default: defaultValue }, "Nombre maximum d'entrées");
+
+// Réponses d'erreur communes : errors(400, 403, 404, ...)
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  409: "Conflict",
+  429: "TooManyRequests",
+  502: "UpstreamError",
+  503: "UpstreamUnavailable",
+  504: "UpstreamTimeout",
+};
+const errors = (...codes) =>
+  Object.fromEntries(
+    codes.map((code) => [code, { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` }])
+  );
+const UPSTREAM = [502, 503, 504];
+
+const PUBLIC = [];
+
+// Identifiants : chaîne ou nombre selon le client (les routes les convertissent)
+const id = { anyOf: [{ type: "string", minLength: 1 }, { type: "integer" }] };
+
+const signupBody = {
+  type: "object",
+  required: ["nomFamille", "prenom", "mot_de_passe"],
+  properties: {
+    nomFamille: { type: "string", minLength: 1 },
+    prenom: { type: "string", minLength: 1 },
+    mot_de_passe: { type: "string", minLength: 1 },
+    sexe: ref("Sexe"),
+    date_naissance: { type: "string", nullable: true },
+    adresse_postale: { type: "string", nullable: true },
+    adresse_electronique: { type: "string", nullable: true },
+  },
+};
+
+const teamBody = (required) => ({
+  type: "object",
+  required,
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    description: { type: "string", nullable: true },
+    members: { type: "array", items: id },
+    patientIds: { type: "array", items: id },
+  },
+});
+
+const shiftBody = (required) => ({
+  type: "object",
+  required,
+  additionalProperties: false,
+  properties: {
+    aideId: id,
+    start: { type: "string", format: "date-time" },
+    end: { type: "string", format: "date-time" },
+  },
+});
+
+export const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: "Passerelle IoT - pilulier connecté",
+    version: "1.0.0",
+    description:
+      "API REST de la passerelle entre les box (MQTT), les aides-soignants (WebSocket) et l'API Azure. " +
+      "Authentification par en-tête `api_key` (services, box) ou jeton de session `Authorization: Bearer`.",
+  },
+  servers: [{ url: "/" }],
+  security: [{ apiKey: [] }, { bearerAuth: [] }],
+  tags: [
+    { name: "Supervision" },
+    { name: "Authentification" },
+    { name: "Patients" },
+    { name: "Prescriptions et stock" },
+    { name: "Alertes" },
+    { name: "Incidents" },
+    { name: "Audit" },
+    { name: "Outbox" },
+    { name: "Box" },
+    { name: "Notifications" },
+    { name: "Équipes et gardes" },
+    { name: "Webhooks" },
+    { name: "Tests" },
+  ],
+  paths: {
+    // --- Supervision ---
+    "/metrics": {
+      get: {
+        tags: ["Supervision"],
+        summary: "Métriques Prometheus",
+        security: PUBLIC,
+        responses: {
+          200: text("Format texte Prometheus", "text/plain"),
+        },
+      },
+    },
+    "/api/health": {
+      get: {
+        tags: ["Supervision"],
+        summary: "État de la passerelle (MQTT, coupe-circuit de l'API)",
+        security: PUBLIC,
+        responses: { 200: ok("État courant", ref("Health")) },
+      },
+    },
+    "/api/docs": {
+      get: {
+        tags: ["Supervision"],
+        summary: "Documentation interactive (Swagger UI)",
+        security: PUBLIC,
+        responses: { 200: text("Page HTML", "text/html") },
+      },
+    },
+    "/api/docs/openapi.json": {
+      get: {
+        tags: ["Supervision"],
+        summary: "Ce document OpenAPI",
+        security: PUBLIC,
+        responses: { 200: ok("Document OpenAPI 3") },
+      },
+    },
+    "/api/clients": {
+      get: {
+        tags: ["Supervision"],
+        summary: "WebSockets ouvertes par utilisateur (service)",
+        responses: { 200: ok("Nombre de connexions par utilisateur"), ...errors(401, 403) },
+      },
+    },
+
+    // --- Authentification ---
+    "/api/auth/login": {
+      post: {
+        tags: ["Authentification"],
+        summary: "Connexion, renvoie un jeton d'accès et un jeton de rafraîchissement",
+        security: PUBLIC,
+        requestBody: body({
+          type: "object",
+          required: ["id", "password", "role"],
+          properties: {
+            id: id,
+            password: { type: "string", minLength: 1 },
+            role: ref("UserRole"),
+          },
+        }),
+        responses: {
+          200: ok("Session ouverte", ref("Session")),
+          ...errors(400, 401, 404, 429, ...UPSTREAM),
+        },
+      },
+    },
+    "/api/auth/refresh": {
+      post: {
+        tags: ["Authentification"],
+        summary: "Nouvelle paire de jetons (le jeton de rafraîchissement est à usage unique)",
+        security: PUBLIC,
+        requestBody: body({
+          type: "object",
+          required: ["refreshToken"],
+          properties: { refreshToken: { type: "string", minLength: 1 } },
+        }),
+        responses: { 200: ok("Nouveaux jetons", ref("Tokens")), ...errors(400, 401) },
+      },
+    },
+    "/api/auth/logout": {
+      post: {
+        tags: ["Authentification"],
+        summary: "Révoque la session courante et ferme ses WebSockets",
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: false,
+          content: json({ type: "object", properties: { refreshToken: { type: "string" } } }),
+        },
+        responses: { 200: ok("Session révoquée", ref("Success")), ...errors(401) },
+      },
+    },
+    "/api/auth/revoke": {
+      post: {
+        tags: ["Authentification"],
+        summary: "Révoque toutes les sessions d'un utilisateur (service)",
+        requestBody: body({
+          type: "object",
+          required: ["userId"],
+          properties: { userId: id },
+        }),
+        responses: {
+          200: ok("Sessions révoquées", {
+            type: "object",
+            properties: { success: { type: "boolean" }, revoked: { type: "integer" } },
+          }),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+    "/api/auth/lockouts": {
+      get: {
+        tags: ["Authentification"],
+        summary: "Comptes et IP verrouillés après des échecs répétés (service)",
+        responses: { 200: ok("Verrous actifs"), ...errors(401, 403) },
+      },
+    },
+    "/api/auth/unlock": {
+      post: {
+        tags: ["Authentification"],
+        summary: "Déverrouille un compte ({ role, id }) ou une IP ({ ip }) (service)",
+        requestBody: body({
+          type: "object",
+          properties: {
+            role: ref("UserRole"),
+            id: id,
+            ip: { type: "string", minLength: 1 },
+          },
+        }),
+        responses: { 200: ok("Verrou levé"), ...errors(400, 401, 403) },
+      },
+    },
+    "/api/auth/signup/aidesoignant": {
+      post: {
+        tags: ["Authentification"],
+        summary: "Création d'un compte aide-soignant",
+        security: PUBLIC,
+        requestBody: body(signupBody),
+        responses: { 201: ok("Compte créé", ref("Signup")), ...errors(400, ...UPSTREAM) },
+      },
+    },
+    "/api/auth/signup/medecin": {
+      post: {
+        tags: ["Authentification"],
+        summary: "Création d'un compte médecin",
+        security: PUBLIC,
+        requestBody: body(signupBody),
+        responses: { 201: ok("Compte créé", ref("Signup")), ...errors(400, ...UPSTREAM) },
+      },
+    },
+
+    // --- Patients ---
+    "/api/patients": {
+      post: {
+        tags: ["Patients"],
+        summary: "Crée le patient d'une nouvelle box (service)",
+        requestBody: body({
+          type: "object",
+          required: ["id_patient"],
+          properties: {
+            id_patient: id,
+            mot_de_passe: { type: "string" },
+            nomFamille: { type: "string" },
+            prenom: { type: "string" },
+            sexe: ref("Sexe"),
+            date_naissance: { type: "string", nullable: true },
+          },
+        }),
+        responses: { 201: ok("Patient créé"), ...errors(400, 401, 403, ...UPSTREAM) },
+      },
+    },
+    "/api/patients/create": {
+      post: {
+        tags: ["Patients"],
+        summary: "Crée un patient suivi par l'aide-soignant connecté",
+        requestBody: body({
+          type: "object",
+          required: ["nomFamille", "prenom", "fk_aide_soignant"],
+          properties: {
+            nomFamille: { type: "string", minLength: 1 },
+            prenom: { type: "string", minLength: 1 },
+            fk_aide_soignant: id,
+            sexe: ref("Sexe"),
+            date_naissance: { type: "string", nullable: true },
+            adresse_postale: { type: "string", nullable: true },
+            adresse_electronique: { type: "string", nullable: true },
+          },
+        }),
+        responses: {
+          201: ok("Patient créé, avec son mot de passe temporaire"),
+          ...errors(400, 401, 403, ...UPSTREAM),
+        },
+      },
+    },
+    "/api/patients/of/{aideId}": {
+      parameters: [pathParam("aideId", "Aide-soignant connecté")],
+      get: {
+        tags: ["Patients"],
+        summary: "Patients d'un aide-soignant",
+        responses: { 200: ok("Patients suivis"), ...errors(401, 403) },
+      },
+    },
+    "/api/patients/{patientId}": {
+      parameters: [pathParam("patientId", "Identifiant du patient")],
+      get: {
+        tags: ["Patients"],
+        summary: "Fiche d'un patient",
+        responses: { 200: ok("Patient", ref("Patient")), ...errors(401, 403, 404, ...UPSTREAM) },
+      },
+      delete: {
+        tags: ["Patients"],
+        summary: "Supprime un patient de l'aide-soignant connecté",
+        responses: { 200: ok("Patient supprimé", ref("Success")), ...errors(401, 403, 404, ...UPSTREAM) },
+      },
+    },
+
+    // --- Prescriptions et stock ---
+    "/api/prescriptions": {
+      post: {
+        tags: ["Prescriptions et stock"],
+        summary: "Crée une prescription (médecin) et recharge le planning de distribution",
+        requestBody: body(ref("NewPrescription")),
+        responses: { 200: ok("Prescription créée"), ...errors(400, 401, 403, ...UPSTREAM) },
+      },
+    },
+    "/api/prescriptions/{patientId}": {
+      parameters: [pathParam("patientId", "Identifiant du patient")],
+      get: {
+        tags: ["Prescriptions et stock"],
+        summary: "Prescriptions d'un patient",
+        responses: {
+          200: ok("Prescriptions", { type: "array", items: ref("Prescription") }),
+          ...errors(401, 403, 404, ...UPSTREAM),
+        },
+      },
+    },
+    "/api/schedule/{patientId}": {
+      parameters: [pathParam("patientId", "Identifiant du patient")],
+      get: {
+        tags: ["Prescriptions et stock"],
+        summary: "Distributions planifiées sur les prochaines 24 h",
+        responses: { 200: ok("Planning"), ...errors(401, 403, ...UPSTREAM) },
+      },
+    },
+    "/api/missed-doses/{patientId}": {
+      parameters: [pathParam("patientId", "Identifiant du patient")],
+      get: {
+        tags: ["Prescriptions et stock"],
+        summary: "Prises non délivrées dans le délai de grâce",
+        parameters: dateRange,
+        responses: { 200: ok("Prises manquées"), ...errors(400, 401, 403) },
+      },
+    },
+    "/api/medocs/{patientId}": {
+      parameters: [pathParam("patientId", "Identifiant du patient")],
+      get: {
+        tags: ["Prescriptions et stock"],
+        summary: "Médicaments et stock d'un patient",
+        responses: {
+          200: ok("Médicaments", { type: "array", items: ref("Medoc") }),
+          ...errors(401, 403, ...UPSTREAM),
+        },
+      },
+    },
+    "/api/medocs/{medocId}/distribute": {
+      parameters: [pathParam("medocId", "Identifiant du médicament du patient")],
+      patch: {
+        tags: ["Prescriptions et stock"],
+        summary: "Décompte une distribution du stock",
+        requestBody: body({
+          type: "object",
+          required: ["quantite_distribuee"],
+          properties: { quantite_distribuee: { type: "integer", minimum: 1 } },
+        }),
+        responses: {
+          200: ok("Stock mis à jour", {
+            type: "object",
+            properties: { success: { type: "boolean" }, quantite_restante: { type: "number" } },
+          }),
+          ...errors(400, 401, 403, 404, ...UPSTREAM),
+        },
+      },
+    },
+    "/api/distributions": {
+      post: {
+        tags: ["Prescriptions et stock"],
+        summary: "Enregistre une distribution faite par l'aide-soignant",
+        requestBody: body({
+          type: "object",
+          required: ["patientId", "medocId"],
+          properties: {
+            patientId: id,
+            medocId: id,
+            quantite: { type: "integer", minimum: 1 },
+            timestamp: { type: "string", format: "date-time" },
+          },
+        }),
+        responses: {
+          200: ok("Distribution enregistrée", ref("Success")),
+          ...errors(400, 401, 403, 404, 409, ...UPSTREAM),
+        },
+      },
+    },
+    "/api/refills/{patientId}": {
+      parameters: [pathParam("patientId", "Identifiant du patient")],
+      get: {
+        tags: ["Prescriptions et stock"],
+        summary: "Historique des recharges d'un patient",
+        parameters: [query("compartiment", { type: "integer", minimum: 1 }, "Compartiment"), ...dateRange],
+        responses: {
+          200: ok("Recharges, plus récentes d'abord", {
+            type: "object",
+            properties: { count: { type: "integer" }, refills: { type: "array", items: ref("Refill") } },
+          }),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+
+    // --- Alertes ---
+    "/api/send-alert": {
+      post: {
+        tags: ["Alertes"],
+        summary: "Alerte manuelle d'un médecin vers un aide-soignant",
+        description:
+          "Sans `aideId`, l'alerte va à l'aide qui reçoit les alertes du patient ; sinon `aideId` " +
+          "doit être l'aide attitré du patient ou un membre de son équipe.",
+        requestBody: body({
+          type: "object",
+          required: ["patientId", "alertType"],
+          properties: {
+            aideId: id,
+            patientId: id,
+            alertType: { type: "string", minLength: 1 },
+            message: { type: "string" },
+          },
+        }),
+        responses: {
+          200: ok("false si l'aide est hors ligne (alerte mise en attente)", {
+            type: "object",
+            properties: { sent: { type: "boolean" } },
+          }),
+          ...errors(400, 401, 403, 409),
+        },
+      },
+    },
+    "/api/alerts/pending/{aideId}": {
+      parameters: [pathParam("aideId", "Aide-soignant connecté")],
+      get: {
+        tags: ["Alertes"],
+        summary: "Alertes non acquittées d'un aide-soignant",
+        responses: {
+          200: ok("File d'attente", {
+            type: "object",
+            properties: {
+              aideId: { type: "string" },
+              count: { type: "integer" },
+              alerts: { type: "array", items: ref("Alert") },
+            },
+          }),
+          ...errors(401, 403),
+        },
+      },
+    },
+    "/api/analytics/alerts": {
+      get: {
+        tags: ["Alertes"],
+        summary: "Volumes par type, délai d'acquittement par aide, patients et box les plus bruyants",
+        parameters: dateRange,
+        responses: { 200: ok("Statistiques"), ...errors(400, 401, 403) },
+      },
+    },
+
+    // --- Incidents ---
+    "/api/incidents": {
+      get: {
+        tags: ["Incidents"],
+        summary: "Incidents de maintenance (ceux de l'aide-soignant connecté)",
+        parameters: [
+          query("status", { type: "string", enum: ["open", "assigned", "resolved"] }, "État"),
+          query("boxId", { type: "string" }, "Box"),
+          query("aideId", { type: "string" }, "Aide-soignant (service)"),
+        ],
+        responses: { 200: ok("Incidents"), ...errors(400, 401, 403) },
+      },
+    },
+    "/api/incidents/{incidentId}": {
+      parameters: [pathParam("incidentId", "Identifiant de l'incident")],
+      get: {
+        tags: ["Incidents"],
+        summary: "Détail d'un incident",
+        responses: { 200: ok("Incident", ref("Incident")), ...errors(401, 403, 404) },
+      },
+    },
+    "/api/incidents/{incidentId}/assign": {
+      parameters: [pathParam("incidentId", "Identifiant de l'incident")],
+      patch: {
+        tags: ["Incidents"],
+        summary: "Confie un incident à un aide-soignant (service)",
+        requestBody: body({
+          type: "object",
+          required: ["aideId"],
+          properties: { aideId: id },
+        }),
+        responses: { 200: ok("Incident assigné"), ...errors(400, 401, 403, 404, 409) },
+      },
+    },
+    "/api/incidents/{incidentId}/resolve": {
+      parameters: [pathParam("incidentId", "Identifiant de l'incident")],
+      patch: {
+        tags: ["Incidents"],
+        summary: "Clôt un incident",
+        requestBody: {
+          required: false,
+          content: json({ type: "object", properties: { resolution: { type: "string" } } }),
+        },
+        responses: { 200: ok("Incident résolu"), ...errors(400, 401, 403, 404, 409) },
+      },
+    },
+
+    // --- Audit ---
+    "/api/audit": {
+      get: {
+        tags: ["Audit"],
+        summary: "Journal d'audit clinique (service)",
+        parameters: [
+          query("patientId", { type: "string" }, "Patient"),
+          query("actor", { type: "string" }, "Identifiant de l'auteur"),
+          query("action", { type: "string" }, "Action (ex : patient.delete)"),
+          ...dateRange,
+          limit(500),
+        ],
+        responses: { 200: ok("Entrées"), ...errors(400, 401, 403) },
+      },
+    },
+    "/api/audit/export": {
+      get: {
+        tags: ["Audit"],
+        summary: "Export CSV ou JSON du journal filtré (service)",
+        parameters: [
+          query("format", { type: "string", enum: ["csv", "json"] }, "Format (json par défaut)"),
+          query("patientId", { type: "string" }, "Patient"),
+          query("actor", { type: "string" }, "Identifiant de l'auteur"),
+          query("action", { type: "string" }, "Action"),
+          ...dateRange,
+        ],
+        responses: {
+          200: {
+            description: "Fichier en pièce jointe",
+            content: {
+              "text/csv": { schema: { type: "string" } },
+              "application/json": { schema: { type: "object" } },
+            },
+          },
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+    "/api/audit/verify": {
+      get: {
+        tags: ["Audit"],
+        summary: "Vérifie la chaîne HMAC du journal et son ancre (service)",
+        responses: { 200: ok("Résultat de la vérification"), ...errors(401, 403) },
+      },
+    },
+
+    // --- Outbox ---
+    "/api/outbox": {
+      get: {
+        tags: ["Outbox"],
+        summary: "Écritures vers l'API en attente de synchronisation",
+        responses: { 200: ok("Résumé et entrées"), ...errors(401, 403) },
+      },
+    },
+    "/api/outbox/flush": {
+      post: {
+        tags: ["Outbox"],
+        summary: "Rejoue l'outbox immédiatement (service)",
+        responses: { 200: ok("Résumé après rejeu"), ...errors(401, 403) },
+      },
+    },
+    "/api/outbox/{entryId}": {
+      parameters: [pathParam("entryId", "Identifiant de l'écriture")],
+      delete: {
+        tags: ["Outbox"],
+        summary: "Abandonne une écriture (service)",
+        responses: { 200: ok("Écriture supprimée"), ...errors(401, 403, 404) },
+      },
+    },
+
+    // --- Box ---
+    "/api/devices": {
+      get: {
+        tags: ["Box"],
+        summary: "Registre des box",
+        parameters: [
+          query("status", { type: "string", enum: ["active", "decommissioned"] }, "État"),
+          query("patientId", { type: "string" }, "Patient"),
+        ],
+        responses: {
+          200: ok("Box", {
+            type: "object",
+            properties: { count: { type: "integer" }, devices: { type: "array", items: ref("Device") } },
+          }),
+          ...errors(400, 401, 403),
+        },
+      },
+      post: {
+        tags: ["Box"],
+        summary: "Provisionne une box pour un patient (service)",
+        requestBody: body({
+          type: "object",
+          required: ["deviceId", "patientId"],
+          properties: {
+            deviceId: id,
+            patientId: id,
+            firmwareVersion: { type: "string" },
+          },
+        }),
+        responses: { 201: ok("Box provisionnée", ref("Device")), ...errors(400, 401, 403, 404, 409) },
+      },
+    },
+    "/api/devices/{deviceId}": {
+      parameters: [pathParam("deviceId", "Identifiant matériel de la box")],
+      get: {
+        tags: ["Box"],
+        summary: "Entrée du registre",
+        responses: { 200: ok("Box", ref("Device")), ...errors(401, 403, 404) },
+      },
+    },
+    "/api/devices/{deviceId}/assign": {
+      parameters: [pathParam("deviceId", "Identifiant matériel de la box")],
+      patch: {
+        tags: ["Box"],
+        summary: "Réaffecte une box à un autre patient (service)",
+        requestBody: body({
+          type: "object",
+          required: ["patientId"],
+          properties: { patientId: id },
+        }),
+        responses: { 200: ok("Box réaffectée"), ...errors(400, 401, 403, 404, 409) },
+      },
+    },
+    "/api/devices/{deviceId}/decommission": {
+      parameters: [pathParam("deviceId", "Identifiant matériel de la box")],
+      patch: {
+        tags: ["Box"],
+        summary: "Retire une box du service (service)",
+        responses: { 200: ok("Box retirée"), ...errors(401, 403, 404, 409) },
+      },
+    },
+    "/api/device/{deviceId}/status": {
+      parameters: [pathParam("deviceId", "Identifiant matériel de la box ou du patient")],
+      get: {
+        tags: ["Box"],
+        summary: "Patient, stock, prévision d'épuisement, registre et état de vie d'une box",
+        responses: { 200: ok("État de la box", ref("DeviceStatus")), ...errors(401, 403, ...UPSTREAM) },
+      },
+    },
+    "/api/device/{deviceId}/commands": {
+      parameters: [pathParam("deviceId", "Identifiant matériel de la box ou du patient")],
+      post: {
+        tags: ["Box"],
+        summary: "Envoie une commande à distance à la box",
+        description:
+          "`dispense` et `open_compartment` exigent `params.compartiment` ; " +
+          "`reboot` et `sync_clock` n'ont pas de paramètre.",
+        requestBody: body({
+          type: "object",
+          required: ["command"],
+          properties: {
+            command: { type: "string", enum: ["dispense", "open_compartment", "reboot", "sync_clock"] },
+            params: {
+              type: "object",
+              properties: { compartiment: { type: "integer", minimum: 1 } },
+            },
+          },
+        }),
+        responses: { 202: ok("Commande envoyée", ref("BoxCommand")), ...errors(400, 401, 403, 409) },
+      },
+      get: {
+        tags: ["Box"],
+        summary: "Commandes envoyées à la box, plus récentes d'abord",
+        parameters: [
+          query("status", { type: "string", enum: ["sent", "acknowledged", "failed", "timed_out"] }, "État"),
+          query("command", { type: "string" }, "Commande"),
+        ],
+        responses: {
+          200: ok("Commandes", {
+            type: "object",
+            properties: { count: { type: "integer" }, commands: { type: "array", items: ref("BoxCommand") } },
+          }),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+    "/api/device/{deviceId}/commands/{commandId}": {
+      parameters: [
+        pathParam("deviceId", "Identifiant matériel de la box ou du patient"),
+        pathParam("commandId", "Identifiant de la commande"),
+      ],
+      get: {
+        tags: ["Box"],
+        summary: "État d'une commande",
+        responses: { 200: ok("Commande", ref("BoxCommand")), ...errors(401, 403, 404) },
+      },
+    },
+    "/api/device/{deviceId}/refills": {
+      parameters: [pathParam("deviceId", "Identifiant matériel de la box ou du patient")],
+      post: {
+        tags: ["Box"],
+        summary: "Enregistre la recharge d'un compartiment",
+        requestBody: body({
+          type: "object",
+          required: ["medocId", "compartiment", "quantite_ajoutee"],
+          properties: {
+            medocId: id,
+            compartiment: { type: "integer", minimum: 1 },
+            quantite_ajoutee: { type: "integer", minimum: 1 },
+          },
+        }),
+        responses: {
+          201: ok("Recharge enregistrée", ref("Refill")),
+          ...errors(400, 401, 403, 404, 409, ...UPSTREAM),
+        },
+      },
+    },
+    "/api/mqtt/dead-letters": {
+      get: {
+        tags: ["Box"],
+        summary: "Messages MQTT rejetés par la validation (service)",
+        parameters: [
+          query("boxId", { type: "string" }, "Box"),
+          query("alertType", { type: "string" }, "Type de message"),
+          query(
+            "reason",
+            { type: "string", enum: ["unknown_type", "invalid_json", "invalid_payload"] },
+            "Raison"
+          ),
+          ...dateRange,
+          limit(100),
+        ],
+        responses: { 200: ok("Messages rejetés"), ...errors(400, 401, 403) },
+      },
+    },
+
+    // --- Notifications ---
+    "/api/notifications/preferences/{userId}": {
+      parameters: [pathParam("userId", "Aide-soignant ou médecin connecté")],
+      get: {
+        tags: ["Notifications"],
+        summary: "Préférences de notification, canaux configurés et clé publique VAPID",
+        responses: {
+          200: ok("Préférences (null si aucune)", {
+            type: "object",
+            properties: {
+              userId: { type: "string" },
+              preferences: { ...ref("NotificationPreferences"), nullable: true },
+              availableChannels: { type: "array", items: { type: "string" } },
+              vapidPublicKey: { type: "string", nullable: true },
+            },
+          }),
+          ...errors(401, 403),
+        },
+      },
+      put: {
+        tags: ["Notifications"],
+        summary: "Choisit les canaux (email, sms, push) et les types d'alertes notifiés",
+        description:
+          "Chaque canal choisi exige sa coordonnée : `email`, `phone` ou `pushSubscription` " +
+          "(objet renvoyé par PushManager.subscribe()). `types` vaut par défaut " +
+          "`[\"critical\", \"maintenance\"]`.",
+        requestBody: body({
+          type: "object",
+          required: ["channels"],
+          additionalProperties: false,
+          properties: {
+            channels: { type: "array", items: ref("NotificationChannel") },
+            email: { type: "string", pattern: "^[^@\\s]+@[^@\\s]+$", nullable: true },
+            phone: { type: "string", pattern: "^\\+?[0-9 .-]{6,20}$", nullable: true },
+            pushSubscription: { ...ref("PushSubscription"), nullable: true },
+            types: { type: "array", items: { type: "string", minLength: 1 } },
+          },
+        }),
+        responses: {
+          200: ok("Préférences enregistrées", {
+            type: "object",
+            properties: { userId: { type: "string" }, preferences: ref("NotificationPreferences") },
+          }),
+          ...errors(400, 401, 403),
+        },
+      },
+      delete: {
+        tags: ["Notifications"],
+        summary: "Désactive les notifications hors WebSocket",
+        responses: { 200: ok("Préférences supprimées", ref("Success")), ...errors(401, 403, 404) },
+      },
+    },
+    "/api/notifications/preferences/{userId}/test": {
+      parameters: [pathParam("userId", "Aide-soignant ou médecin connecté")],
+      post: {
+        tags: ["Notifications"],
+        summary: "Envoie une notification d'essai sur chaque canal choisi",
+        responses: {
+          200: ok("Résultat par canal", {
+            type: "object",
+            properties: { results: { type: "array", items: ref("NotificationResult") } },
+          }),
+          ...errors(401, 403, 404),
+        },
+      },
+    },
+    "/api/notifications/log": {
+      get: {
+        tags: ["Notifications"],
+        summary: "Notifications envoyées (service)",
+        parameters: [
+          query("userId", { type: "string" }, "Destinataire"),
+          query("alertId", { type: "string" }, "Alerte"),
+          query("reason", { type: "string", enum: ["offline", "ack_timeout", "handover"] }, "Déclencheur"),
+          limit(100),
+        ],
+        responses: {
+          200: ok("Entrées", {
+            type: "object",
+            properties: {
+              count: { type: "integer" },
+              entries: { type: "array", items: ref("Notification") },
+            },
+          }),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+
+    // --- Équipes et gardes ---
+    "/api/teams": {
+      get: {
+        tags: ["Équipes et gardes"],
+        summary: "Équipes de soins visibles (membre ou patient accessible)",
+        responses: {
+          200: ok("Équipes", {
+            type: "object",
+            properties: { count: { type: "integer" }, teams: { type: "array", items: ref("Team") } },
+          }),
+          ...errors(401, 403),
+        },
+      },
+      post: {
+        tags: ["Équipes et gardes"],
+        summary: "Crée une équipe d'aides-soignants et de patients (service)",
+        description: "Un patient n'appartient qu'à une équipe (409 sinon).",
+        requestBody: body(teamBody(["name"])),
+        responses: { 201: ok("Équipe créée", ref("Team")), ...errors(400, 401, 403, 409) },
+      },
+    },
+    "/api/on-duty": {
+      get: {
+        tags: ["Équipes et gardes"],
+        summary: "Aides de garde, par équipe ou pour un patient",
+        description:
+          "Avec `patientId`, `aideId` est l'aide qui reçoit les alertes du patient : le membre de " +
+          "garde (son aide attitré s'il l'est), sinon l'aide attitré de l'API. Seules les équipes " +
+          "visibles de l'appelant sont listées.",
+        parameters: [
+          query("patientId", { type: "string" }, "Patient"),
+          query("teamId", { type: "string" }, "Équipe"),
+          query("at", { type: "string", format: "date-time" }, "Date (maintenant par défaut)"),
+        ],
+        responses: {
+          200: ok("Gardes", {
+            type: "object",
+            properties: {
+              at: { type: "string", format: "date-time" },
+              patientId: { type: "string" },
+              aideId: { type: "string", nullable: true },
+              teams: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    teamId: { type: "string" },
+                    name: { type: "string" },
+                    onDuty: { type: "array", items: ref("Shift") },
+                  },
+                },
+              },
+            },
+          }),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+    "/api/teams/{teamId}": {
+      parameters: [pathParam("teamId", "Identifiant de l'équipe")],
+      get: {
+        tags: ["Équipes et gardes"],
+        summary: "Détail d'une équipe",
+        responses: { 200: ok("Équipe", ref("Team")), ...errors(401, 403, 404) },
+      },
+      patch: {
+        tags: ["Équipes et gardes"],
+        summary: "Modifie une équipe (service)",
+        description: "Un membre retiré perd ses créneaux non terminés.",
+        requestBody: body(teamBody([])),
+        responses: { 200: ok("Équipe modifiée", ref("Team")), ...errors(400, 401, 403, 404, 409) },
+      },
+      delete: {
+        tags: ["Équipes et gardes"],
+        summary: "Supprime une équipe et ses créneaux (service)",
+        responses: { 200: ok("Équipe supprimée", ref("Success")), ...errors(401, 403, 404) },
+      },
+    },
+    "/api/teams/{teamId}/shifts": {
+      parameters: [pathParam("teamId", "Identifiant de l'équipe")],
+      get: {
+        tags: ["Équipes et gardes"],
+        summary: "Créneaux de garde qui recoupent la période",
+        parameters: [query("aideId", { type: "string" }, "Aide-soignant"), ...dateRange],
+        responses: {
+          200: ok("Créneaux", {
+            type: "object",
+            properties: { count: { type: "integer" }, shifts: { type: "array", items: ref("Shift") } },
+          }),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+      post: {
+        tags: ["Équipes et gardes"],
+        summary: "Met un membre de garde de start à end (service)",
+        description:
+          "Les alertes en attente d'un aide qui n'est plus de garde passent à l'aide de garde " +
+          "(vérifié aussi toutes les minutes).",
+        requestBody: body(shiftBody(["aideId", "start", "end"])),
+        responses: { 201: ok("Créneau créé", ref("Shift")), ...errors(400, 401, 403, 404, 409) },
+      },
+    },
+    "/api/teams/{teamId}/shifts/{shiftId}": {
+      parameters: [
+        pathParam("teamId", "Identifiant de l'équipe"),
+        pathParam("shiftId", "Identifiant du créneau"),
+      ],
+      patch: {
+        tags: ["Équipes et gardes"],
+        summary: "Modifie un créneau (service)",
+        requestBody: body(shiftBody([])),
+        responses: { 200: ok("Créneau modifié", ref("Shift")), ...errors(400, 401, 403, 404, 409) },
+      },
+      delete: {
+        tags: ["Équipes et gardes"],
+        summary: "Supprime un créneau (service)",
+        responses: { 200: ok("Créneau supprimé", ref("Success")), ...errors(401, 403, 404) },
+      },
+    },
+
+    // --- Webhooks ---
+    "/api/webhooks": {
+      get: {
+        tags: ["Webhooks"],
+        summary: "Abonnements webhook (service)",
+        responses: {
+          200: ok("Abonnements, sans leur secret", {
+            type: "object",
+            properties: {
+              count: { type: "integer" },
+              webhooks: { type: "array", items: ref("Webhook") },
+            },
+          }),
+          ...errors(401, 403),
+        },
+      },
+      post: {
+        tags: ["Webhooks"],
+        summary: "Abonne une URL à des types d'événements (service)",
+        description:
+          "Chaque envoi est un POST JSON signé : `X-Webhook-Signature` vaut `sha256=` suivi du " +
+          "HMAC-SHA256 hexadécimal de `{X-Webhook-Timestamp}.{corps}` avec le secret renvoyé " +
+          "ici, seule fois où il est visible.",
+        requestBody: body({
+          type: "object",
+          required: ["url", "events"],
+          additionalProperties: false,
+          properties: {
+            url: { type: "string", pattern: "^https?://" },
+            events: { type: "array", minItems: 1, items: ref("WebhookEvent") },
+            description: { type: "string", nullable: true },
+          },
+        }),
+        responses: {
+          201: ok("Abonnement créé, avec son secret", ref("Webhook")),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+    "/api/webhooks/{webhookId}": {
+      parameters: [pathParam("webhookId", "Identifiant de l'abonnement")],
+      get: {
+        tags: ["Webhooks"],
+        summary: "Détail d'un abonnement (service)",
+        responses: { 200: ok("Abonnement", ref("Webhook")), ...errors(401, 403, 404) },
+      },
+      patch: {
+        tags: ["Webhooks"],
+        summary: "Modifie, suspend ou réactive un abonnement (service)",
+        description: "`rotateSecret: true` génère un nouveau secret, renvoyé dans la réponse.",
+        requestBody: body({
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            url: { type: "string", pattern: "^https?://" },
+            events: { type: "array", minItems: 1, items: ref("WebhookEvent") },
+            active: { type: "boolean" },
+            description: { type: "string", nullable: true },
+            rotateSecret: { type: "boolean" },
+          },
+        }),
+        responses: { 200: ok("Abonnement modifié", ref("Webhook")), ...errors(400, 401, 403, 404) },
+      },
+      delete: {
+        tags: ["Webhooks"],
+        summary: "Supprime un abonnement et abandonne ses envois en attente (service)",
+        responses: { 200: ok("Abonnement supprimé", ref("Success")), ...errors(401, 403, 404) },
+      },
+    },
+    "/api/webhooks/{webhookId}/deliveries": {
+      parameters: [pathParam("webhookId", "Identifiant de l'abonnement")],
+      get: {
+        tags: ["Webhooks"],
+        summary: "Journal des envois, du plus récent au plus ancien (service)",
+        parameters: [
+          query("status", { type: "string", enum: ["pending", "delivered", "failed"] }, "État"),
+          query("event", ref("WebhookEvent"), "Type d'événement"),
+          limit(100),
+        ],
+        responses: {
+          200: ok("Envois", {
+            type: "object",
+            properties: {
+              count: { type: "integer" },
+              deliveries: { type: "array", items: ref("WebhookDelivery") },
+            },
+          }),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+    },
+    "/api/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver": {
+      parameters: [
+        pathParam("webhookId", "Identifiant de l'abonnement"),
+        pathParam("deliveryId", "Envoi à rejouer"),
+      ],
+      post: {
+        tags: ["Webhooks"],
+        summary: "Renvoie un événement (même X-Webhook-Id), tenté immédiatement (service)",
+        responses: {
+          201: ok("Nouvel envoi", ref("WebhookDelivery")),
+          ...errors(401, 403, 404),
+        },
+      },
+    },
+
+    // --- Tests ---
+    "/api/test/send-alert": {
+      post: {
+        tags: ["Tests"],
+        summary: "Alerte de test vers un aide-soignant (service)",
+        requestBody: body({
+          type: "object",
+          required: ["aideId"],
+          properties: {
+            aideId: id,
+            patientId: { type: "string" },
+            alertType: { type: "string" },
+            message: { type: "string" },
+          },
+        }),
+        responses: { 200: ok("Alerte envoyée ou mise en attente"), ...errors(400, 401, 403) },
+      },
+    },
+    "/api/test/start-periodic-alerts": {
+      post: {
+        tags: ["Tests"],
+        summary: "Démarre l'envoi d'alertes de test périodiques (service)",
+        requestBody: body({
+          type: "object",
+          required: ["aideId"],
+          properties: {
+            aideId: id,
+            intervalSeconds: { type: "number", minimum: 1 },
+          },
+        }),
+        responses: { 200: ok("Alertes démarrées"), ...errors(400, 401, 403) },
+      },
+    },
+    "/api/test/stop-periodic-alerts": {
+      post: {
+        tags: ["Tests"],
+        summary: "Arrête les alertes de test périodiques (service)",
+        responses: { 200: ok("Alertes arrêtées"), ...errors(401, 403) },
+      },
+    },
+  },
+
+  components: {
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "header", name: "api_key" },
+      bearerAuth: { type: "http", scheme: "bearer" },
+    },
+    responses: {
+      BadRequest: errorResponse("Requête invalide", "ValidationError"),
+      Unauthorized: errorResponse("Non authentifié"),
+      Forbidden: errorResponse("Rôle ou périmètre insuffisant"),
+      NotFound: errorResponse("Ressource introuvable"),
+      Conflict: errorResponse("État incompatible"),
+      TooManyRequests: errorResponse("Trop d'échecs, réessayer après Retry-After"),
+      UpstreamError: errorResponse("API Azure en erreur ou injoignable", "UpstreamError"),
+      UpstreamUnavailable: errorResponse("Coupe-circuit ouvert (Retry-After)", "UpstreamError"),
+      UpstreamTimeout: errorResponse("API Azure sans réponse", "UpstreamError"),
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } },
+      },
+      ValidationError: {
+        type: "object",
+        required: ["error", "code", "details"],
+        properties: {
+          error: { type: "string", example: "Requête invalide" },
+          code: { type: "string", enum: ["VALIDATION_ERROR"] },
+          details: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                in: { type: "string", enum: ["path", "query", "body"] },
+                path: { type: "string", example: "quantite_ajoutee" },
+                message: { type: "string", example: "doit être supérieur ou égal à 1" },
+              },
+            },
+          },
+        },
+      },
+      UpstreamError: {
+        type: "object",
+        properties: {
+          error: { type: "string" },
+          code: {
+            type: "string",
+            enum: [
+              "UPSTREAM_ERROR",
+              "UPSTREAM_TIMEOUT",
+              "UPSTREAM_UNREACHABLE",
+              "CIRCUIT_OPEN",
+              "API_NOT_CONFIGURED",
+            ],
+          },
+          upstreamStatus: { type: "integer", nullable: true },
+        },
+      },
+      Success: {
+        type: "object",
+        properties: { success: { type: "boolean" }, message: { type: "string" } },
+      },
+      UserRole: { type: "string", enum: ["medecins", "patients", "aidesoignants"] },
+      Sexe: { type: "string", example: "U" },
+      Health: {
+        type: "object",
+        properties: {
+          status: { type: "string" },
+          mqttConnected: { type: "boolean" },
+          upstreamCircuit: { type: "string", enum: ["closed", "open", "half_open"] },
+          activeAides: { type: "array", items: { type: "string" } },
+        },
+      },
+      Tokens: {
+        type: "object",
+        properties: {
+          accessToken: { type: "string" },
+          refreshToken: { type: "string" },
+          expiresIn: { type: "integer" },
+        },
+      },
+      Session: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          user: { type: "object" },
+          role: ref("UserRole"),
+          accessToken: { type: "string" },
+          refreshToken: { type: "string" },
+        },
+      },
+      Signup: {
+        type: "object",
+        properties: { success: { type: "boolean" }, id: { type: "string" }, user: { type: "object" } },
+      },
+      Patient: {
+        type: "object",
+        properties: {
+          id_patient: { type: "string" },
+          nomFamille: { type: "string" },
+          prenom: { type: "string" },
+          sexe: ref("Sexe"),
+          fk_aide_soignant: { type: "string", nullable: true },
+          fk_medecin_traitant: { type: "string", nullable: true },
+        },
+      },
+      NewPrescription: {
+        type: "object",
+        required: ["patientId", "nom_medoc", "quantite_totale", "quantite_restante", "compartiment"],
+        properties: {
+          patientId: id,
+          nom_medoc: { type: "string", minLength: 1 },
+          quantite_totale: { type: "number", minimum: 0 },
+          quantite_restante: { type: "number", minimum: 0 },
+          compartiment: { type: "integer", minimum: 1 },
+          heure_distrib: { type: "string", pattern: "^\\d{1,2}:\\d{2}", example: "08:00" },
+        },
+      },
+      Prescription: {
+        type: "object",
+        properties: {
+          nom_medoc: { type: "string" },
+          quantite_totale: { type: "number" },
+          quantite_restante: { type: "number" },
+          compartiment: { type: "integer" },
+          heure_distrib: { type: "string" },
+        },
+      },
+      Medoc: {
+        type: "object",
+        properties: {
+          nom_medoc: { type: "string" },
+          quantite_totale: { type: "number" },
+          quantite_restante: { type: "number" },
+        },
+      },
+      Alert: {
+        type: "object",
+        properties: {
+          alertId: { type: "string" },
+          timestamp: { type: "string", format: "date-time" },
+          type: { type: "string", example: "critical" },
+          alertType: { type: "string", example: "plusmedoc" },
+          patientId: { type: "string" },
+          message: { type: "string" },
+          topic: { type: "string" },
+          handovers: {
+            type: "array",
+            description: "Transmissions au changement de garde",
+            items: {
+              type: "object",
+              properties: {
+                from: { type: "string" },
+                to: { type: "string" },
+                at: { type: "string", format: "date-time" },
+              },
+            },
+          },
+        },
+      },
+      Incident: {
+        type: "object",
+        properties: {
+          incidentId: { type: "string" },
+          boxId: { type: "string" },
+          patientId: { type: "string" },
+          faults: { type: "array", items: { type: "string" } },
+          status: { type: "string", enum: ["open", "assigned", "resolved"] },
+          aideId: { type: "string", nullable: true },
+          occurrences: { type: "integer" },
+          openedAt: { type: "string", format: "date-time" },
+          resolvedAt: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+      Device: {
+        type: "object",
+        properties: {
+          deviceId: { type: "string" },
+          patientId: { type: "string" },
+          firmwareVersion: { type: "string", nullable: true },
+          status: { type: "string", enum: ["active", "decommissioned"] },
+          provisionedAt: { type: "string", format: "date-time" },
+          decommissionedAt: { type: "string", format: "date-time", nullable: true },
+          lastSeenAt: { type: "string", format: "date-time", nullable: true },
+          lastTopic: { type: "string", nullable: true },
+        },
+      },
+      StockForecast: {
+        type: "object",
+        properties: {
+          nom_medoc: { type: "string" },
+          compartiment: { type: "integer", nullable: true },
+          quantite_restante: { type: "number", nullable: true },
+          basis: { type: "string", enum: ["observed", "prescription"], nullable: true },
+          observedPerDay: { type: "number", nullable: true },
+          prescribedPerDay: { type: "number" },
+          daysUntilEmpty: { type: "number", nullable: true },
+          emptyAt: { type: "string", format: "date-time", nullable: true },
+          warning: { type: "boolean" },
+        },
+      },
+      DeviceStatus: {
+        type: "object",
+        properties: {
+          deviceId: { type: "string" },
+          registered: { type: "boolean" },
+          device: { ...ref("Device"), nullable: true },
+          liveness: {
+            type: "object",
+            properties: {
+              status: { type: "string", enum: ["online", "offline", "unknown"] },
+              monitored: { type: "boolean" },
+            },
+          },
+          patient: { ...ref("Patient"), nullable: true },
+          medicaments: { type: "object" },
+          forecast: { type: "array", items: ref("StockForecast") },
+          aide_soignant: { type: "string", nullable: true },
+        },
+      },
+      BoxCommand: {
+        type: "object",
+        properties: {
+          commandId: { type: "string" },
+          boxId: { type: "string" },
+          patientId: { type: "string" },
+          command: { type: "string" },
+          params: { type: "object" },
+          status: { type: "string", enum: ["sent", "acknowledged", "failed", "timed_out"] },
+          topic: { type: "string" },
+          sentAt: { type: "string", format: "date-time" },
+          expiresAt: { type: "string", format: "date-time" },
+          respondedAt: { type: "string", format: "date-time", nullable: true },
+          error: { type: "string", nullable: true },
+        },
+      },
+      NotificationChannel: { type: "string", enum: ["email", "sms", "push"] },
+      PushSubscription: {
+        type: "object",
+        required: ["endpoint"],
+        properties: {
+          endpoint: {
+            type: "string",
+            pattern: "^https://",
+            description: "Adresse d'un service push de PUSH_SERVICE_HOSTS (FCM, Mozilla, Apple, Windows par défaut)",
+          },
+          expirationTime: { type: "number", nullable: true },
+          keys: {
+            type: "object",
+            properties: { p256dh: { type: "string" }, auth: { type: "string" } },
+          },
+        },
+      },
+      NotificationPreferences: {
+        type: "object",
+        properties: {
+          channels: { type: "array", items: ref("NotificationChannel") },
+          email: { type: "string", nullable: true },
+          phone: { type: "string", nullable: true },
+          pushSubscription: { ...ref("PushSubscription"), nullable: true },
+          types: { type: "array", items: { type: "string" } },
+          updatedAt: { type: "string", format: "date-time" },
+        },
+      },
+      NotificationResult: {
+        type: "object",
+        properties: {
+          channel: { type: "string" },
+          ok: { type: "boolean" },
+          error: { type: "string" },
+        },
+      },
+      Notification: {
+        type: "object",
+        properties: {
+          notificationId: { type: "string" },
+          userId: { type: "string" },
+          alertId: { type: "string" },
+          alertType: { type: "string", nullable: true },
+          patientId: { type: "string", nullable: true },
+          reason: { type: "string", enum: ["offline", "ack_timeout", "handover"] },
+          at: { type: "string", format: "date-time" },
+          results: { type: "array", items: ref("NotificationResult") },
+        },
+      },
+      Team: {
+        type: "object",
+        properties: {
+          teamId: { type: "string" },
+          name: { type: "string" },
+          description: { type: "string", nullable: true },
+          members: { type: "array", items: { type: "string" } },
+          patientIds: { type: "array", items: { type: "string" } },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+      Shift: {
+        type: "object",
+        properties: {
+          shiftId: { type: "string" },
+          teamId: { type: "string" },
+          aideId: { type: "string" },
+          start: { type: "string", format: "date-time" },
+          end: { type: "string", format: "date-time" },
+          createdAt: { type: "string", format: "date-time" },
+        },
+      },
+      WebhookEvent: {
+        type: "string",
+        enum: ["delivery.recorded", "stock.low", "maintenance.fault", "dose.missed"],
+      },
+      Webhook: {
+        type: "object",
+        properties: {
+          webhookId: { type: "string" },
+          url: { type: "string" },
+          events: { type: "array", items: ref("WebhookEvent") },
+          description: { type: "string", nullable: true },
+          active: { type: "boolean" },
+          secret: { type: "string", description: "Renvoyé à la création et à la rotation" },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+      WebhookDelivery: {
+        type: "object",
+        properties: {
+          deliveryId: { type: "string" },
+          webhookId: { type: "string" },
+          eventId: { type: "string" },
+          event: ref("WebhookEvent"),
+          payload: {
+            type: "object",
+            description: "Corps envoyé : { id, type, createdAt, data }",
+          },
+          status: { type: "string", enum: ["pending", "delivered", "failed"] },
+          attempts: { type: "integer" },
+          createdAt: { type: "string", format: "date-time" },
+          nextAttemptAt: { type: "string", format: "date-time" },
+          deliveredAt: { type: "string", format: "date-time", nullable: true },
+          lastStatus: { type: "integer", nullable: true },
+          lastError: { type: "string", nullable: true },
+          redeliveryOf: { type: "string", nullable: true },
+          history: { type: "array", items: { type: "object" } },
+        },
+      },
+      Refill: {
+        type: "object",
+        properties: {
+          refillId: { type: "string" },
+          patientId: { type: "string" },
+          boxId: { type: "string" },
+          compartiment: { type: "integer" },
+          medocId: { type: "string" },
+          nom_medoc: { type: "string", nullable: true },
+          quantite_ajoutee: { type: "integer" },
+          before: { type: "number" },
+          after: { type: "number" },
+          refilledAt: { type: "string", format: "date-time" },
+          resolvedAlerts: { type: "array", items: { type: "string" } },
+          commandId: { type: "string" },
+        },
+      },
+    },
+  },
+};
@@ -7,6 +7,29 @@ import cors from "cors";
 import mqtt from "mqtt";
 import { WebSocketServer } from "ws";
 import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import {
+  createApiClient,
+  UpstreamError,
+  CircuitOpenError,
+  isTransientError,
+} from "./apiClient.js";
+import {
+  validateSchema,
+  formatErrors,
+  validationError,
+  createRequestValidator,
+} from "./validation.js";
+import { openApiDocument } from "./openapi.js";
+import { generateWebhookSecret, postWebhook } from "./webhooks.js";
+import {
+  createSmtpChannel,
+  createSmsChannel,
+  createWebPushChannel,
+  DEFAULT_PUSH_SERVICE_HOSTS,
+  isPushServiceEndpoint,
+} from "./notifications.js";
 
 dotenv.config();
 
@@ -17,6 +40,49 @@ MQTT_URL=mqtt://mosquitto:1883
 PORT=3200
 API_BASE_URL=https://apidatabasesae-...
 RETRY_INTERVAL_MS=10000
+DATA_DIR=/app/data
+ESCALATION_DELAY_MINUTES=10
+ESCALATION_BACKUP_AIDE_ID=aso123456789
+SCHEDULE_TZ=Europe/Paris
+SCHEDULER_RELOAD_MINUTES=15
+MISSED_DOSE_GRACE_MINUTES=30
+MISSED_DOSE_RETENTION_DAYS=90
+SESSION_SECRET=une_longue_chaine_aleatoire
+AUDIT_SECRET=une_autre_chaine_aleatoire
+ACCESS_TOKEN_TTL_MINUTES=15
+REFRESH_TOKEN_TTL_DAYS=7
+UPSTREAM_TIMEOUT_MS=5000
+UPSTREAM_RETRIES=2
+UPSTREAM_CIRCUIT_THRESHOLD=5
+UPSTREAM_CIRCUIT_COOLDOWN_SECONDS=30
+OUTBOX_RETRY_SECONDS=30
+OUTBOX_MAX_RETRY_MINUTES=30
+DEVICE_REGISTRY_MODE=warn
+HEARTBEAT_INTERVAL_SECONDS=60
+HEARTBEAT_MISSED_LIMIT=3
+COMMAND_TIMEOUT_SECONDS=60
+STOCK_FORECAST_WARNING_DAYS=3
+ALERT_HISTORY_RETENTION_DAYS=90
+DEAD_LETTER_MAX=1000
+NOTIFY_ACK_DELAY_MINUTES=5
+SMTP_HOST=smtp.example.com
+SMTP_PORT=587
+SMTP_USER=alertes@example.com
+SMTP_PASS=motdepasse
+SMTP_FROM=alertes@example.com
+SMS_GATEWAY_URL=https://sms.example.com/send
+SMS_GATEWAY_TOKEN=jeton
+VAPID_PUBLIC_KEY=BN...
+VAPID_PRIVATE_KEY=...
+VAPID_SUBJECT=mailto:admin@example.com
+PUSH_SERVICE_HOSTS=fcm.googleapis.com,updates.push.services.mozilla.com,web.push.apple.com,*.notify.windows.com
+WEBHOOK_MAX_ATTEMPTS=6
+WEBHOOK_RETRY_SECONDS=30
+WEBHOOK_TIMEOUT_MS=10000
+LOGIN_MAX_ATTEMPTS=5
+LOGIN_IP_MAX_ATTEMPTS=20
+LOGIN_LOCKOUT_MINUTES=15
+TRUST_PROXY=1
 # Nouveaux champs pour le Gist :
 GIST_ID=aaaaaaaaaaaaaaaaa
 GITHUB_TOKEN=ghp_xxxxxxxxxxxxxxxxx
@@ -31,6 +97,138 @@ const RETRY_INTERVAL_MS = parseInt(
   process.env.RETRY_INTERVAL_MS || "10000",
   10
 );
+// Appels à l'API Azure : délai max, nouvelles tentatives (GET), coupe-circuit
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS || "5000", 10);
+const UPSTREAM_RETRIES = parseInt(process.env.UPSTREAM_RETRIES || "2", 10);
+const UPSTREAM_CIRCUIT_THRESHOLD = parseInt(
+  process.env.UPSTREAM_CIRCUIT_THRESHOLD || "5",
+  10
+);
+const UPSTREAM_CIRCUIT_COOLDOWN_SECONDS = parseFloat(
+  process.env.UPSTREAM_CIRCUIT_COOLDOWN_SECONDS || "30"
+);
+// Rejeu des écritures en attente : délai initial, doublé à chaque échec
+const OUTBOX_RETRY_SECONDS = parseFloat(process.env.OUTBOX_RETRY_SECONDS || "30");
+const OUTBOX_MAX_RETRY_MINUTES = parseFloat(
+  process.env.OUTBOX_MAX_RETRY_MINUTES || "30"
+);
+// Box absentes du registre : "warn" (traitées et signalées) ou "enforce" (ignorées)
+const DEVICE_REGISTRY_MODE =
+  process.env.DEVICE_REGISTRY_MODE === "enforce" ? "enforce" : "warn";
+// Box déclarée hors ligne après HEARTBEAT_MISSED_LIMIT heartbeats manqués
+const HEARTBEAT_INTERVAL_SECONDS = parseFloat(
+  process.env.HEARTBEAT_INTERVAL_SECONDS || "60"
+);
+const HEARTBEAT_MISSED_LIMIT = parseInt(
+  process.env.HEARTBEAT_MISSED_LIMIT || "3",
+  10
+);
+// Commande vers une box sans réponse après ce délai : "timed_out"
+const COMMAND_TIMEOUT_SECONDS = parseFloat(
+  process.env.COMMAND_TIMEOUT_SECONDS || "60"
+);
+// Avertissement quand un stock sera épuisé dans ce nombre de jours (0 = désactivé)
+const STOCK_FORECAST_WARNING_DAYS = parseFloat(
+  process.env.STOCK_FORECAST_WARNING_DAYS || "3"
+);
+// Historique des alertes conservé pour les statistiques (0 = sans limite)
+const ALERT_HISTORY_RETENTION_DAYS = parseFloat(
+  process.env.ALERT_HISTORY_RETENTION_DAYS || "90"
+);
+// Messages MQTT invalides conservés (les plus anciens sont supprimés)
+const DEAD_LETTER_MAX = parseInt(process.env.DEAD_LETTER_MAX || "1000", 10);
+// Notifications hors WebSocket : immédiates si l'aide n'a aucune WebSocket
+// ouverte, sinon après ce délai sans ACK (0 = uniquement hors ligne)
+const NOTIFY_ACK_DELAY_MINUTES = parseFloat(
+  process.env.NOTIFY_ACK_DELAY_MINUTES || "5"
+);
+// Chaque canal n'est actif que s'il est configuré
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || "587", 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASS = process.env.SMTP_PASS || "";
+const SMTP_FROM = process.env.SMTP_FROM || "alertes@localhost";
+const SMS_GATEWAY_URL = process.env.SMS_GATEWAY_URL || "";
+const SMS_GATEWAY_TOKEN = process.env.SMS_GATEWAY_TOKEN || "";
+const SMS_FROM = process.env.SMS_FROM || "";
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || "";
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || "";
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || "mailto:admin@localhost";
+// Hôtes acceptés pour pushSubscription.endpoint ("*.domaine" pour les sous-domaines)
+const PUSH_SERVICE_HOSTS = process.env.PUSH_SERVICE_HOSTS
+  ? process.env.PUSH_SERVICE_HOSTS.split(",").map((h) => h.trim()).filter(Boolean)
+  : DEFAULT_PUSH_SERVICE_HOSTS;
+// Webhooks sortants : tentatives par envoi, délai initial doublé à chaque échec
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6", 10);
+const WEBHOOK_RETRY_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_SECONDS || "30");
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10);
+// Dossier des fichiers persistés (alertes en attente, ...)
+const DATA_DIR = process.env.DATA_DIR || "./data";
+// Escalade des alertes critiques non acquittées (0 = désactivée)
+const ESCALATION_DELAY_MINUTES = parseFloat(
+  process.env.ESCALATION_DELAY_MINUTES || "10"
+);
+const ESCALATION_BACKUP_AIDE_ID = process.env.ESCALATION_BACKUP_AIDE_ID || "";
+// Fuseau des heure_distrib (ex : Europe/Paris), sinon celui du processus
+const SCHEDULE_TZ = process.env.SCHEDULE_TZ || undefined;
+// Rechargement périodique des plannings de distribution
+const SCHEDULER_RELOAD_MINUTES = parseFloat(
+  process.env.SCHEDULER_RELOAD_MINUTES || "15"
+);
+// Délai après heure_distrib au-delà duquel une prise non délivrée est manquée
+const MISSED_DOSE_GRACE_MINUTES = parseFloat(
+  process.env.MISSED_DOSE_GRACE_MINUTES || "30"
+);
+// Prises manquées conservées, en jours depuis leur détection (0 = sans limite)
+const MISSED_DOSE_RETENTION_DAYS = parseFloat(
+  process.env.MISSED_DOSE_RETENTION_DAYS || "90"
+);
+// Jetons de session (sans SESSION_SECRET, ils ne survivent pas au redémarrage)
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn("SESSION_SECRET not set. Sessions will not survive a restart");
+}
+// Clé HMAC du journal d'audit (à défaut, celle des sessions). Sans l'une ni
+// l'autre, la clé est tirée au démarrage : les entrées écrites avant un
+// redémarrage ne sont plus vérifiables (keyed: false dans /api/audit/verify).
+const AUDIT_SECRET = process.env.AUDIT_SECRET || SESSION_SECRET;
+const AUDIT_SECRET_CONFIGURED = Boolean(
+  process.env.AUDIT_SECRET || process.env.SESSION_SECRET
+);
+if (!AUDIT_SECRET_CONFIGURED) {
+  console.error(
+    "AUDIT_SECRET (or SESSION_SECRET) not set. The audit log is signed with a random key: " +
+      "entries written before a restart will fail verification. Set AUDIT_SECRET in production."
+  );
+}
+const ACCESS_TOKEN_TTL_MINUTES = parseFloat(
+  process.env.ACCESS_TOKEN_TTL_MINUTES || "15"
+);
+const REFRESH_TOKEN_TTL_DAYS = parseFloat(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "7"
+);
+// Force brute : échecs tolérés par compte / par IP avant verrouillage
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || "5", 10);
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(
+  process.env.LOGIN_IP_MAX_ATTEMPTS || "20",
+  10
+);
+const LOGIN_LOCKOUT_MINUTES = parseFloat(
+  process.env.LOGIN_LOCKOUT_MINUTES || "15"
+);
+// Proxys devant la passerelle (ngrok, reverse proxy) dont on croit l'en-tête
+// X-Forwarded-For : "false" (défaut), "true", un nombre de sauts ou une liste
+// d'adresses / sous-réseaux ("loopback, 10.0.0.0/8"). Sans cela, tous les
+// clients ont l'IP du proxy et partagent le compteur d'échecs par IP.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY || "false");
+
+function parseTrustProxy(value) {
+  if (value === "true" || value === "false") return value === "true";
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
 
 // --- CONFIGURATION GIST ---
 const GIST_ID = process.env.GIST_ID || "";
@@ -53,10 +251,173 @@ const httpRequestDurationMicroseconds = new client.Histogram({
   buckets: [0.1, 0.5, 1, 1.5],
 });
 
+// --- Métriques métier ---
+const mqttMessagesCounter = new client.Counter({
+  name: "mqtt_messages_received_total",
+  help: "MQTT messages received from boxes",
+  labelNames: ["alertType"],
+});
+
+const alertsDispatchedCounter = new client.Counter({
+  name: "alerts_dispatched_total",
+  help: "Alerts handled by sendToAide, sent live or queued for an offline aide",
+  labelNames: ["outcome", "alertType"],
+});
+
+// Jauges calculées au moment du scrape à partir de l'état en mémoire
+const pendingAlertsGauge = new client.Gauge({
+  name: "pending_alerts",
+  help: "Unacknowledged alerts waiting in each aide queue",
+  labelNames: ["aide"],
+  collect() {
+    this.reset();
+    pendingAlerts.forEach((queue, aideId) => this.set({ aide: aideId }, queue.size));
+  },
+});
+
+const wsConnectionsGauge = new client.Gauge({
+  name: "websocket_connections",
+  help: "Open WebSocket connections",
+  collect() {
+    let count = 0;
+    wsClients.forEach((set) => (count += set.size));
+    this.set(count);
+  },
+});
+
+const ackLatencyHistogram = new client.Histogram({
+  name: "alert_ack_latency_seconds",
+  help: "Time between alert creation and acknowledgement",
+  labelNames: ["alertType"],
+  buckets: [5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+});
+
+const upstreamDurationHistogram = new client.Histogram({
+  name: "upstream_api_request_duration_seconds",
+  help: "Duration of calls to the Azure database API",
+  labelNames: ["endpoint", "method", "status"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+});
+
+const upstreamErrorsCounter = new client.Counter({
+  name: "upstream_api_errors_total",
+  help: "Failed calls to the Azure database API (HTTP error, network, timeout, circuit open)",
+  labelNames: ["endpoint", "method", "reason"],
+});
+
+const upstreamCircuitGauge = new client.Gauge({
+  name: "upstream_api_circuit_state",
+  help: "Azure API circuit breaker state (0 closed, 0.5 half-open, 1 open)",
+  collect() {
+    const { state } = api.circuitState();
+    this.set(state === "open" ? 1 : state === "half_open" ? 0.5 : 0);
+  },
+});
+
+const outboxEntriesGauge = new client.Gauge({
+  name: "outbox_entries",
+  help: "Upstream writes waiting for sync (pending) or rejected by the API (failed)",
+  labelNames: ["status"],
+  collect() {
+    this.set({ status: "pending" }, outbox.filter((e) => e.status === "pending").length);
+    this.set({ status: "failed" }, outbox.filter((e) => e.status === "failed").length);
+  },
+});
+
+const outboxOldestGauge = new client.Gauge({
+  name: "outbox_oldest_pending_age_seconds",
+  help: "Age of the oldest upstream write waiting for sync",
+  collect() {
+    const oldest = outbox.find((e) => e.status === "pending");
+    this.set(oldest ? (Date.now() - Date.parse(oldest.createdAt)) / 1000 : 0);
+  },
+});
+
+const outboxReplaysCounter = new client.Counter({
+  name: "outbox_replays_total",
+  help: "Replay attempts of queued upstream writes",
+  labelNames: ["outcome"],
+});
+
+const mqttRejectedCounter = new client.Counter({
+  name: "mqtt_messages_rejected_total",
+  help: "MQTT messages dropped: box missing from the registry (enforce mode) or decommissioned",
+  labelNames: ["reason"],
+});
+
+// Mode warn : messages traités bien que leur box soit hors registre
+const mqttUnregisteredCounter = new client.Counter({
+  name: "mqtt_messages_unregistered_total",
+  help: "MQTT messages from boxes missing from the device registry, processed in warn mode",
+});
+
+const mqttDeadLettersCounter = new client.Counter({
+  name: "mqtt_dead_letters_total",
+  help: "MQTT messages failing payload validation, moved to the dead-letter store",
+  labelNames: ["alertType", "reason"],
+});
+
+const boxCommandsCounter = new client.Counter({
+  name: "box_commands_total",
+  help: "Remote commands sent to boxes, by state reached",
+  labelNames: ["command", "status"],
+});
+
+const alertHandoversCounter = new client.Counter({
+  name: "alert_handovers_total",
+  help: "Pending alerts handed over to the aide on duty at shift change",
+});
+
+const notificationsCounter = new client.Counter({
+  name: "notifications_sent_total",
+  help: "Notifications sent to offline or unresponsive users, by channel and outcome",
+  labelNames: ["channel", "outcome"],
+});
+
+const webhookDeliveriesCounter = new client.Counter({
+  name: "webhook_deliveries_total",
+  help: "Webhook delivery attempts by event type and outcome",
+  labelNames: ["event", "outcome"],
+});
+
+const devicesGauge = new client.Gauge({
+  name: "devices_registered",
+  help: "Boxes in the device registry",
+  labelNames: ["status"],
+  collect() {
+    this.reset();
+    devices.forEach((d) => this.inc({ status: d.status }));
+  },
+});
+
+const boxLivenessGauge = new client.Gauge({
+  name: "boxes_liveness",
+  help: "Heartbeat-monitored boxes by liveness state",
+  labelNames: ["status"],
+  collect() {
+    this.set({ status: "online" }, 0);
+    this.set({ status: "offline" }, 0);
+    boxLiveness.forEach((entry) => this.inc({ status: entry.status }));
+  },
+});
+
+const authFailuresCounter = new client.Counter({
+  name: "auth_failed_attempts_total",
+  help: "Failed authentication attempts",
+  labelNames: ["channel"],
+});
+
+const authLockoutsCounter = new client.Counter({
+  name: "auth_lockouts_total",
+  help: "Temporary lockouts after repeated authentication failures",
+  labelNames: ["scope"],
+});
+
 // ======================
 // Express + middleware
 // ======================
 const app = express();
+app.set("trust proxy", TRUST_PROXY);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -76,9 +437,28 @@ app.use((req, res, next) => {
   next();
 });
 
-// simple API key middleware for protected REST endpoints
+function getBearerToken(req) {
+  const header = req.headers["authorization"] || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+// REST protégé : clé d'API (services, box) ou jeton de session utilisateur.
+// req.auth porte l'identité authentifiée.
 function apiKeyMiddleware(req, res, next) {
+  const bearer = getBearerToken(req);
+  if (bearer) {
+    const session = readToken(bearer, "access");
+    if (!session) {
+      return res
+        .status(401)
+        .json({ error: "Unauthorized: invalid or expired token" });
+    }
+    req.auth = { userId: session.sub, role: session.role, sessionId: session.sid };
+    return next();
+  }
+
   const key = req.headers["api_key"];
+  req.auth = { userId: null, role: "service" };
   if (!API_KEY) {
     return next();
   }
@@ -88,52 +468,561 @@ function apiKeyMiddleware(req, res, next) {
   next();
 }
 
+// Paramètres, query et corps validés contre le document OpenAPI (openapi.js) ;
+// toute erreur donne un 400 { error, code: "VALIDATION_ERROR", details }
+const validateRequest = createRequestValidator(openApiDocument);
+
 // ======================
-// In-memory cache for patients
+// Appels à l'API Azure
 // ======================
-let patientsCache = null;
-let patientsCacheTs = 0;
-const PATIENTS_CACHE_TTL_MS = 30_000;
+const api = createApiClient({
+  baseUrl: API_BASE,
+  apiKey: API_KEY,
+  timeoutMs: UPSTREAM_TIMEOUT_MS,
+  retries: UPSTREAM_RETRIES,
+  breakerThreshold: UPSTREAM_CIRCUIT_THRESHOLD,
+  breakerCooldownMs: UPSTREAM_CIRCUIT_COOLDOWN_SECONDS * 1000,
+  onResponse: ({ endpoint, method, status, seconds }) =>
+    upstreamDurationHistogram.observe({ endpoint, method, status }, seconds),
+  onError: (labels) => upstreamErrorsCounter.inc(labels),
+});
 
-async function fetchAllPatients() {
-  const now = Date.now();
-  if (patientsCache && now - patientsCacheTs < PATIENTS_CACHE_TTL_MS) {
-    return patientsCache;
+// Erreur de l'API -> réponse homogène { error, code, upstreamStatus }
+function sendUpstreamError(res, err, context) {
+  if (!(err instanceof UpstreamError)) {
+    console.error(`${context}:`, err);
+    return res.status(500).json({ error: err.message });
+  }
+  console.error(`${context}: ${err.code} ${err.message}`);
+  if (err instanceof CircuitOpenError) {
+    res.set("Retry-After", String(err.retryAfterSeconds));
+  }
+  res.status(err.httpStatus).json({
+    error: err.message,
+    code: err.code,
+    upstreamStatus: err.status,
+  });
+}
+
+// ======================
+// Contrôle d'accès par rôle
+// ======================
+// Rôles : "service" (clé d'API : box, back-office) a tous les droits ;
+// "medecins", "aidesoignants", "patients" viennent du jeton de session.
+// Chaque décision repose sur req.auth, jamais sur les paramètres de la requête.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.auth.role === "service" || roles.includes(req.auth.role)) {
+      return next();
+    }
+    res.status(403).json({ error: "Forbidden: rôle non autorisé" });
+  };
+}
+
+// La ressource appartient à l'utilisateur connecté (ex : sa propre file d'alertes)
+function requireSelf(getUserId) {
+  return (req, res, next) => {
+    if (req.auth.role === "service" || String(getUserId(req)) === req.auth.userId) {
+      return next();
+    }
+    res.status(403).json({ error: "Forbidden: ressource d'un autre utilisateur" });
+  };
+}
+
+// Patient : lui-même ; aide-soignant : ses patients et ceux de ses équipes ;
+// médecin : ses patients suivis
+async function canAccessPatient(auth, patientId) {
+  if (auth.role === "service") return true;
+  if (auth.role === "patients") return String(patientId) === auth.userId;
+  const patient = await findPatient(patientId);
+  if (!patient) return false;
+  if (auth.role === "aidesoignants") {
+    return (
+      String(patient.fk_aide_soignant) === auth.userId ||
+      isTeamMember(patientId, auth.userId)
+    );
+  }
+  if (auth.role === "medecins") {
+    return String(patient.fk_medecin_traitant) === auth.userId;
   }
+  return false;
+}
+
+function requirePatientAccess(getPatientId = (req) => req.params.patientId) {
+  return async (req, res, next) => {
+    if (await canAccessPatient(req.auth, getPatientId(req))) {
+      return next();
+    }
+    res.status(403).json({ error: "Forbidden: patient hors de votre périmètre" });
+  };
+}
+
+// ======================
+// In-memory cache for patients (index par id)
+// ======================
+// La liste complète est rechargée au plus toutes les PATIENTS_CACHE_TTL_MS.
+// Une fois chargée, elle est servie même périmée pendant son rechargement en
+// arrière-plan, et conservée si l'API échoue (stale-while-revalidate).
+// Les écritures faites par la passerelle invalident le patient concerné ;
+// un patient absent de l'index est alors lu seul via /patients/:id.
+const patientsById = new Map();
+let patientsListTs = 0;
+let patientsRefresh = null;
+const PATIENTS_CACHE_TTL_MS = 30_000;
+// id -> date d'invalidation : un rechargement lancé avant ne la réécrit pas
+const invalidatedPatients = new Map();
+// id -> date : patients inconnus de l'API, pour ne pas la réinterroger
+// à chaque message MQTT d'une box non enregistrée
+const missingPatients = new Map();
+// Lectures unitaires en cours, partagées entre appels simultanés
+const patientLookups = new Map();
+
+function refreshPatients() {
+  if (patientsRefresh) return patientsRefresh;
+  const startedAt = Date.now();
+  patientsRefresh = api
+    .get("/patients", "/patients")
+    .then((data) => {
+      // Ne pas remplacer le cache par une réponse d'erreur
+      if (!Array.isArray(data)) throw new Error("réponse inattendue");
+      const previous = new Map(patientsById);
+      patientsById.clear();
+      for (const patient of data) {
+        const id = String(patient.id_patient);
+        missingPatients.delete(id);
+        if (invalidatedPatients.get(id) > startedAt) continue;
+        invalidatedPatients.delete(id);
+        patientsById.set(id, patient);
+      }
+      // Patients invalidés puis relus pendant le rechargement : la lecture
+      // unitaire est plus récente que la liste
+      invalidatedPatients.forEach((at, id) => {
+        if (at > startedAt && previous.has(id)) patientsById.set(id, previous.get(id));
+      });
+      patientsListTs = Date.now();
+    })
+    .catch((err) => {
+      console.error(
+        `[PATIENTS] Rechargement impossible, ${patientsById.size} patient(s) en cache conservé(s): ${err.message}`
+      );
+    })
+    .finally(() => {
+      patientsRefresh = null;
+    });
+  return patientsRefresh;
+}
+
+async function loadPatients() {
   if (!API_BASE) {
     console.warn("API_BASE_URL not set. fetchAllPatients will return []");
-    return [];
+    return;
+  }
+  if (Date.now() - patientsListTs < PATIENTS_CACHE_TTL_MS) return;
+  const refresh = refreshPatients();
+  // Premier chargement : rien à servir en attendant
+  if (patientsListTs === 0) await refresh;
+}
+
+async function fetchAllPatients() {
+  await loadPatients();
+  return Array.from(patientsById.values());
+}
+
+// Lecture d'un seul patient (absent de l'index ou invalidé)
+function lookupPatient(id) {
+  if (patientLookups.has(id)) return patientLookups.get(id);
+  const lookup = api
+    .get("/patients/:id", `/patients/${encodeURIComponent(id)}`)
+    .then((patient) => {
+      if (!patient || patient.id_patient == null) {
+        missingPatients.set(id, Date.now());
+        return null;
+      }
+      invalidatedPatients.delete(id);
+      patientsById.set(id, patient);
+      return patient;
+    })
+    .catch((err) => {
+      if (err.status === 404) {
+        missingPatients.set(id, Date.now());
+      } else {
+        console.error(`[PATIENTS] Lecture de ${id} impossible: ${err.message}`);
+      }
+      return null;
+    })
+    .finally(() => patientLookups.delete(id));
+  patientLookups.set(id, lookup);
+  return lookup;
+}
+
+async function findPatient(patientId) {
+  const id = String(patientId);
+  await loadPatients();
+  if (patientsById.has(id)) return patientsById.get(id);
+  if (Date.now() - (missingPatients.get(id) ?? -Infinity) < PATIENTS_CACHE_TTL_MS) {
+    return null;
+  }
+  if (!API_BASE) return null;
+  return lookupPatient(id);
+}
+
+// À appeler après toute écriture de la passerelle sur un patient
+// (création, suppression, réaffectation)
+function invalidatePatient(patientId) {
+  const id = String(patientId);
+  patientsById.delete(id);
+  missingPatients.delete(id);
+  invalidatedPatients.set(id, Date.now());
+}
+
+// Aide de garde dans l'équipe du patient (l'attitré s'il en fait partie),
+// sinon l'aide-soignant attitré de l'API
+async function getAideForPatient(patientId, now = Date.now()) {
+  const onDuty = aidesOnDuty(patientId, now);
+  let primary = null;
+  try {
+    const p = await findPatient(patientId);
+    primary = p?.fk_aide_soignant || null;
+  } catch (err) {
+    console.error("getAideForPatient error:", err);
   }
-  const url = `${API_BASE}/patients`;
+  if (onDuty.length === 0) return primary;
+  return onDuty.includes(String(primary)) ? primary : onDuty[0];
+}
+
+async function getMedecinForPatient(patientId) {
   try {
-    const res = await fetch(url, {
-      method: "GET",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
-    const data = await res.json();
-    patientsCache = data;
-    patientsCacheTs = Date.now();
-    return data;
+    const p = await findPatient(patientId);
+    if (!p) return null;
+    return p.fk_medecin_traitant || null;
+  } catch (err) {
+    console.error("getMedecinForPatient error:", err);
+    return null;
+  }
+}
+
+// ======================
+// Persistance locale (survit aux redémarrages / mises à jour Watchtower)
+// ======================
+function readJsonFile(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, name), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`[STORE] Lecture de ${name} impossible:`, err);
+    }
+    return fallback;
+  }
+}
+
+// Écriture atomique : fichier temporaire puis rename, pour ne jamais
+// laisser un fichier à moitié écrit en cas de crash
+function writeJsonFile(name, data) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const file = path.join(DATA_DIR, name);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (err) {
+    console.error(`[STORE] Écriture de ${name} impossible:`, err);
+  }
+}
+
+// ======================
+// Journal d'audit clinique (append-only, chaîné par hash)
+// ======================
+// Chaque entrée contient le hash (HMAC AUDIT_SECRET) de la précédente :
+// modifier ou supprimer une ligne du fichier casse la chaîne, et la recalculer
+// demande la clé. La dernière entrée écrite (seq, hash) est gardée à part
+// dans audit-head.json : une troncature de la fin du fichier est détectée,
+// et les entrées suivantes restent chaînées à cette ancre.
+const AUDIT_FILE = "audit.jsonl";
+const AUDIT_HEAD_FILE = "audit-head.json";
+
+function readAuditFile() {
+  try {
+    return fs
+      .readFileSync(path.join(DATA_DIR, AUDIT_FILE), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
   } catch (err) {
-    console.error("Error fetching patients:", err);
+    if (err.code !== "ENOENT") {
+      console.error("[AUDIT] Lecture du journal impossible:", err);
+    }
     return [];
   }
 }
 
-async function getAideForPatient(patientId) {
+const auditEntries = readAuditFile();
+// { seq, hash } de la dernière entrée écrite
+let auditHead =
+  readJsonFile(AUDIT_HEAD_FILE, null) ??
+  (auditEntries.length
+    ? { seq: auditEntries.at(-1).seq, hash: auditEntries.at(-1).hash }
+    : null);
+
+function auditHash(entry) {
+  const { hash, ...content } = entry;
+  return crypto
+    .createHmac("sha256", AUDIT_SECRET)
+    .update(JSON.stringify(content))
+    .digest("hex");
+}
+
+// auth = req.auth (qui), action (quoi), patientId (à qui), before/after (valeurs)
+function recordAudit(auth, action, details = {}) {
+  const { patientId = null, target = null, before = null, after = null } = details;
+  const entry = {
+    seq: auditHead ? auditHead.seq + 1 : 1,
+    at: new Date().toISOString(),
+    actor: { userId: auth?.userId ?? null, role: auth?.role ?? "system" },
+    action,
+    patientId: patientId == null ? null : String(patientId),
+    target,
+    before,
+    after,
+    prevHash: auditHead ? auditHead.hash : null,
+  };
+  entry.hash = auditHash(entry);
+  auditHead = { seq: entry.seq, hash: entry.hash };
   try {
-    const patients = await fetchAllPatients();
-    if (!Array.isArray(patients)) return null;
-    const p = patients.find((x) => String(x.id_patient) === String(patientId));
-    if (!p) return null;
-    return p.fk_aide_soignant || null;
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(
+      path.join(DATA_DIR, AUDIT_FILE),
+      JSON.stringify(entry) + "\n"
+    );
   } catch (err) {
-    console.error("getAideForPatient error:", err);
+    console.error("[AUDIT] Écriture impossible:", err);
+  }
+  writeJsonFile(AUDIT_HEAD_FILE, auditHead);
+  auditEntries.push(entry);
+  return entry;
+}
+
+// Relit le fichier sur disque (et non la copie mémoire) pour détecter une
+// altération ; la dernière entrée doit être l'ancre (sinon brokenAt désigne
+// la première entrée manquante)
+function verifyAuditLog() {
+  const entries = readAuditFile();
+  const result = (brokenAt) => ({
+    valid: brokenAt == null,
+    keyed: AUDIT_SECRET_CONFIGURED,
+    entries: entries.length,
+    brokenAt,
+  });
+  let prevHash = null;
+  for (const entry of entries) {
+    if (entry.prevHash !== prevHash || auditHash(entry) !== entry.hash) {
+      return result(entry.seq);
+    }
+    prevHash = entry.hash;
+  }
+  if (prevHash !== (auditHead?.hash ?? null)) {
+    const lastSeq = entries.length ? entries[entries.length - 1].seq : 0;
+    return result(lastSeq + 1);
+  }
+  return result(null);
+}
+
+// ======================
+// Sessions (jetons signés HMAC)
+// ======================
+// Jeton = base64url(payload).base64url(signature). Le jeton d'accès est court ;
+// le jeton de rafraîchissement est à usage unique (rotation à chaque refresh).
+const SESSIONS_FILE = "sessions.json";
+const sessions = new Map(Object.entries(readJsonFile(SESSIONS_FILE, {})));
+
+function persistSessions() {
+  const now = Date.now();
+  sessions.forEach((session, sid) => {
+    if (session.expiresAt < now) sessions.delete(sid);
+  });
+  writeJsonFile(SESSIONS_FILE, Object.fromEntries(sessions));
+}
+
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const sig = crypto
+    .createHmac("sha256", SESSION_SECRET)
+    .update(body)
+    .digest("base64url");
+  return `${body}.${sig}`;
+}
+
+// Renvoie le payload si le jeton est valide, non expiré et sa session active
+function readToken(token, expectedType) {
+  if (typeof token !== "string") return null;
+  const [body, sig] = token.split(".");
+  if (!body || !sig) return null;
+
+  const expected = crypto.createHmac("sha256", SESSION_SECRET).update(body).digest();
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString());
+  } catch (err) {
+    return null;
+  }
+  if (payload.typ !== expectedType || payload.exp < Date.now()) return null;
+
+  const session = sessions.get(payload.sid);
+  if (!session) return null;
+  if (expectedType === "refresh" && payload.jti !== session.refreshJti) {
+    // Réutilisation d'un ancien jeton de rafraîchissement : session compromise
+    console.warn(`[AUTH] Refresh token rejoué, session ${payload.sid} révoquée`);
+    revokeSession(payload.sid);
+    return null;
+  }
+  return payload;
+}
+
+function issueTokens(session) {
+  session.refreshJti = crypto.randomUUID();
+  persistSessions();
+  const accessToken = signToken({
+    typ: "access",
+    sub: session.userId,
+    role: session.role,
+    sid: session.sid,
+    exp: Date.now() + ACCESS_TOKEN_TTL_MINUTES * 60_000,
+  });
+  const refreshToken = signToken({
+    typ: "refresh",
+    sub: session.userId,
+    sid: session.sid,
+    jti: session.refreshJti,
+    exp: session.expiresAt,
+  });
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: "Bearer",
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+  };
+}
+
+function createSession(userId, role) {
+  const session = {
+    sid: crypto.randomUUID(),
+    userId: String(userId),
+    role,
+    createdAt: new Date().toISOString(),
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_DAYS * 86_400_000,
+    refreshJti: null,
+  };
+  sessions.set(session.sid, session);
+  return issueTokens(session);
+}
+
+// Supprime la session et ferme les WebSockets ouverts avec elle
+function revokeSession(sid) {
+  if (!sessions.delete(sid)) return false;
+  persistSessions();
+  wsClients.forEach((set) => {
+    for (const ws of set) {
+      if (ws.sessionId !== sid) continue;
+      wsSendSafe(ws, { type: "session_revoked" });
+      ws.close(4001, "Session revoked");
+    }
+  });
+  return true;
+}
+
+// ======================
+// Protection contre la force brute (login + WebSocket)
+// ======================
+// Clés : "account:<role>/<id>" et "ip:<adresse>". Un compte subit un délai
+// croissant entre deux essais (1 s, 2 s, 4 s...) puis un verrouillage ;
+// une IP est verrouillée au-delà de LOGIN_IP_MAX_ATTEMPTS échecs.
+const authAttempts = new Map();
+
+function getAttempt(key, now) {
+  const attempt = authAttempts.get(key);
+  // Les échecs anciens sont oubliés
+  if (attempt && now - attempt.lastFailureAt > LOGIN_LOCKOUT_MINUTES * 60_000) {
+    authAttempts.delete(key);
     return null;
   }
+  return attempt || null;
+}
+
+// Sans nouvel échec, une clé expire : les IP vues une seule fois ne
+// s'accumulent pas en mémoire
+function pruneAuthAttempts(now = Date.now()) {
+  for (const key of Array.from(authAttempts.keys())) getAttempt(key, now);
+}
+
+const authAttemptsTimer = setInterval(() => pruneAuthAttempts(), 60_000);
+authAttemptsTimer.unref();
+
+// IP du client d'une requête brute (WebSocket) selon TRUST_PROXY, comme req.ip
+// d'Express : on remonte X-Forwarded-For tant que le saut est un proxy de confiance
+function clientIp(req) {
+  const trust = app.get("trust proxy fn");
+  const forwarded = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((a) => a.trim())
+    .filter(Boolean)
+    .reverse();
+  const chain = [req.socket.remoteAddress, ...forwarded];
+  let i = 0;
+  while (i < chain.length - 1 && trust(chain[i], i)) i++;
+  return chain[i];
+}
+
+// Renvoie { locked, retryAfterMs } si la clé ne peut pas encore réessayer
+function checkAuthThrottle(keys, now = Date.now()) {
+  for (const key of keys) {
+    const attempt = getAttempt(key, now);
+    if (!attempt) continue;
+    if (attempt.lockedUntil > now) {
+      return { key, locked: true, retryAfterMs: attempt.lockedUntil - now };
+    }
+    if (attempt.nextAttemptAt > now) {
+      return { key, locked: false, retryAfterMs: attempt.nextAttemptAt - now };
+    }
+  }
+  return null;
+}
+
+function recordAuthFailure(key, channel, now = Date.now()) {
+  const isAccount = key.startsWith("account:");
+  const attempt = getAttempt(key, now) || {
+    failures: 0,
+    nextAttemptAt: 0,
+    lockedUntil: 0,
+  };
+  attempt.failures += 1;
+  attempt.lastFailureAt = now;
+  if (isAccount && attempt.failures >= 2) {
+    attempt.nextAttemptAt = now + 1000 * 2 ** (attempt.failures - 2);
+  }
+  authAttempts.set(key, attempt);
+  authFailuresCounter.inc({ channel });
+
+  const max = isAccount ? LOGIN_MAX_ATTEMPTS : LOGIN_IP_MAX_ATTEMPTS;
+  if (attempt.failures >= max && attempt.lockedUntil <= now) {
+    attempt.lockedUntil = now + LOGIN_LOCKOUT_MINUTES * 60_000;
+    authLockoutsCounter.inc({ scope: isAccount ? "account" : "ip" });
+    console.warn(
+      `[AUTH] 🔒 Verrouillage ${key} pour ${LOGIN_LOCKOUT_MINUTES} min (${attempt.failures} échecs, ${channel})`
+    );
+  }
+}
+
+function throttleResponse(res, throttle) {
+  res.set("Retry-After", String(Math.ceil(throttle.retryAfterMs / 1000)));
+  return res.status(429).json({
+    error: throttle.locked
+      ? "Compte temporairement verrouillé"
+      : "Trop de tentatives, réessayez plus tard",
+    retryAfter: Math.ceil(throttle.retryAfterMs / 1000),
+  });
 }
 
 // ======================
@@ -158,80 +1047,236 @@ export const server = app.listen(PORT, () => {
 
 const wsClients = new Map();
 const pendingAlerts = new Map();
-const listePannes = [];
-
-export const wss = new WebSocketServer({ server });
-console.log(`WebSocket server attached to HTTP server on port ${PORT}`);
 
-function wsSendSafe(ws, obj) {
-  try {
-    if (ws.readyState === 1) ws.send(JSON.stringify(obj));
-  } catch (err) {
-    console.warn("wsSendSafe error:", err);
+const PENDING_ALERTS_FILE = "pending-alerts.json";
+
+// Recharge les alertes non acquittées sauvegardées avant l'arrêt
+function loadPendingAlerts() {
+  const saved = readJsonFile(PENDING_ALERTS_FILE, {});
+  let count = 0;
+  for (const [aideId, alerts] of Object.entries(saved)) {
+    const queue = new Map();
+    for (const payload of alerts) queue.set(payload.alertId, payload);
+    pendingAlerts.set(aideId, queue);
+    count += queue.size;
   }
+  console.log(`[STORE] ${count} alerte(s) en attente rechargée(s)`);
 }
 
-wss.on("connection", async (ws, req) => {
-  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
-  const token = url.searchParams.get("token");
-  const aideId = url.searchParams.get("id");
-  const password = url.searchParams.get("pwd");
+function persistPendingAlerts() {
+  const snapshot = {};
+  pendingAlerts.forEach((queue, aideId) => {
+    if (queue.size > 0) snapshot[aideId] = Array.from(queue.values());
+  });
+  writeJsonFile(PENDING_ALERTS_FILE, snapshot);
+}
 
-  if (!aideId) {
-    wsSendSafe(ws, { error: "Missing 'id' query param" });
-    ws.close();
-    return;
-  }
-  if (!password) {
-    wsSendSafe(ws, { error: "Missing 'pwd' query param" });
-    ws.close();
+loadPendingAlerts();
+
+// ======================
+// Historique des alertes (cycle de vie pour les statistiques)
+// ======================
+// Journal d'événements created / delivered / acked / resolved / handover,
+// rejoué au démarrage : l'historique survit à l'ACK (qui retire l'alerte de
+// pendingAlerts). Au démarrage puis chaque jour, les alertes créées depuis
+// plus de ALERT_HISTORY_RETENTION_DAYS (hors alertes encore en attente) sont
+// oubliées et le journal est réécrit avec un "snapshot" par alerte.
+const ALERT_HISTORY_FILE = "alert-history.jsonl";
+const alertHistory = new Map();
+
+function applyAlertEvent(event) {
+  if (event.event === "snapshot") {
+    alertHistory.set(event.record.alertId, { ...event.record });
     return;
   }
-
-  if (API_KEY && token !== API_KEY) {
-    wsSendSafe(ws, {
-      error: "Invalid token",
-      debug: {
-        token_recu: token,
-        api_key_attendue: API_KEY,
-        url: url
-      },
+  if (event.event === "created") {
+    alertHistory.set(event.alertId, {
+      alertId: event.alertId,
+      aideId: event.aideId,
+      patientId: event.patientId,
+      boxId: event.boxId,
+      alertType: event.alertType,
+      type: event.type,
+      createdAt: event.at,
+      firstDeliveredAt: null,
+      ackedAt: null,
+      ackedBy: null,
+      resolvedAt: null,
+      resolvedReason: null,
     });
-    //wsSendSafe(ws, { error: "Invalid token" });
-    ws.close();
     return;
   }
+  const record = alertHistory.get(event.alertId);
+  if (!record) return;
+  if (event.event === "delivered") record.firstDeliveredAt = event.at;
+  if (event.event === "acked") {
+    record.ackedAt = event.at;
+    record.ackedBy = event.by;
+  }
+  if (event.event === "resolved") {
+    record.resolvedAt = event.at;
+    record.resolvedReason = event.reason;
+  }
+  // L'alerte change de destinataire au changement de garde
+  if (event.event === "handover") record.aideId = event.to;
+}
 
+function recordAlertEvent(event) {
+  const entry = { ...event, at: new Date().toISOString() };
+  applyAlertEvent(entry);
   try {
-    const response = await fetch(
-      `${API_BASE}/aidesoignants/password/${aideId}`,
-      {
-        method: "GET",
-        headers: {
-          api_key: API_KEY,
-          "Content-Type": "application/json",
-        },
-      }
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(
+      path.join(DATA_DIR, ALERT_HISTORY_FILE),
+      JSON.stringify(entry) + "\n"
     );
+  } catch (err) {
+    console.error("[HISTORIQUE] Écriture impossible:", err);
+  }
+}
 
-    if (!response.ok) {
-      console.error(
-        `[WS Auth] API call failed for aide ${aideId}:`,
-        response.status
+function loadAlertHistory() {
+  try {
+    fs.readFileSync(path.join(DATA_DIR, ALERT_HISTORY_FILE), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .forEach((line) => applyAlertEvent(JSON.parse(line)));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("[HISTORIQUE] Lecture impossible:", err);
+    }
+  }
+}
+
+export function compactAlertHistory(now = Date.now()) {
+  if (ALERT_HISTORY_RETENTION_DAYS > 0) {
+    const pendingIds = new Set();
+    pendingAlerts.forEach((queue) => queue.forEach((_, alertId) => pendingIds.add(alertId)));
+    const cutoff = now - ALERT_HISTORY_RETENTION_DAYS * 24 * 3_600_000;
+    alertHistory.forEach((record, alertId) => {
+      if (Date.parse(record.createdAt) < cutoff && !pendingIds.has(alertId)) {
+        alertHistory.delete(alertId);
+      }
+    });
+  }
+  const at = new Date(now).toISOString();
+  const lines = Array.from(alertHistory.values(), (record) =>
+    JSON.stringify({ event: "snapshot", at, record }) + "\n"
+  );
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const file = path.join(DATA_DIR, ALERT_HISTORY_FILE);
+    fs.writeFileSync(`${file}.tmp`, lines.join(""));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (err) {
+    console.error("[HISTORIQUE] Compactage impossible:", err);
+  }
+}
+
+function markAlertDelivered(alertId) {
+  const record = alertHistory.get(alertId);
+  if (record && !record.firstDeliveredAt) {
+    recordAlertEvent({ event: "delivered", alertId });
+  }
+}
+
+function markAlertAcked(alertId, by) {
+  const record = alertHistory.get(alertId);
+  if (record && !record.ackedAt) {
+    recordAlertEvent({ event: "acked", alertId, by });
+  }
+}
+
+// Retire des files les alertes dont la cause a disparu (box revenue en
+// ligne...) sans attendre l'ACK d'un aide. Renvoie les alertId retirés.
+function resolveAlerts(match, reason) {
+  const resolved = new Set();
+  pendingAlerts.forEach((queue, aideId) => {
+    for (const [alertId, payload] of queue) {
+      if (!match(payload)) continue;
+      queue.delete(alertId);
+      resolved.add(alertId);
+      (wsClients.get(aideId) || []).forEach((ws) =>
+        wsSendSafe(ws, { type: "alert_resolved", alertId, reason })
       );
-      wsSendSafe(ws, { error: "Authentication failed due to API error" });
-      ws.close();
-      return;
     }
+  });
+  if (resolved.size === 0) return [];
+
+  persistPendingAlerts();
+  resolved.forEach((alertId) => {
+    const record = alertHistory.get(alertId);
+    if (record && !record.ackedAt && !record.resolvedAt) {
+      recordAlertEvent({ event: "resolved", alertId, reason });
+    }
+  });
+  return Array.from(resolved);
+}
 
-    const aideData = await response.json();
+loadAlertHistory();
+compactAlertHistory();
+const alertHistoryTimer = setInterval(() => compactAlertHistory(), 24 * 3_600_000);
+alertHistoryTimer.unref();
 
-    if (aideData.mot_de_passe !== password) {
-      wsSendSafe(ws, { error: "Invalid password" });
-      ws.close();
-      return;
+export const wss = new WebSocketServer({ server });
+console.log(`WebSocket server attached to HTTP server on port ${PORT}`);
+
+function wsSendSafe(ws, obj) {
+  try {
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify(obj));
+      return true;
     }
+  } catch (err) {
+    console.warn("wsSendSafe error:", err);
+  }
+  return false;
+}
+
+// Envoi d'une alerte : la première remise effective est historisée
+function deliverAlert(ws, payload) {
+  if (wsSendSafe(ws, payload)) markAlertDelivered(payload.alertId);
+}
+
+// Rôles autorisés à ouvrir un WebSocket (les médecins reçoivent les escalades)
+const WS_ROLES = ["aidesoignants", "medecins"];
+
+wss.on("connection", (ws, req) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  const ipKey = `ip:${clientIp(req)}`;
+
+  if (checkAuthThrottle([ipKey])) {
+    wsSendSafe(ws, { error: "Too many failed attempts" });
+    ws.close();
+    return;
+  }
+  // Jeton de session obtenu via /api/auth/login (les navigateurs ne peuvent
+  // pas poser d'en-tête sur un WebSocket, d'où le paramètre de requête)
+  const token = url.searchParams.get("access_token") || getBearerToken(req);
+
+  if (!token) {
+    wsSendSafe(ws, { error: "Missing 'access_token' query param" });
+    ws.close();
+    return;
+  }
+
+  const session = readToken(token, "access");
+  if (!session) {
+    recordAuthFailure(ipKey, "websocket");
+    wsSendSafe(ws, { error: "Invalid token" });
+    ws.close();
+    return;
+  }
+  if (!WS_ROLES.includes(session.role)) {
+    wsSendSafe(ws, { error: "Role not allowed" });
+    ws.close();
+    return;
+  }
 
+  const aideId = session.sub;
+  ws.sessionId = session.sid;
+
+  try {
     if (!wsClients.has(aideId)) wsClients.set(aideId, new Set());
     wsClients.get(aideId).add(ws);
 
@@ -241,7 +1286,7 @@ wss.on("connection", async (ws, req) => {
 
     const queue = pendingAlerts.get(aideId);
     for (const payload of queue.values()) {
-      wsSendSafe(ws, payload);
+      deliverAlert(ws, payload);
     }
 
     ws.on("message", (msgBuf) => {
@@ -253,18 +1298,26 @@ wss.on("connection", async (ws, req) => {
       }
 
       if (data && data.type === "ack" && data.alertId) {
-        const q = pendingAlerts.get(aideId);
-        if (q && q.has(data.alertId)) {
-          q.delete(data.alertId);
-          console.log(`ACK received: alertId=${data.alertId}`);
-        }
+        // On ne peut acquitter qu'une alerte de sa propre file. Une alerte
+        // escaladée est présente dans plusieurs files : le premier ACK la retire partout
+        const own = pendingAlerts.get(aideId);
+        if (!own || !own.has(data.alertId)) return;
+        const acked = own.get(data.alertId);
+        ackLatencyHistogram.observe(
+          { alertType: acked.alertType || "unknown" },
+          (Date.now() - Date.parse(acked.timestamp)) / 1000
+        );
+        pendingAlerts.forEach((q) => q.delete(data.alertId));
+        persistPendingAlerts();
+        markAlertAcked(data.alertId, aideId);
+        console.log(`ACK received: alertId=${data.alertId} by ${aideId}`);
         return;
       }
 
       if (data && data.type === "resend_pending") {
         const q = pendingAlerts.get(aideId);
         if (q) {
-          for (const payload of q.values()) wsSendSafe(ws, payload);
+          for (const payload of q.values()) deliverAlert(ws, payload);
         }
       }
     });
@@ -287,23 +1340,138 @@ wss.on("connection", async (ws, req) => {
 });
 
 function sendToAide(aideId, data) {
+  // Les ids venant de l'API peuvent être numériques, ceux du WS sont des chaînes
+  aideId = String(aideId);
   if (!pendingAlerts.has(aideId)) pendingAlerts.set(aideId, new Map());
 
   const clients = wsClients.get(aideId);
   const alertId = crypto.randomUUID();
   const payload = { ...data, alertId, timestamp: new Date().toISOString() };
+  if (payload.type === "critical" && ESCALATION_DELAY_MINUTES > 0) {
+    payload.escalation = {
+      level: 0,
+      lastStepAt: payload.timestamp,
+      history: [{ level: 0, role: "aide_soignant", target: aideId, at: payload.timestamp }],
+    };
+  }
   pendingAlerts.get(aideId).set(alertId, payload);
+  persistPendingAlerts();
+
+  const boxMatch = /^alert\/box\/([^/]+)\//.exec(payload.topic || "");
+  recordAlertEvent({
+    event: "created",
+    alertId,
+    aideId,
+    patientId: payload.patientId ?? null,
+    boxId: boxMatch ? boxMatch[1] : null,
+    alertType: payload.alertType ?? null,
+    type: payload.type ?? null,
+  });
 
+  const alertTypeLabel = payload.alertType || "unknown";
   if (!clients || clients.size === 0) {
+    alertsDispatchedCounter.inc({ outcome: "queued_offline", alertType: alertTypeLabel });
     console.log(`Aide ${aideId} offline - stored alert ${alertId}`);
+    notifyUser(aideId, payload, "offline").catch((err) =>
+      console.error("[NOTIF] Erreur:", err)
+    );
     return false;
   }
 
-  clients.forEach((ws) => wsSendSafe(ws, payload));
+  alertsDispatchedCounter.inc({ outcome: "sent", alertType: alertTypeLabel });
+  clients.forEach((ws) => deliverAlert(ws, payload));
   console.log(`Sent alert ${alertId} to aide ${aideId}`);
   return true;
 }
 
+// ======================
+// Escalade des alertes critiques
+// ======================
+// Niveau 1 : aide-soignant de secours, niveau 2 : médecin traitant du patient.
+// Un niveau sans destinataire est sauté.
+async function getEscalationTarget(level, payload) {
+  if (level === 1) {
+    return ESCALATION_BACKUP_AIDE_ID
+      ? { role: "aide_soignant_secours", target: ESCALATION_BACKUP_AIDE_ID }
+      : null;
+  }
+  if (level === 2) {
+    const medecinId = await getMedecinForPatient(payload.patientId);
+    return medecinId
+      ? { role: "medecin_traitant", target: String(medecinId) }
+      : null;
+  }
+  return null;
+}
+
+async function escalateAlert(payload, now) {
+  const esc = payload.escalation;
+  for (let level = esc.level + 1; level <= 2; level++) {
+    const step = await getEscalationTarget(level, payload);
+    if (!step || esc.history.some((h) => h.target === step.target)) continue;
+
+    const at = new Date(now).toISOString();
+    const updated = {
+      ...payload,
+      escalation: {
+        level,
+        lastStepAt: at,
+        history: [...esc.history, { level, ...step, at }],
+      },
+    };
+
+    // Mise à jour dans toutes les files qui détiennent déjà l'alerte
+    const holders = [];
+    pendingAlerts.forEach((q, holderId) => {
+      if (q.has(payload.alertId)) {
+        q.set(payload.alertId, updated);
+        holders.push(holderId);
+      }
+    });
+    if (!pendingAlerts.has(step.target)) {
+      pendingAlerts.set(step.target, new Map());
+    }
+    pendingAlerts.get(step.target).set(payload.alertId, updated);
+    persistPendingAlerts();
+
+    new Set([...holders, step.target]).forEach((id) => {
+      const clients = wsClients.get(id);
+      if (clients) clients.forEach((ws) => deliverAlert(ws, updated));
+    });
+    console.log(
+      `[ESCALADE] Alerte ${payload.alertId} escaladée niveau ${level} -> ${step.target}`
+    );
+    return updated;
+  }
+  return null;
+}
+
+export async function checkEscalations(now = Date.now()) {
+  if (ESCALATION_DELAY_MINUTES <= 0) return;
+  const delayMs = ESCALATION_DELAY_MINUTES * 60_000;
+
+  // Une alerte escaladée est partagée entre plusieurs files : on la traite une fois
+  const alerts = new Map();
+  pendingAlerts.forEach((q) => {
+    for (const payload of q.values()) {
+      if (payload.escalation) alerts.set(payload.alertId, payload);
+    }
+  });
+
+  for (const payload of alerts.values()) {
+    const { level, lastStepAt } = payload.escalation;
+    if (level >= 2 || now - Date.parse(lastStepAt) < delayMs) continue;
+    try {
+      await escalateAlert(payload, now);
+    } catch (err) {
+      console.error("[ESCALADE] Erreur:", err);
+    }
+  }
+}
+
+const escalationTimer = setInterval(() => checkEscalations(), 30_000);
+escalationTimer.unref();
+
 const retryTimer = setInterval(() => {
   try {
     wsClients.forEach((clientSet, aideId) => {
@@ -311,7 +1479,7 @@ const retryTimer = setInterval(() => {
       if (!queue || queue.size === 0) return;
       for (const payload of queue.values()) {
         for (const ws of clientSet) {
-          wsSendSafe(ws, payload);
+          deliverAlert(ws, payload);
         }
       }
     });
@@ -320,1145 +1488,4076 @@ const retryTimer = setInterval(() => {
   }
 }, RETRY_INTERVAL_MS);
 
-export { app };
+export { app, sendToAide };
 
 // ======================
-// MQTT setup
+// Notifications hors WebSocket (email, SMS, Web Push)
 // ======================
-const mqttClient = mqtt.connect(MQTT_URL);
-let mqttConnected = false;
-
-mqttClient.on("connect", () => {
-  mqttConnected = true;
-  console.log("Connected to MQTT broker:", MQTT_URL);
-  mqttClient.subscribe("alert/box/+/+", (err) => {
-    if (err) console.error("MQTT subscribe error:", err);
-    else console.log("Subscribed to MQTT topics: alert/box/+/+");
-  });
-});
+// Une alerte en attente est notifiée sur les canaux choisis par son
+// destinataire : dès sa création si aucune WebSocket n'est ouverte, sinon
+// quand elle reste sans ACK NOTIFY_ACK_DELAY_MINUTES (y compris dans la file
+// d'un aide de secours ou d'un médecin après escalade). Une seule
+// notification par alerte et par destinataire, journalisée dans
+// notifications.json. Préférences : { channels, email, phone,
+// pushSubscription, types } ; types = valeurs de "type" des alertes
+// notifiées (par défaut critical et maintenance).
+const NOTIFICATION_PREFS_FILE = "notification-preferences.json";
+const NOTIFICATION_LOG_FILE = "notifications.json";
+const NOTIFICATION_LOG_MAX = 1000;
+const DEFAULT_NOTIFIED_TYPES = ["critical", "maintenance"];
+
+const notificationChannels = new Map();
+
+// Point d'extension : un canal { name, contactField, send(contact, message) }
+export function registerNotificationChannel(channel) {
+  notificationChannels.set(channel.name, channel);
+}
 
-mqttClient.on("reconnect", () => console.log("MQTT reconnecting..."));
-mqttClient.on("error", (err) => {
-  mqttConnected = false;
-  console.error("MQTT error:", err);
-});
-mqttClient.on("close", () => {
-  mqttConnected = false;
-  console.log("MQTT connection closed");
-});
+if (SMTP_HOST) {
+  registerNotificationChannel(
+    createSmtpChannel({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      user: SMTP_USER,
+      pass: SMTP_PASS,
+      from: SMTP_FROM,
+    })
+  );
+}
+if (SMS_GATEWAY_URL) {
+  registerNotificationChannel(
+    createSmsChannel({ url: SMS_GATEWAY_URL, token: SMS_GATEWAY_TOKEN, from: SMS_FROM })
+  );
+}
+if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
+  registerNotificationChannel(
+    createWebPushChannel({
+      publicKey: VAPID_PUBLIC_KEY,
+      privateKey: VAPID_PRIVATE_KEY,
+      subject: VAPID_SUBJECT,
+      allowedHosts: PUSH_SERVICE_HOSTS,
+    })
+  );
+}
 
-mqttClient.on("message", async (topic, messageBuf) => {
-  const message = messageBuf.toString();
-  console.log(`[MQTT] ${topic} -> ${message}`);
-  
-  const parts = topic.split("/").filter(Boolean);
-  if (parts.length >= 4 && parts[0] === "alert" && parts[1] === "box") {
-    const patientId = parts[2];
-    const alertType = parts.slice(3).join("/");
-    const aideId = await getAideForPatient(patientId);
+const notificationPreferences = new Map(
+  Object.entries(readJsonFile(NOTIFICATION_PREFS_FILE, {}))
+);
+const notificationLog = readJsonFile(NOTIFICATION_LOG_FILE, []);
+const notifiedAlerts = new Set(notificationLog.map((e) => `${e.userId}:${e.alertId}`));
 
-    if (alertType === "mecanic") {
-      console.log("\n/!\\ ALERTE MAINTENANCE /!\\");
-      console.log(`  Box (Patient) : ${patientId}`);
-      console.log(`  Problème      : ${message}`);
-      console.log(`  Responsable   : ${aideId ? aideId : "Aucun"}`);
-      console.log("--------------------------------------------------\n");
-    }else if (alertType === "seuilmedoc") {
-      const payload = {
-        type: "warning",
-        patientId,
-        alertType,
-        message,
-        topic,
-      };
+function persistNotificationPreferences() {
+  writeJsonFile(NOTIFICATION_PREFS_FILE, Object.fromEntries(notificationPreferences));
+}
 
-      if (aideId) {
-        sendToAide(aideId, payload);
-      } else {
-        console.log(`No aide-soignant found for patient ${patientId}`);
-      }
-    }else if (alertType === "plusmedoc") {
-      const payload = {
-        type: "critical",
-        patientId,
-        alertType,
-        message,
-        topic,
-      };
+function recordNotification(entry) {
+  notificationLog.push(entry);
+  if (notificationLog.length > NOTIFICATION_LOG_MAX) {
+    notificationLog
+      .splice(0, notificationLog.length - NOTIFICATION_LOG_MAX)
+      .forEach((e) => notifiedAlerts.delete(`${e.userId}:${e.alertId}`));
+  }
+  writeJsonFile(NOTIFICATION_LOG_FILE, notificationLog);
+}
 
-      if (aideId) {
-        sendToAide(aideId, payload);
-      } else {
-        console.log(`No aide-soignant found for patient ${patientId}`);
-      }
-    }else if (alertType === "delivery") {
-      const data = JSON.parse(message);
-      
-      const payload = {
-        type: "info",
-        patientId,
-        alertType,
-        message,
-        topic,
-      };
-      
-      const heure_distrib = data.heure_distrib;
-      const nom_medoc = data.nom_medoc;
-      const quantite_totale = data.quantite_totale;
-      const quantite_restante = data.quantite_restante;
-      const compartiment = data.compartiment;
-    
-      if (!nom_medoc || !quantite_totale || !quantite_restante || !compartiment) {
-        console.error("il manque des champs");
-      }
+function notificationMessage(payload) {
+  const patient = payload.patientId ? ` - patient ${payload.patientId}` : "";
+  return {
+    subject: `[${payload.type || "alerte"}] ${payload.alertType || "alerte"}${patient}`,
+    text:
+      `${payload.message || "Nouvelle alerte"}\n` +
+      `Alerte ${payload.alertId} du ${payload.timestamp}, en attente d'acquittement.`,
+  };
+}
 
-      if (aideId) {
-        try {
-          if (!API_BASE) {
-            console.error("API_BASE_URL non configurée");
-          }
-          const url = `${API_BASE}/prescriptions/${encodeURIComponent(patientId)}`;
-          const response = await fetch(url, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              heure_distrib,
-              nom_medoc,
-              quantite_totale,
-              quantite_restante,
-              compartiment,
-            }),
-          });
-      
-          if (!response.ok) {
-            console.error("error : ", await response.text());
-          }
-          const data = await response.json();
-          console.log("succes");
-        } catch (err) {
-          console.error("Error posting prescription:", err);
+// Envoie sur chaque canal choisi, configuré et renseigné ; un abonnement
+// push expiré est retiré des préférences
+async function sendNotification(userId, prefs, message) {
+  const targets = prefs.channels.filter(
+    (name) =>
+      notificationChannels.has(name) &&
+      prefs[notificationChannels.get(name).contactField]
+  );
+  return Promise.all(
+    targets.map(async (name) => {
+      const channel = notificationChannels.get(name);
+      try {
+        await channel.send(prefs[channel.contactField], message);
+        notificationsCounter.inc({ channel: name, outcome: "sent" });
+        return { channel: name, ok: true };
+      } catch (err) {
+        notificationsCounter.inc({ channel: name, outcome: "failed" });
+        console.error(`[NOTIF] Échec ${name} pour ${userId}: ${err.message}`);
+        if (err.code === "SUBSCRIPTION_GONE") {
+          prefs.pushSubscription = null;
+          persistNotificationPreferences();
         }
-        //sendToAide(aideId, payload);
-      } else {
-        console.log(`No aide-soignant found for patient ${patientId}`);
+        return { channel: name, ok: false, error: err.message };
       }
-    }else if (alertType === "getprescription") {
-      const payload = {
-        type: "request",
-        patientId,
-        alertType,
-        message,
-        topic,
-      };
+    })
+  );
+}
 
-      if (aideId) {
-        if (!API_BASE)
-          console.error("error: API_BASE_URL not configured");
-        try {
-          const url = `${API_BASE}/prescriptions/${encodeURIComponent(patientId)}`;
-          const response = await fetch(url);
-          if (!response.ok) {
-            console.error("error : ", await response.text());
-          }
-          const data = await response.json();
-          console.log("data : ", data);
-        } catch (err) {
-          console.error("Error fetching prescriptions:", err);
-        }
-        sendToAide(aideId, payload);
-      } else {
-        console.log(`No aide-soignant found for patient ${patientId}`);
-      }
-    }else if (alertType === "getmedocs") {
-      const payload = {
-        type: "request",
-        patientId,
-        alertType,
-        message,
-        topic,
-      };
+async function notifyUser(userId, payload, reason) {
+  const key = `${userId}:${payload.alertId}`;
+  const prefs = notificationPreferences.get(userId);
+  if (!prefs || notifiedAlerts.has(key)) return null;
+  if (!(prefs.types ?? DEFAULT_NOTIFIED_TYPES).includes(payload.type)) return null;
 
-      if (aideId) {
-        try {
-        const url = `${API_BASE}/medocpatients/${encodeURIComponent(patientId)}`;
-        const response = await fetch(url, {
-          method: "GET",
-          headers: {
-            api_key: API_KEY,
-            "Content-Type": "application/json",
-          },
-        });
-    
-        if (!response.ok) {
-          if (response.status === 404) {
-            console.error("pas de medicaments = liste vide");
-          }
-          console.error("erreur : API");
-        }
-    
-        const data = await response.json();
-        console.log("data : ", data);
+  notifiedAlerts.add(key);
+  const results = await sendNotification(userId, prefs, notificationMessage(payload));
+  if (results.length === 0) {
+    notifiedAlerts.delete(key);
+    return null;
+  }
+  const entry = {
+    notificationId: crypto.randomUUID(),
+    userId,
+    alertId: payload.alertId,
+    alertType: payload.alertType ?? null,
+    patientId: payload.patientId ?? null,
+    reason,
+    at: new Date().toISOString(),
+    results,
+  };
+  recordNotification(entry);
+  console.log(
+    `[NOTIF] Alerte ${payload.alertId} -> ${userId} (${reason}): ` +
+      results.map((r) => `${r.channel} ${r.ok ? "ok" : "échec"}`).join(", ")
+  );
+  return entry;
+}
+
+// Alertes restées sans ACK au-delà du délai, quelle que soit la connexion
+export async function checkPendingNotifications(now = Date.now()) {
+  if (NOTIFY_ACK_DELAY_MINUTES <= 0) return;
+  const delayMs = NOTIFY_ACK_DELAY_MINUTES * 60_000;
+  for (const [userId, queue] of pendingAlerts) {
+    for (const payload of Array.from(queue.values())) {
+      if (now - Date.parse(payload.timestamp) < delayMs) continue;
+      try {
+        await notifyUser(userId, payload, "ack_timeout");
       } catch (err) {
-        console.error("Erreur récupération médicaments:", err);
-      }
-        sendToAide(aideId, payload);
-      } else {
-        console.log(`No aide-soignant found for patient ${patientId}`);
+        console.error("[NOTIF] Erreur:", err);
       }
-    }else if (alertType === "createclient") {
-      
-      const payload = {
-        type: "request",
-        patientId,
-        alertType,
-        message,
-        topic,
-      };
+    }
+  }
+}
 
-      if (aideId) {
-        try {
-          const url = `${API_BASE}/patients`;
-          const response = await fetch(url, {
-            method: "POST",
-            headers: {
-              api_key: API_KEY,
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-              id_patient,
-              mot_de_passe: "1234",
-              nomFamille: "default",
-              prenom: id_patient,
-              sexe: "U",
-              date_naissance: null,
-              adresse_postale: null,
-              adresse_electronique: null,
-              fk_aide_soignant: null,
-              fk_medecin_traitant: null,
-            }),
-          });
-      
-          if (!response.ok) {
-            console.error("Erreur lors de la creation d'un patient");
-          }      
-          const data = await response.json();
-          console.log("patient cree avec succes");
-        } catch (err) {
-          console.error("Erreur création patient:", err);
-        }
-        sendToAide(aideId, payload);
-      } else {
-        console.log(`No aide-soignant found for patient ${patientId}`);
+const notificationTimer = setInterval(() => checkPendingNotifications(), 30_000);
+notificationTimer.unref();
+
+// ======================
+// Équipes de soins et roulements de garde
+// ======================
+// Une équipe regroupe des aides-soignants (members) et des patients
+// (patientIds, un patient dans une seule équipe). Un créneau (shift) met un
+// membre de garde de start à end. Les alertes d'un patient vont au membre de
+// garde (son aide-soignant attitré s'il l'est, sinon le premier arrivé) et, à
+// défaut de garde, à fk_aide_soignant comme avant. Au changement de garde,
+// les alertes en attente chez un aide qui n'est plus de garde passent au
+// nouveau (checkShiftHandovers).
+const TEAMS_FILE = "teams.json";
+const SHIFTS_FILE = "shifts.json";
+const teams = readJsonFile(TEAMS_FILE, []);
+const shifts = readJsonFile(SHIFTS_FILE, []);
+
+function persistTeams() {
+  writeJsonFile(TEAMS_FILE, teams);
+}
+
+function persistShifts() {
+  writeJsonFile(SHIFTS_FILE, shifts);
+}
+
+function teamForPatient(patientId) {
+  return teams.find((t) => t.patientIds.includes(String(patientId))) || null;
+}
+
+function isTeamMember(patientId, aideId) {
+  return Boolean(teamForPatient(patientId)?.members.includes(String(aideId)));
+}
+
+function shiftsOnDuty(teamId, now = Date.now()) {
+  return shifts
+    .filter(
+      (s) =>
+        s.teamId === teamId && Date.parse(s.start) <= now && now < Date.parse(s.end)
+    )
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+}
+
+// Aides de garde pour un patient, du plus ancien créneau au plus récent
+function aidesOnDuty(patientId, now = Date.now()) {
+  const team = teamForPatient(patientId);
+  if (!team) return [];
+  return [...new Set(shiftsOnDuty(team.teamId, now).map((s) => s.aideId))];
+}
+
+// Passe les alertes en attente d'un aide qui n'est plus de garde à l'aide de
+// garde de leur patient. Seule la file du destinataire courant est concernée
+// (pas les copies d'une escalade).
+export async function checkShiftHandovers(now = Date.now()) {
+  const targets = new Map();
+  const moves = [];
+  for (const [holderId, queue] of pendingAlerts) {
+    for (const payload of queue.values()) {
+      const team = payload.patientId != null && teamForPatient(payload.patientId);
+      if (!team || alertHistory.get(payload.alertId)?.aideId !== holderId) continue;
+      if (aidesOnDuty(payload.patientId, now).includes(holderId)) continue;
+      const patientId = String(payload.patientId);
+      if (!targets.has(patientId)) {
+        targets.set(patientId, await getAideForPatient(patientId, now));
+      }
+      const target = targets.get(patientId);
+      if (target && String(target) !== holderId) {
+        moves.push({ from: holderId, to: String(target), payload });
       }
     }
   }
-});
+  const at = new Date(now).toISOString();
+  const handed = [];
+  for (const { from, to, payload } of moves) {
+    // Acquittée pendant la recherche des destinataires
+    if (!pendingAlerts.get(from)?.has(payload.alertId)) continue;
+    const updated = {
+      ...payload,
+      handovers: [...(payload.handovers || []), { from, to, at }],
+    };
+    pendingAlerts.get(from).delete(payload.alertId);
+    if (!pendingAlerts.has(to)) pendingAlerts.set(to, new Map());
+    pendingAlerts.get(to).set(payload.alertId, updated);
+    recordAlertEvent({ event: "handover", alertId: payload.alertId, from, to });
+    alertHandoversCounter.inc();
+    handed.push({ alertId: payload.alertId, from, to });
+
+    (wsClients.get(from) || []).forEach((ws) =>
+      wsSendSafe(ws, { type: "alert_handed_over", alertId: payload.alertId, to })
+    );
+    const clients = wsClients.get(to);
+    if (clients && clients.size > 0) {
+      clients.forEach((ws) => deliverAlert(ws, updated));
+    } else {
+      notifyUser(to, updated, "handover").catch((err) =>
+        console.error("[NOTIF] Erreur:", err)
+      );
+    }
+  }
+  if (handed.length > 0) {
+    persistPendingAlerts();
+    console.log(`[GARDE] ${handed.length} alerte(s) transmise(s) à l'aide de garde`);
+  }
+  return handed;
+}
+
+const handoverTimer = setInterval(() => checkShiftHandovers(), 60_000);
+handoverTimer.unref();
 
 // ======================
-// PROMETHEUS ENDPOINT
+// Incidents de maintenance (messages "mecanic")
 // ======================
-app.get("/metrics", async (req, res) => {
-  try {
-    res.set("Content-Type", client.register.contentType);
-    res.end(await client.register.metrics());
-  } catch (ex) {
-    res.status(500).end(ex);
+const INCIDENTS_FILE = "incidents.json";
+const incidents = readJsonFile(INCIDENTS_FILE, []);
+
+function persistIncidents() {
+  writeJsonFile(INCIDENTS_FILE, incidents);
+}
+
+// Une panne répétée sur une box qui a déjà un incident non résolu
+// est rattachée à cet incident au lieu d'en ouvrir un nouveau
+function openIncident(boxId, fault, aideId, patientId = boxId) {
+  const now = new Date().toISOString();
+  const existing = incidents.find(
+    (i) => i.boxId === String(boxId) && i.status !== "resolved"
+  );
+  if (existing) {
+    existing.occurrences += 1;
+    existing.lastSeenAt = now;
+    if (!existing.faults.includes(fault)) existing.faults.push(fault);
+    persistIncidents();
+    return { incident: existing, created: false };
   }
-});
+
+  const incident = {
+    incidentId: crypto.randomUUID(),
+    boxId: String(boxId),
+    patientId: String(patientId),
+    faults: [fault],
+    status: "open",
+    aideId: aideId ? String(aideId) : null,
+    occurrences: 1,
+    openedAt: now,
+    lastSeenAt: now,
+    assignedAt: null,
+    resolvedAt: null,
+    resolution: null,
+  };
+  incidents.push(incident);
+  persistIncidents();
+  return { incident, created: true };
+}
 
 // ======================
-// REST endpoints
+// Outbox : écritures vers l'API en attente de synchronisation
 // ======================
+// Une écriture venant d'une box (delivery, createclient) qui échoue sur une
+// panne passagère de l'API est gardée sur disque puis rejouée dans l'ordre
+// d'arrivée. Un refus de l'API (4xx) ne se corrigera pas seul : l'entrée
+// passe en "failed" et reste visible jusqu'à sa suppression.
+const OUTBOX_FILE = "outbox.json";
+const outbox = readJsonFile(OUTBOX_FILE, []);
+let outboxFlushing = false;
+
+function persistOutbox() {
+  writeJsonFile(OUTBOX_FILE, outbox);
+}
 
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "ok",
-    mqttConnected,
-    wsPort: PORT, // WS is on same port now
-    activeAides: Array.from(wsClients.keys()),
-  });
-});
-
-app.get("/api/clients", apiKeyMiddleware, (req, res) => {
-  const summary = {};
-  wsClients.forEach((set, aideId) => {
-    summary[aideId] = set.size;
-  });
-  res.json({ clients: summary });
-});
+function outboxBackoffMs(attempts) {
+  return Math.min(
+    OUTBOX_RETRY_SECONDS * 1000 * 2 ** (attempts - 1),
+    OUTBOX_MAX_RETRY_MINUTES * 60_000
+  );
+}
 
-app.post("/api/send-alert", apiKeyMiddleware, (req, res) => {
-  const { aideId, patientId, alertType, message } = req.body;
-  if (!aideId || !patientId || !alertType) {
-    return res
-      .status(400)
-      .json({ error: "aideId, patientId and alertType required" });
-  }
-  const payload = {
-    type: "box_alert",
-    patientId,
-    alertType,
-    message: message || "(manual)",
+function enqueueOutbox(write, err) {
+  const now = new Date().toISOString();
+  const entry = {
+    entryId: crypto.randomUUID(),
+    ...write,
+    status: "pending",
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastError: err ? err.message : null,
   };
-  const sent = sendToAide(aideId, payload);
-  res.json({ sent });
-});
+  outbox.push(entry);
+  persistOutbox();
+  console.log(`[OUTBOX] Écriture en attente: ${write.method} ${write.path} (${write.source})`);
+  return entry;
+}
 
-app.get("/api/patients/of/:aideId", apiKeyMiddleware, async (req, res) => {
-  const aideId = req.params.aideId;
+// write = { endpoint, path, method, body, source, patientId }.
+// Renvoie { data } si l'API a accepté l'écriture, { queued } si elle attend.
+// Tant que des écritures sont en attente, les nouvelles passent derrière
+// pour que l'API les reçoive dans l'ordre.
+async function writeOrQueue(write) {
+  if (outbox.some((e) => e.status === "pending")) {
+    return { queued: enqueueOutbox(write, null) };
+  }
   try {
-    const all = await fetchAllPatients();
-    const myPatients = (all || [])
-      .filter((p) => String(p.fk_aide_soignant) === String(aideId))
-      .map((p) => ({
-        id_patient: p.id_patient,
-        nomFamille: p.nomFamille,
-        prenom: p.prenom,
-      }));
-    res.json({ patients: myPatients });
+    const data = await api.request(write.endpoint, write.path, {
+      method: write.method,
+      body: write.body,
+    });
+    return { data };
   } catch (err) {
-    console.error("/api/patients/of error:", err);
-    res.status(500).json({ error: "failed" });
+    if (!isTransientError(err)) throw err;
+    return { queued: enqueueOutbox(write, err) };
   }
-});
+}
 
-app.get("/api/prescriptions/:patientId", apiKeyMiddleware, async (req, res) => {
-  const pid = req.params.patientId;
-  if (!API_BASE)
-    return res.status(500).json({ error: "API_BASE_URL not configured" });
+// Rejoue les écritures en attente dans l'ordre ; s'arrête à la première
+// qui échoue encore pour ne pas doubler les précédentes
+export async function flushOutbox(now = Date.now()) {
+  if (outboxFlushing) return;
+  outboxFlushing = true;
   try {
-    const url = `${API_BASE}/prescriptions/${encodeURIComponent(pid)}`;
-    const r = await fetch(url);
-    if (!r.ok) {
-      return res.status(r.status).json({ error: await r.text() });
+    for (const entry of outbox.filter((e) => e.status === "pending")) {
+      if (Date.parse(entry.nextAttemptAt) > now) break;
+      entry.attempts += 1;
+      try {
+        await api.request(entry.endpoint, entry.path, {
+          method: entry.method,
+          body: entry.body,
+        });
+        outbox.splice(outbox.indexOf(entry), 1);
+        if (entry.endpoint.startsWith("/patients")) invalidatePatient(entry.patientId);
+        outboxReplaysCounter.inc({ outcome: "synced" });
+        console.log(`[OUTBOX] ✅ Synchronisée: ${entry.method} ${entry.path}`);
+      } catch (err) {
+        entry.lastError = err.message;
+        if (isTransientError(err)) {
+          entry.nextAttemptAt = new Date(
+            now + outboxBackoffMs(entry.attempts)
+          ).toISOString();
+          outboxReplaysCounter.inc({ outcome: "retry" });
+          break;
+        }
+        entry.status = "failed";
+        entry.failedAt = new Date(now).toISOString();
+        outboxReplaysCounter.inc({ outcome: "failed" });
+        console.error(`[OUTBOX] Rejetée par l'API: ${entry.method} ${entry.path}`);
+      }
     }
-    const data = await r.json();
-    res.json(data);
-  } catch (err) {
-    console.error("Error fetching prescriptions:", err);
-    res.status(500).json({ error: err.message });
+  } finally {
+    persistOutbox();
+    outboxFlushing = false;
   }
-});
-
-app.post("/api/prescriptions", apiKeyMiddleware, async (req, res) => {
-  const pid = req.params.patientId;
-  const {
-    heure_distrib,
-    nom_medoc,
-    quantite_totale,
-    quantite_restante,
-    compartiment,
-  } = req.body;
+}
 
-  if (!nom_medoc || !quantite_totale || !quantite_restante || !compartiment) {
-    return res.status(400).json({ error: "Champs obligatoires manquants" });
-  }
+const outboxTimer = setInterval(() => flushOutbox(), 10_000);
+outboxTimer.unref();
 
-  try {
-    if (!API_BASE) {
-      return res.status(500).json({ error: "API_BASE_URL non configurée" });
-    }
-    const url = `${API_BASE}/prescriptions/${encodeURIComponent(pid)}`;
-    const r = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        heure_distrib,
-        nom_medoc,
-        quantite_totale,
-        quantite_restante,
-        compartiment,
-      }),
-    });
+// ======================
+// Webhooks sortants (pharmacie, système d'information hospitalier)
+// ======================
+// Les partenaires s'abonnent par type d'événement (WEBHOOK_EVENTS). Chaque
+// événement donne un envoi par abonnement actif, journalisé dans
+// webhook-deliveries.json : "pending" tant qu'il reste des tentatives (délai
+// doublé à chaque échec), puis "delivered" ou "failed". Un envoi peut être
+// rejoué à la main : nouvel envoi du même événement (même id).
+const WEBHOOK_EVENTS = ["delivery.recorded", "stock.low", "maintenance.fault", "dose.missed"];
+const WEBHOOKS_FILE = "webhooks.json";
+const WEBHOOK_DELIVERIES_FILE = "webhook-deliveries.json";
+const WEBHOOK_DELIVERIES_MAX = 1000;
+const webhooks = readJsonFile(WEBHOOKS_FILE, []);
+const webhookDeliveries = readJsonFile(WEBHOOK_DELIVERIES_FILE, []);
+let webhooksFlushing = false;
+let webhooksFlushAgain = false;
+
+function persistWebhooks() {
+  writeJsonFile(WEBHOOKS_FILE, webhooks);
+}
 
-    if (!r.ok) {
-      return res.status(r.status).json({ error: await r.text() });
+// Les plus anciens envois terminés sont supprimés, jamais ceux en attente
+function persistWebhookDeliveries() {
+  let excess = webhookDeliveries.length - WEBHOOK_DELIVERIES_MAX;
+  for (let i = 0; excess > 0 && i < webhookDeliveries.length; ) {
+    if (webhookDeliveries[i].status === "pending") {
+      i++;
+    } else {
+      webhookDeliveries.splice(i, 1);
+      excess--;
     }
-    const data = await r.json();
-    res.json({ success: true, data });
-  } catch (err) {
-    console.error("Error posting prescription:", err);
-    res.status(500).json({ error: err.message });
   }
-});
+  writeJsonFile(WEBHOOK_DELIVERIES_FILE, webhookDeliveries);
+}
 
-// ======================
-// ENDPOINT D'AUTHENTIFICATION
-// ======================
-app.post("/api/auth/login", async (req, res) => {
-  const { id, password, role } = req.body;
+// Le secret n'est renvoyé qu'à la création et à sa rotation
+function webhookView({ secret, ...webhook }) {
+  return webhook;
+}
 
-  if (!id || !password || !role) {
-    return res.status(400).json({
-      error: "Paramètres manquants",
-      required: ["id", "password", "role"],
-    });
-  }
+function webhookBackoffMs(attempts) {
+  return WEBHOOK_RETRY_SECONDS * 1000 * 2 ** (attempts - 1);
+}
+
+function newWebhookDelivery(webhook, event, redeliveryOf = null) {
+  const now = new Date().toISOString();
+  return {
+    deliveryId: crypto.randomUUID(),
+    webhookId: webhook.webhookId,
+    eventId: event.id,
+    event: event.type,
+    payload: event,
+    status: "pending",
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    deliveredAt: null,
+    lastStatus: null,
+    lastError: null,
+    redeliveryOf,
+    history: [],
+  };
+}
 
-  const validRoles = ["medecins", "patients", "aidesoignants"];
-  if (!validRoles.includes(role)) {
-    return res.status(400).json({
-      error: "Rôle invalide",
-      validRoles,
+// now : horloge imposée (tests) ; sinon l'heure est lue au début de la
+// tentative puis à la réponse, qui peut arriver WEBHOOK_TIMEOUT_MS plus tard
+async function attemptWebhookDelivery(webhook, delivery, now) {
+  const clock = () => now ?? Date.now();
+  const at = new Date(clock()).toISOString();
+  delivery.attempts += 1;
+  try {
+    const { status, durationMs } = await postWebhook({
+      url: webhook.url,
+      secret: webhook.secret,
+      event: delivery.payload,
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
     });
+    delivery.status = "delivered";
+    delivery.deliveredAt = at;
+    delivery.lastStatus = status;
+    delivery.lastError = null;
+    delivery.history.push({ at, status, durationMs });
+    webhookDeliveriesCounter.inc({ event: delivery.event, outcome: "delivered" });
+  } catch (err) {
+    delivery.lastStatus = err.status ?? null;
+    delivery.lastError = err.message;
+    delivery.history.push({ at, status: delivery.lastStatus, error: err.message });
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = "failed";
+      delivery.failedAt = at;
+      webhookDeliveriesCounter.inc({ event: delivery.event, outcome: "failed" });
+      console.error(
+        `[WEBHOOK] Abandon ${delivery.event} -> ${webhook.url} après ${delivery.attempts} tentative(s): ${err.message}`
+      );
+    } else {
+      delivery.nextAttemptAt = new Date(
+        clock() + webhookBackoffMs(delivery.attempts)
+      ).toISOString();
+      webhookDeliveriesCounter.inc({ event: delivery.event, outcome: "retry" });
+    }
   }
+  return delivery;
+}
 
+// Envoie les livraisons dues des abonnements actifs (celles d'un abonnement
+// désactivé attendent sa réactivation). Les abonnements sont servis en
+// parallèle, chacun dans l'ordre de ses envois : un destinataire injoignable
+// ne retarde pas les autres. now : horloge imposée (tests).
+export async function flushWebhooks(now) {
+  if (webhooksFlushing) {
+    webhooksFlushAgain = true;
+    return;
+  }
+  webhooksFlushing = true;
   try {
-    console.log(`[AUTH] Tentative: ${role}/${id}`);
-    const apiUrl = `${API_BASE}/${role}/${id}`;
+    do {
+      webhooksFlushAgain = false;
+      const at = now ?? Date.now();
+      const due = new Map();
+      for (const delivery of webhookDeliveries) {
+        if (delivery.status !== "pending" || Date.parse(delivery.nextAttemptAt) > at) continue;
+        const webhook = webhooks.find((w) => w.webhookId === delivery.webhookId);
+        if (!webhook?.active) continue;
+        if (!due.has(webhook)) due.set(webhook, []);
+        due.get(webhook).push(delivery);
+      }
+      await Promise.all(
+        Array.from(due, async ([webhook, deliveries]) => {
+          for (const delivery of deliveries) {
+            await attemptWebhookDelivery(webhook, delivery, now);
+          }
+        })
+      );
+      persistWebhookDeliveries();
+    } while (webhooksFlushAgain);
+  } finally {
+    webhooksFlushing = false;
+  }
+}
 
-    const response = await fetch(apiUrl, {
-      method: "GET",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
+// type : l'un des WEBHOOK_EVENTS ; data : contenu propre à l'événement
+function emitWebhookEvent(type, data) {
+  const targets = webhooks.filter((w) => w.active && w.events.includes(type));
+  if (targets.length === 0) return null;
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+  targets.forEach((w) => webhookDeliveries.push(newWebhookDelivery(w, event)));
+  persistWebhookDeliveries();
+  flushWebhooks().catch((err) => console.error("[WEBHOOK] Erreur:", err));
+  return event;
+}
 
-    if (!response.ok) {
-      console.log(`[AUTH] Non trouvé: ${response.status}`);
-      return res.status(404).json({ error: "Utilisateur non trouvé" });
-    }
+const webhookTimer = setInterval(() => flushWebhooks(), 10_000);
+webhookTimer.unref();
+
+// ======================
+// Registre des box
+// ======================
+// deviceId = identifiant matériel de la box. Les topics MQTT portent soit ce
+// deviceId, soit (anciennes box) l'id du patient auquel la box est affectée.
+const DEVICES_FILE = "devices.json";
+const devices = new Map(
+  readJsonFile(DEVICES_FILE, []).map((d) => [d.deviceId, d])
+);
+// lastSeenAt change à chaque message : écrit sur disque par lot
+let devicesDirty = false;
 
-    const userData = await response.json();
+function persistDevices() {
+  writeJsonFile(DEVICES_FILE, Array.from(devices.values()));
+  devicesDirty = false;
+}
 
-    if (!userData || !userData.mot_de_passe) {
-      return res.status(404).json({ error: "Utilisateur non trouvé" });
-    }
+const devicesFlushTimer = setInterval(() => {
+  if (devicesDirty) persistDevices();
+}, 30_000);
+devicesFlushTimer.unref();
 
-    if (userData.mot_de_passe !== password) {
-      console.log(`[AUTH] Mot de passe incorrect`);
-      return res.status(401).json({ error: "Mot de passe incorrect" });
+function activeDeviceForPatient(patientId) {
+  for (const device of devices.values()) {
+    if (device.status === "active" && device.patientId === String(patientId)) {
+      return device;
     }
+  }
+  return null;
+}
 
-    console.log(`[AUTH] ✅ Succès: ${role}/${id}`);
+// Id à utiliser dans les topics vers la box d'un patient
+function boxTopicId(patientId) {
+  return activeDeviceForPatient(patientId)?.deviceId ?? String(patientId);
+}
 
-    res.json({
-      success: true,
-      user: userData,
-      role: role,
-      message: "Authentification réussie",
-    });
-  } catch (error) {
-    console.error(`[AUTH] Erreur:`, error);
-    res.status(500).json({
-      error: "Erreur serveur",
-      message: error.message,
-    });
+// Id de box (topic, URL) -> patient. Box hors registre : l'id est pris
+// pour celui du patient, comme avant le registre.
+function patientIdForBox(boxId) {
+  const device = devices.get(String(boxId));
+  return device ? device.patientId : String(boxId);
+}
+
+// Vérifie l'id d'un topic entrant.
+// Renvoie { device, patientId } ou { rejected: raison }.
+function resolveBox(boxId) {
+  let device = devices.get(boxId) ?? null;
+  if (device?.status === "decommissioned") {
+    return { rejected: "decommissioned" };
   }
-});
+  if (!device) device = activeDeviceForPatient(boxId);
+  if (!device) {
+    if (DEVICE_REGISTRY_MODE === "enforce") return { rejected: "unknown_device" };
+    mqttUnregisteredCounter.inc();
+    console.warn(`[DEVICE] Box ${boxId} absente du registre (mode warn)`);
+    return { device: null, patientId: boxId };
+  }
+  return { device, patientId: device.patientId };
+}
+
+function touchDevice(device, topic) {
+  device.lastSeenAt = new Date().toISOString();
+  device.lastTopic = topic;
+  devicesDirty = true;
+}
 
 // ======================
-// ENDPOINT D'INSCRIPTION
+// Surveillance des heartbeats des box
 // ======================
+// Les box publient sur alert/box/{boxId}/heartbeat toutes les
+// HEARTBEAT_INTERVAL_SECONDS. Seules les box qui ont déjà envoyé un heartbeat
+// sont surveillées (les anciens firmwares n'en envoient pas) ; ensuite, tout
+// message de la box prouve qu'elle est en vie.
+const BOX_LIVENESS_FILE = "box-liveness.json";
+const boxLiveness = new Map(Object.entries(readJsonFile(BOX_LIVENESS_FILE, {})));
+// Les heartbeats manqués pendant un arrêt de la passerelle ne comptent pas
+const livenessStartedAt = Date.now();
+let livenessDirty = false;
+
+function persistBoxLiveness() {
+  writeJsonFile(BOX_LIVENESS_FILE, Object.fromEntries(boxLiveness));
+  livenessDirty = false;
+}
 
-// Fonction pour générer un ID unique
-function generateUniqueId(role) {
-  const prefix =
-    role === "aidesoignants" ? "aso" : role === "medecins" ? "med" : "pat";
-  const timestamp = Date.now().toString().slice(-6);
-  const random = Math.floor(Math.random() * 1000);
-  return `${prefix}${timestamp}${random}`;
+function missedHeartbeats(entry, now) {
+  const since = Math.max(Date.parse(entry.lastSeenAt), livenessStartedAt);
+  return Math.max(0, Math.floor((now - since) / (HEARTBEAT_INTERVAL_SECONDS * 1000)));
 }
 
-// Inscription aide-soignant
-app.post("/api/auth/signup/aidesoignant", async (req, res) => {
-  const {
-    nomFamille,
-    prenom,
-    date_naissance,
-    sexe,
-    adresse_postale,
-    adresse_electronique,
-    mot_de_passe,
-  } = req.body;
+function livenessView(entry, now = Date.now()) {
+  if (!entry) return { status: "unknown", monitored: false };
+  return {
+    status: entry.status,
+    monitored: true,
+    lastHeartbeatAt: entry.lastHeartbeatAt,
+    lastSeenAt: entry.lastSeenAt,
+    missedHeartbeats: missedHeartbeats(entry, now),
+    offlineSince: entry.offlineSince,
+    report: entry.report,
+  };
+}
 
-  // Validation des champs requis
-  if (!nomFamille || !prenom || !mot_de_passe) {
-    return res.status(400).json({
-      error: "Champs obligatoires manquants",
-      required: ["nomFamille", "prenom", "mot_de_passe"],
-    });
+function recordBoxActivity(boxId, patientId, heartbeat, now = Date.now()) {
+  let entry = boxLiveness.get(boxId);
+  if (!entry && !heartbeat) return;
+  if (!entry) {
+    entry = {
+      boxId,
+      patientId,
+      status: "online",
+      lastHeartbeatAt: null,
+      lastSeenAt: null,
+      offlineSince: null,
+      report: null,
+    };
+    boxLiveness.set(boxId, entry);
+    console.log(`[HEARTBEAT] Box ${boxId} surveillée`);
   }
+  entry.patientId = patientId;
+  entry.lastSeenAt = new Date(now).toISOString();
+  if (heartbeat) {
+    entry.lastHeartbeatAt = entry.lastSeenAt;
+    if (heartbeat !== true) entry.report = heartbeat;
+  }
+  livenessDirty = true;
+
+  if (entry.status === "offline") {
+    console.log(`[HEARTBEAT] ✅ Box ${boxId} de nouveau en ligne`);
+    entry.status = "online";
+    entry.offlineSince = null;
+    persistBoxLiveness();
+    resolveAlerts(
+      (p) => p.alertType === "offline" && p.boxId === boxId,
+      "box_online"
+    );
+  }
+}
 
-  try {
-    // Générer un ID unique
-    const id_aide_soignant = generateUniqueId("aidesoignants");
-
-    const response = await fetch(`${API_BASE}/aidesoignants`, {
-      method: "POST",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        id_aide_soignant,
-        mot_de_passe,
-        nomFamille,
-        prenom,
-        sexe: sexe || "U",
-        date_naissance: date_naissance || null,
-        adresse_postale: adresse_postale || null,
-        adresse_electronique: adresse_electronique || null,
-      }),
+export async function checkHeartbeats(now = Date.now()) {
+  for (const entry of boxLiveness.values()) {
+    if (entry.status !== "online") continue;
+    const missed = missedHeartbeats(entry, now);
+    if (missed < HEARTBEAT_MISSED_LIMIT) continue;
+
+    entry.status = "offline";
+    entry.offlineSince = new Date(now).toISOString();
+    livenessDirty = true;
+    console.log(`[HEARTBEAT] ⚠️ Box ${entry.boxId} hors ligne (${missed} heartbeats manqués)`);
+    emitWebhookEvent("maintenance.fault", {
+      patientId: entry.patientId,
+      boxId: entry.boxId,
+      source: "heartbeat",
+      fault: "offline",
+      lastSeenAt: entry.lastSeenAt,
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      return res.status(response.status).json({
-        error: "Erreur création compte",
-        details: errorText,
+    const aideId = await getAideForPatient(entry.patientId);
+    if (aideId) {
+      sendToAide(aideId, {
+        type: "maintenance",
+        patientId: entry.patientId,
+        boxId: entry.boxId,
+        alertType: "offline",
+        message: `Box ${entry.boxId} muette depuis ${entry.lastSeenAt}`,
+        topic: `alert/box/${entry.boxId}/heartbeat`,
+        liveness: livenessView(entry, now),
       });
+    } else {
+      console.log(`No aide-soignant found for patient ${entry.patientId}`);
     }
-
-    const data = await response.json();
-    console.log(`[SIGNUP] ✅ Aide-soignant créé: ${id_aide_soignant}`);
-
-    res.status(201).json({
-      success: true,
-      user: data,
-      id: id_aide_soignant,
-      message: "Compte aide-soignant créé avec succès",
-    });
-  } catch (error) {
-    console.error(`[SIGNUP] Erreur:`, error);
-    res.status(500).json({
-      error: "Erreur serveur",
-      message: error.message,
-    });
   }
-});
+  if (livenessDirty) persistBoxLiveness();
+}
 
-// Inscription médecin
-app.post("/api/auth/signup/medecin", async (req, res) => {
-  const {
-    nomFamille,
-    prenom,
-    date_naissance,
-    sexe,
-    adresse_postale,
-    adresse_electronique,
-    mot_de_passe,
-  } = req.body;
+const heartbeatTimer = setInterval(() => checkHeartbeats(), 15_000);
+heartbeatTimer.unref();
 
-  if (!nomFamille || !prenom || !mot_de_passe) {
-    return res.status(400).json({
-      error: "Champs obligatoires manquants",
-      required: ["nomFamille", "prenom", "mot_de_passe"],
-    });
-  }
+// ======================
+// MQTT setup
+// ======================
+const mqttClient = mqtt.connect(MQTT_URL);
+let mqttConnected = false;
 
-  try {
-    const id_medecin = generateUniqueId("medecins");
+mqttClient.on("connect", () => {
+  mqttConnected = true;
+  console.log("Connected to MQTT broker:", MQTT_URL);
+  mqttClient.subscribe("alert/box/+/+", (err) => {
+    if (err) console.error("MQTT subscribe error:", err);
+    else console.log("Subscribed to MQTT topics: alert/box/+/+");
+  });
+});
+
+mqttClient.on("reconnect", () => console.log("MQTT reconnecting..."));
+mqttClient.on("error", (err) => {
+  mqttConnected = false;
+  console.error("MQTT error:", err);
+});
+mqttClient.on("close", () => {
+  mqttConnected = false;
+  console.log("MQTT connection closed");
+});
+
+mqttClient.on("message", handleMqttMessage);
+
+// ======================
+// Réponses MQTT aux requêtes des box
+// ======================
+// Les réponses partent sur alert/box/{id}/response/{type} : 5 niveaux,
+// donc jamais reçues en retour par l'abonnement alert/box/+/+
+
+// La box envoie soit du JSON { "correlationId": "..." }, soit l'id en texte brut
+function getCorrelationId(message) {
+  try {
+    const data = JSON.parse(message);
+    if (data && typeof data === "object") {
+      return data.correlationId ?? data.requestId ?? null;
+    }
+  } catch (err) {}
+  return message.trim() || null;
+}
+
+function boxError(code, message, status = null) {
+  return { ok: false, error: { code, message, status } };
+}
+
+// Interroge l'API et renvoie un résultat prêt à publier (jamais d'exception)
+async function fetchForBox(endpoint, path, emptyMessage) {
+  try {
+    const data = await api.get(endpoint, path);
+    if (data == null || (Array.isArray(data) && data.length === 0)) {
+      return boxError("EMPTY", emptyMessage);
+    }
+    return { ok: true, data };
+  } catch (err) {
+    if (err.status === 404) {
+      return boxError("EMPTY", emptyMessage, 404);
+    }
+    console.error(`[MQTT] ${endpoint}: ${err.message}`);
+    return boxError(err.code || "UPSTREAM_ERROR", err.message, err.status ?? null);
+  }
+}
+
+function replyToBox(boxId, requestType, correlationId, result) {
+  const topic = `alert/box/${boxId}/response/${requestType}`;
+  const body = {
+    correlationId,
+    type: requestType,
+    timestamp: new Date().toISOString(),
+    ...result,
+  };
+  mqttClient.publish(topic, JSON.stringify(body), { qos: 1 }, (err) => {
+    if (err) console.error(`[MQTT] Publication ${topic} échouée:`, err);
+  });
+  if (!result.ok) {
+    console.log(`[MQTT] Réponse d'erreur ${result.error.code} -> ${topic}`);
+  }
+}
+
+// ======================
+// Commandes à distance vers les box
+// ======================
+// POST /api/device/:deviceId/commands publie sur alert/box/{boxId}/cmd/{command}
+// un message portant un commandId. La box répond sur alert/box/{boxId}/cmdack
+// avec { commandId, ok, error } ; sans réponse après COMMAND_TIMEOUT_SECONDS
+// la commande passe en "timed_out". États : sent, acknowledged, failed, timed_out.
+// Chaque changement d'état est poussé par WebSocket au demandeur et à
+// l'aide-soignant du patient. La commande "refill" n'est envoyée que par
+// le workflow de recharge.
+const BOX_COMMANDS = {
+  dispense: {
+    type: "object",
+    required: ["compartiment"],
+    additionalProperties: false,
+    properties: { compartiment: { type: "integer", minimum: 1 } },
+  },
+  open_compartment: {
+    type: "object",
+    required: ["compartiment"],
+    additionalProperties: false,
+    properties: { compartiment: { type: "integer", minimum: 1 } },
+  },
+  reboot: { type: "object", additionalProperties: false, properties: {} },
+  sync_clock: { type: "object", additionalProperties: false, properties: {} },
+};
+
+const COMMANDS_FILE = "box-commands.json";
+const COMMANDS_HISTORY_MAX = 1000;
+const boxCommands = readJsonFile(COMMANDS_FILE, []);
+
+function persistBoxCommands() {
+  if (boxCommands.length > COMMANDS_HISTORY_MAX) {
+    boxCommands.splice(0, boxCommands.length - COMMANDS_HISTORY_MAX);
+  }
+  writeJsonFile(COMMANDS_FILE, boxCommands);
+}
+
+function notifyCommandUpdate(command) {
+  const recipients = new Set([command.aideId, command.requestedBy.userId]);
+  recipients.forEach((userId) => {
+    (wsClients.get(userId) || []).forEach((ws) =>
+      wsSendSafe(ws, { type: "command_update", command })
+    );
+  });
+}
+
+function setCommandStatus(command, status, now = new Date()) {
+  command.status = status;
+  command.updatedAt = now.toISOString();
+  boxCommandsCounter.inc({ command: command.command, status });
+  persistBoxCommands();
+  notifyCommandUpdate(command);
+}
+
+function sendBoxCommand({ patientId, command, params, auth, aideId }) {
+  const now = new Date();
+  const boxId = boxTopicId(patientId);
+  const entry = {
+    commandId: crypto.randomUUID(),
+    boxId,
+    patientId: String(patientId),
+    command,
+    params,
+    status: "sent",
+    topic: `alert/box/${boxId}/cmd/${command}`,
+    requestedBy: { userId: auth.userId, role: auth.role },
+    aideId: aideId ?? null,
+    sentAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + COMMAND_TIMEOUT_SECONDS * 1000).toISOString(),
+    respondedAt: null,
+    error: null,
+  };
+  boxCommands.push(entry);
+  boxCommandsCounter.inc({ command, status: "sent" });
+  persistBoxCommands();
+
+  const body = { commandId: entry.commandId, command, ...params, sentAt: entry.sentAt };
+  if (command === "sync_clock") body.time = entry.sentAt;
+  mqttClient.publish(entry.topic, JSON.stringify(body), { qos: 1 }, (err) => {
+    if (!err) return;
+    console.error(`[COMMANDE] Publication ${entry.topic} échouée:`, err);
+    entry.error = err.message;
+    setCommandStatus(entry, "failed");
+  });
+  console.log(`[COMMANDE] ${command} ${entry.commandId} -> ${entry.topic}`);
+  notifyCommandUpdate(entry);
+  return entry;
+}
+
+// Réponse de la box. Une réponse tardive (après timed_out) reste enregistrée :
+// la box a bien exécuté, ou refusé, la commande.
+function handleCommandAck(patientId, ack) {
+  const command = boxCommands.find((c) => c.commandId === ack.commandId);
+  if (!command || command.patientId !== String(patientId)) {
+    console.warn(`[COMMANDE] Réponse pour une commande inconnue: ${ack.commandId}`);
+    return;
+  }
+  if (command.status === "acknowledged" || command.status === "failed") return;
+
+  command.respondedAt = new Date().toISOString();
+  command.error = ack.ok ? null : ack.error ?? "Échec signalé par la box";
+  setCommandStatus(command, ack.ok ? "acknowledged" : "failed");
+  console.log(`[COMMANDE] ${command.command} ${command.commandId}: ${command.status}`);
+}
+
+export function checkCommandTimeouts(now = Date.now()) {
+  for (const command of boxCommands) {
+    if (command.status !== "sent" || Date.parse(command.expiresAt) > now) continue;
+    console.log(`[COMMANDE] ⚠️ ${command.command} ${command.commandId} sans réponse`);
+    setCommandStatus(command, "timed_out", new Date(now));
+  }
+}
+
+const commandTimeoutTimer = setInterval(() => checkCommandTimeouts(), 5_000);
+commandTimeoutTimer.unref();
+
+// ======================
+// Validation des messages MQTT (schémas + dead letters)
+// ======================
+// Chaque alertType déclare l'encodage attendu du message et son schéma.
+// Le message est validé avant tout effet de bord ; un message invalide ou
+// d'un type inconnu part sur alert/deadletter/{boxId}/{alertType} et dans
+// le stock consultable via /api/mqtt/dead-letters.
+// Encodages : "text" (chaîne brute), "json" (objet obligatoire),
+// "json-or-empty" (objet ou message vide), "any" (non interprété ici).
+const MQTT_PAYLOAD_SCHEMAS = {
+  mecanic: { encoding: "text", schema: { type: "string", minLength: 1 } },
+  seuilmedoc: { encoding: "text", schema: { type: "string" } },
+  plusmedoc: { encoding: "text", schema: { type: "string" } },
+  delivery: {
+    encoding: "json",
+    schema: {
+      type: "object",
+      required: ["nom_medoc", "quantite_totale", "quantite_restante", "compartiment"],
+      properties: {
+        nom_medoc: { type: "string", minLength: 1 },
+        quantite_totale: { type: "number", minimum: 0 },
+        quantite_restante: { type: "number", minimum: 0 },
+        compartiment: { type: "integer", minimum: 1 },
+        heure_distrib: { type: "string", pattern: "^\\d{1,2}:\\d{2}" },
+      },
+    },
+  },
+  // Identifiant de corrélation en texte brut ou en JSON (getCorrelationId)
+  getprescription: { encoding: "any", schema: {} },
+  getmedocs: { encoding: "any", schema: {} },
+  createclient: {
+    encoding: "json-or-empty",
+    schema: {
+      type: "object",
+      properties: {
+        nomFamille: { type: "string", minLength: 1 },
+        prenom: { type: "string", minLength: 1 },
+        sexe: { type: "string", enum: ["M", "F", "U"] },
+      },
+    },
+  },
+  cmdack: {
+    encoding: "json",
+    schema: {
+      type: "object",
+      required: ["commandId", "ok"],
+      properties: {
+        commandId: { type: "string", minLength: 1 },
+        ok: { type: "boolean" },
+        error: { type: "string" },
+      },
+    },
+  },
+  heartbeat: {
+    encoding: "json-or-empty",
+    schema: {
+      type: "object",
+      properties: {
+        firmwareVersion: { type: "string", minLength: 1 },
+        uptime: { type: "number", minimum: 0 },
+        rssi: { type: "number" },
+      },
+    },
+  },
+};
+
+// { data } si le message est valide, sinon { reason, errors }
+// Étiquette alertType des métriques : le topic est choisi par la box, un type
+// inconnu est compté sous "unknown" pour borner le nombre de séries
+function alertTypeLabel(alertType) {
+  return Object.hasOwn(MQTT_PAYLOAD_SCHEMAS, alertType) ? alertType : "unknown";
+}
+
+function validateMqttPayload(alertType, message) {
+  const spec = MQTT_PAYLOAD_SCHEMAS[alertType];
+  if (!spec) {
+    return {
+      reason: "unknown_type",
+      errors: [{ path: "(topic)", message: `type de message inconnu: ${alertType}` }],
+    };
+  }
+
+  let data = message;
+  if (spec.encoding === "json" || spec.encoding === "json-or-empty") {
+    if (spec.encoding === "json-or-empty" && !message.trim()) {
+      data = {};
+    } else {
+      try {
+        data = JSON.parse(message);
+      } catch (err) {
+        return {
+          reason: "invalid_json",
+          errors: [{ path: "(racine)", message: `JSON invalide: ${err.message}` }],
+        };
+      }
+    }
+  }
+
+  const errors = validateSchema(spec.schema, data);
+  if (errors.length > 0) return { reason: "invalid_payload", errors };
+  return { data };
+}
+
+const DEAD_LETTERS_FILE = "dead-letters.json";
+const DEAD_LETTER_PAYLOAD_MAX_LENGTH = 4096;
+const deadLetters = readJsonFile(DEAD_LETTERS_FILE, []);
+// Une box défaillante peut en produire en rafale : écrit sur disque par lot
+let deadLettersDirty = false;
+
+export function flushDeadLetters() {
+  if (!deadLettersDirty) return;
+  writeJsonFile(DEAD_LETTERS_FILE, deadLetters);
+  deadLettersDirty = false;
+}
+
+const deadLettersFlushTimer = setInterval(() => flushDeadLetters(), 5_000);
+deadLettersFlushTimer.unref();
+
+function deadLetterMqttMessage({ topic, boxId, alertType, message, reason, errors }) {
+  const entry = {
+    deadLetterId: crypto.randomUUID(),
+    receivedAt: new Date().toISOString(),
+    topic,
+    boxId: String(boxId),
+    alertType,
+    reason,
+    errors,
+    payload: message.slice(0, DEAD_LETTER_PAYLOAD_MAX_LENGTH),
+  };
+  deadLetters.push(entry);
+  if (deadLetters.length > DEAD_LETTER_MAX) {
+    deadLetters.splice(0, deadLetters.length - DEAD_LETTER_MAX);
+  }
+  deadLettersDirty = true;
+  mqttDeadLettersCounter.inc({ alertType: alertTypeLabel(alertType), reason });
+  console.warn(`[MQTT] Message invalide (${reason}) ${topic}: ${formatErrors(errors)}`);
+
+  const deadLetterTopic = `alert/deadletter/${boxId}/${alertType}`;
+  mqttClient.publish(deadLetterTopic, JSON.stringify(entry), { qos: 1 }, (err) => {
+    if (err) console.error(`[MQTT] Publication ${deadLetterTopic} échouée:`, err);
+  });
+  return entry;
+}
+
+export async function handleMqttMessage(topic, messageBuf) {
+  const message = messageBuf.toString();
+  console.log(`[MQTT] ${topic} -> ${message}`);
+  
+  const parts = topic.split("/").filter(Boolean);
+  if (parts.length >= 4 && parts[0] === "alert" && parts[1] === "box") {
+    const boxId = parts[2];
+    const alertType = parts.slice(3).join("/");
+    mqttMessagesCounter.inc({ alertType: alertTypeLabel(alertType) });
+
+    const { data, reason, errors } = validateMqttPayload(alertType, message);
+    if (reason) {
+      deadLetterMqttMessage({ topic, boxId, alertType, message, reason, errors });
+      return;
+    }
+
+    const box = resolveBox(boxId);
+    if (box.rejected) {
+      mqttRejectedCounter.inc({ reason: box.rejected });
+      console.warn(`[DEVICE] Message ignoré (${box.rejected}): ${topic}`);
+      return;
+    }
+    if (box.device) touchDevice(box.device, topic);
+    const patientId = box.patientId;
+    const deviceId = box.device?.deviceId ?? boxId;
+
+    if (alertType === "heartbeat") {
+      if (box.device && data.firmwareVersion) {
+        box.device.firmwareVersion = data.firmwareVersion;
+      }
+      const report = Object.keys(data).length > 0 ? data : true;
+      recordBoxActivity(deviceId, patientId, report);
+      return;
+    }
+    recordBoxActivity(deviceId, patientId, false);
+
+    if (alertType === "cmdack") {
+      handleCommandAck(patientId, data);
+      return;
+    }
+
+    const aideId = await getAideForPatient(patientId);
+
+    if (alertType === "mecanic") {
+      const { incident, created } = openIncident(boxId, message, aideId, patientId);
+      console.log(
+        `[INCIDENT] ${created ? "Ouvert" : "Répété"} ${incident.incidentId} ` +
+          `box=${boxId} responsable=${aideId || "Aucun"} (${incident.occurrences}x)`
+      );
+      if (created && aideId) {
+        sendToAide(aideId, {
+          type: "maintenance",
+          patientId,
+          alertType,
+          message,
+          topic,
+          incident,
+        });
+      }
+      emitWebhookEvent("maintenance.fault", {
+        patientId,
+        boxId: deviceId,
+        source: "mecanic",
+        fault: message,
+        incidentId: incident.incidentId,
+        occurrences: incident.occurrences,
+      });
+    }else if (alertType === "seuilmedoc") {
+      const payload = {
+        type: "warning",
+        patientId,
+        alertType,
+        message,
+        topic,
+      };
+      emitWebhookEvent("stock.low", {
+        patientId,
+        boxId: deviceId,
+        source: alertType,
+        level: "low",
+        message,
+      });
+
+      if (aideId) {
+        sendToAide(aideId, payload);
+      } else {
+        console.log(`No aide-soignant found for patient ${patientId}`);
+      }
+    }else if (alertType === "plusmedoc") {
+      const payload = {
+        type: "critical",
+        patientId,
+        alertType,
+        message,
+        topic,
+      };
+      emitWebhookEvent("stock.low", {
+        patientId,
+        boxId: deviceId,
+        source: alertType,
+        level: "empty",
+        message,
+      });
+
+      if (aideId) {
+        sendToAide(aideId, payload);
+      } else {
+        console.log(`No aide-soignant found for patient ${patientId}`);
+      }
+    }else if (alertType === "delivery") {
+      const payload = {
+        type: "info",
+        patientId,
+        alertType,
+        message,
+        topic,
+      };
+      
+      const heure_distrib = data.heure_distrib ?? null;
+      const nom_medoc = data.nom_medoc;
+      const quantite_totale = data.quantite_totale;
+      const quantite_restante = data.quantite_restante;
+      const compartiment = data.compartiment;
+
+      markDoseDelivered(patientId, compartiment, nom_medoc);
+      recordStockLevel(patientId, { nom_medoc, compartiment, quantite_restante });
+      emitWebhookEvent("delivery.recorded", {
+        patientId,
+        boxId: deviceId,
+        nom_medoc,
+        compartiment,
+        quantite_totale,
+        quantite_restante,
+        heure_distrib,
+      });
+
+      if (aideId) {
+        try {
+          const { queued } = await writeOrQueue({
+            endpoint: "/prescriptions/:patientId",
+            path: `/prescriptions/${encodeURIComponent(patientId)}`,
+            method: "POST",
+            body: {
+              heure_distrib,
+              nom_medoc,
+              quantite_totale,
+              quantite_restante,
+              compartiment,
+            },
+            source: "delivery",
+            patientId,
+          });
+          if (!queued) console.log("succes");
+        } catch (err) {
+          console.error("Error posting prescription:", err.message);
+        }
+        //sendToAide(aideId, payload);
+      } else {
+        console.log(`No aide-soignant found for patient ${patientId}`);
+      }
+    }else if (alertType === "getprescription") {
+      const payload = {
+        type: "request",
+        patientId,
+        alertType,
+        message,
+        topic,
+      };
+
+      const result = await fetchForBox(
+        "/prescriptions/:patientId",
+        `/prescriptions/${encodeURIComponent(patientId)}`,
+        "Aucune prescription pour ce patient"
+      );
+      replyToBox(boxId, alertType, getCorrelationId(message), result);
+
+      if (aideId) {
+        sendToAide(aideId, payload);
+      } else {
+        console.log(`No aide-soignant found for patient ${patientId}`);
+      }
+    }else if (alertType === "getmedocs") {
+      const payload = {
+        type: "request",
+        patientId,
+        alertType,
+        message,
+        topic,
+      };
+
+      const result = await fetchForBox(
+        "/medocpatients/:patientId",
+        `/medocpatients/${encodeURIComponent(patientId)}`,
+        "Aucun médicament pour ce patient"
+      );
+      replyToBox(boxId, alertType, getCorrelationId(message), result);
+
+      if (aideId) {
+        sendToAide(aideId, payload);
+      } else {
+        console.log(`No aide-soignant found for patient ${patientId}`);
+      }
+    }else if (alertType === "createclient") {
+      // La box demande la création de son patient : l'id est celui du topic,
+      // donc encore inconnu de l'API (et sans aide-soignant) à ce stade
+      const id_patient = patientId;
+      const payload = {
+        type: "request",
+        patientId,
+        alertType,
+        message,
+        topic,
+      };
+
+      try {
+        const { queued } = await writeOrQueue({
+          endpoint: "/patients",
+          path: "/patients",
+          method: "POST",
+          body: {
+            id_patient,
+            mot_de_passe: "1234",
+            nomFamille: data.nomFamille ?? "default",
+            prenom: data.prenom ?? id_patient,
+            sexe: data.sexe ?? "U",
+            date_naissance: null,
+            adresse_postale: null,
+            adresse_electronique: null,
+            fk_aide_soignant: null,
+            fk_medecin_traitant: null,
+          },
+          source: "createclient",
+          patientId,
+        });
+        if (!queued) {
+          invalidatePatient(patientId);
+          console.log("patient cree avec succes");
+        }
+      } catch (err) {
+        console.error("Erreur création patient:", err.message);
+      }
+
+      if (aideId) {
+        sendToAide(aideId, payload);
+      } else {
+        console.log(`No aide-soignant found for patient ${patientId}`);
+      }
+    }
+  }
+}
+
+// ======================
+// Planificateur de distribution (heure_distrib des prescriptions)
+// ======================
+// patientId -> [{ prescriptionId, heure_distrib, compartiment, nom_medoc, quantite_restante, time }]
+const dispenseSchedules = new Map();
+// Prises déjà commandées aujourd'hui : "patientId|compartiment|heure".
+// Conservées sur disque : un redémarrage dans la minute de la prise ne
+// commande pas une seconde distribution.
+const FIRED_DOSES_FILE = "fired-doses.json";
+const firedDosesState = readJsonFile(FIRED_DOSES_FILE, { day: "", keys: [] });
+let firedDoses = new Set(firedDosesState.keys);
+let firedDosesDay = firedDosesState.day;
+
+function persistFiredDoses() {
+  writeJsonFile(FIRED_DOSES_FILE, { day: firedDosesDay, keys: Array.from(firedDoses) });
+}
+
+// "8:00", "08:00" ou "08:00:00" -> { hours, minutes }
+function parseHeureDistrib(value) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value || "").trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+// Les heure_distrib sont des heures murales de SCHEDULE_TZ ; un fuseau
+// inconnu arrête le démarrage (RangeError)
+const scheduleDateFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: SCHEDULE_TZ,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+});
+
+// Instant -> { year, month, day, hour, minute } dans SCHEDULE_TZ
+function scheduleClock(date) {
+  const clock = {};
+  for (const { type, value } of scheduleDateFormat.formatToParts(date)) {
+    if (type !== "literal") clock[type] = Number(value);
+  }
+  return clock;
+}
+
+function scheduleDayKey(date) {
+  const { year, month, day } = scheduleClock(date);
+  return `${year}-${month}-${day}`;
+}
+
+// Instant où il est hours:minutes le jour donné dans SCHEDULE_TZ (le décalage
+// est relu à l'instant trouvé pour suivre un changement d'heure)
+function scheduleInstant(year, month, day, hours, minutes) {
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  const offsetAt = (ms) => {
+    const c = scheduleClock(new Date(ms));
+    return Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute) - Math.floor(ms / 60_000) * 60_000;
+  };
+  const guess = wall - offsetAt(wall);
+  return new Date(wall - offsetAt(guess));
+}
+
+async function loadPatientSchedule(patientId) {
+  let prescriptions;
+  try {
+    prescriptions = await api.get(
+      "/prescriptions/:patientId",
+      `/prescriptions/${encodeURIComponent(patientId)}`
+    );
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    dispenseSchedules.set(String(patientId), []);
+    return [];
+  }
+  const entries = (Array.isArray(prescriptions) ? prescriptions : [])
+    .map((p) => ({
+      prescriptionId: p.id_prescription ?? null,
+      heure_distrib: p.heure_distrib,
+      compartiment: p.compartiment,
+      nom_medoc: p.nom_medoc,
+      quantite_restante:
+        typeof p.quantite_restante === "number" ? p.quantite_restante : null,
+      time: parseHeureDistrib(p.heure_distrib),
+    }))
+    .filter((e) => e.time && e.compartiment != null);
+  dispenseSchedules.set(String(patientId), entries);
+  return entries;
+}
+
+// Sans patientId : recharge le planning de tous les patients.
+// En cas d'erreur, l'ancien planning du patient est conservé.
+export async function reloadSchedules(patientId) {
+  if (!API_BASE) return;
+  const ids = [];
+  if (patientId) {
+    ids.push(patientId);
+  } else {
+    const patients = await fetchAllPatients();
+    if (Array.isArray(patients)) ids.push(...patients.map((p) => p.id_patient));
+  }
+  for (const id of ids) {
+    try {
+      await loadPatientSchedule(id);
+    } catch (err) {
+      console.error(`[PLANNING] Chargement impossible pour ${id}:`, err.message);
+    }
+  }
+  console.log(`[PLANNING] ${ids.length} planning(s) rechargé(s)`);
+}
+
+function publishDispense(patientId, entry, now) {
+  const topic = `alert/box/${boxTopicId(patientId)}/cmd/dispense`;
+  const body = {
+    command: "dispense",
+    compartiment: entry.compartiment,
+    nom_medoc: entry.nom_medoc,
+    heure_distrib: entry.heure_distrib,
+    scheduledAt: now.toISOString(),
+  };
+  mqttClient.publish(topic, JSON.stringify(body), { qos: 1 }, (err) => {
+    if (err) console.error(`[PLANNING] Publication ${topic} échouée:`, err);
+  });
+  expectDose(patientId, entry, now);
+  console.log(
+    `[PLANNING] Distribution ${entry.nom_medoc} (compartiment ${entry.compartiment}) -> ${patientId}`
+  );
+}
+
+// Appelée toutes les 20 s : chaque minute est vue au moins une fois,
+// firedDoses évite de commander deux fois la même prise
+export function runDispenseScheduler(now = new Date()) {
+  const day = scheduleDayKey(now);
+  const clock = scheduleClock(now);
+  if (day !== firedDosesDay) {
+    firedDoses = new Set();
+    firedDosesDay = day;
+  }
+
+  dispenseSchedules.forEach((entries, patientId) => {
+    for (const entry of entries) {
+      if (
+        entry.time.hours !== clock.hour ||
+        entry.time.minutes !== clock.minute
+      ) {
+        continue;
+      }
+      const key = `${patientId}|${entry.compartiment}|${entry.heure_distrib}`;
+      if (firedDoses.has(key)) continue;
+      firedDoses.add(key);
+      // Écrit avant la commande : un arrêt entre les deux perd au pire
+      // cette commande, sans jamais doubler la dose
+      persistFiredDoses();
+      publishDispense(patientId, entry, now);
+    }
+  });
+}
+
+// Prochaine occurrence (heure de SCHEDULE_TZ) d'une prise quotidienne
+function nextOccurrence(time, now) {
+  const { year, month, day } = scheduleClock(now);
+  const next = scheduleInstant(year, month, day, time.hours, time.minutes);
+  if (next > now) return next;
+  return scheduleInstant(year, month, day + 1, time.hours, time.minutes);
+}
+
+// ======================
+// Détection des prises manquées
+// ======================
+// Prises commandées en attente de l'événement MQTT "delivery" (conservées au
+// redémarrage pour qu'une prise commandée juste avant reste surveillée)
+const EXPECTED_DOSES_FILE = "expected-doses.json";
+const expectedDoses = readJsonFile(EXPECTED_DOSES_FILE, []);
+const MISSED_DOSES_FILE = "missed-doses.json";
+const missedDoses = readJsonFile(MISSED_DOSES_FILE, []);
+
+function persistExpectedDoses() {
+  writeJsonFile(EXPECTED_DOSES_FILE, expectedDoses);
+}
+
+function expectDose(patientId, entry, now) {
+  expectedDoses.push({
+    doseId: crypto.randomUUID(),
+    patientId: String(patientId),
+    compartiment: entry.compartiment,
+    nom_medoc: entry.nom_medoc,
+    heure_distrib: entry.heure_distrib,
+    scheduledAt: now.toISOString(),
+  });
+  persistExpectedDoses();
+}
+
+// Rattache une livraison à la plus ancienne prise attendue du même compartiment
+// (ou, à défaut de compartiment, du même médicament)
+function markDoseDelivered(patientId, compartiment, nom_medoc) {
+  const index = expectedDoses.findIndex(
+    (d) =>
+      d.patientId === String(patientId) &&
+      (compartiment != null
+        ? String(d.compartiment) === String(compartiment)
+        : d.nom_medoc === nom_medoc)
+  );
+  if (index === -1) return null;
+  const [dose] = expectedDoses.splice(index, 1);
+  persistExpectedDoses();
+  console.log(`[PRISE] Délivrée: ${dose.nom_medoc} -> ${patientId}`);
+  return dose;
+}
+
+// Oublie les prises manquées détectées avant la fenêtre de rétention.
+// Renvoie true si le tableau a changé.
+function pruneMissedDoses(now) {
+  if (MISSED_DOSE_RETENTION_DAYS <= 0) return false;
+  const cutoff = now - MISSED_DOSE_RETENTION_DAYS * 24 * 3_600_000;
+  const kept = missedDoses.filter((d) => Date.parse(d.detectedAt) >= cutoff);
+  if (kept.length === missedDoses.length) return false;
+  missedDoses.splice(0, missedDoses.length, ...kept);
+  return true;
+}
+
+export async function checkMissedDoses(now = Date.now()) {
+  const pruned = pruneMissedDoses(now);
+  const graceMs = MISSED_DOSE_GRACE_MINUTES * 60_000;
+  const late = expectedDoses.filter(
+    (d) => now - Date.parse(d.scheduledAt) > graceMs
+  );
+  if (late.length === 0) {
+    if (pruned) writeJsonFile(MISSED_DOSES_FILE, missedDoses);
+    return;
+  }
+
+  late.forEach((dose) => expectedDoses.splice(expectedDoses.indexOf(dose), 1));
+  persistExpectedDoses();
+
+  for (const dose of late) {
+    const missed = { ...dose, detectedAt: new Date(now).toISOString() };
+    missedDoses.push(missed);
+    console.log(`[PRISE] ⚠️ Manquée: ${dose.nom_medoc} -> ${dose.patientId}`);
+    emitWebhookEvent("dose.missed", missed);
+
+    const aideId = await getAideForPatient(dose.patientId);
+    if (aideId) {
+      sendToAide(aideId, {
+        type: "warning",
+        patientId: dose.patientId,
+        alertType: "late",
+        message: `Prise non délivrée : ${dose.nom_medoc} (compartiment ${dose.compartiment}) prévue à ${dose.heure_distrib}`,
+        dose: missed,
+      });
+    } else {
+      console.log(`No aide-soignant found for patient ${dose.patientId}`);
+    }
+  }
+  writeJsonFile(MISSED_DOSES_FILE, missedDoses);
+}
+
+const missedDoseTimer = setInterval(() => checkMissedDoses(), 60_000);
+missedDoseTimer.unref();
+
+const schedulerTimer = setInterval(() => runDispenseScheduler(), 20_000);
+schedulerTimer.unref();
+
+if (SCHEDULER_RELOAD_MINUTES > 0) {
+  const scheduleReloadTimer = setInterval(
+    () => reloadSchedules(),
+    SCHEDULER_RELOAD_MINUTES * 60_000
+  );
+  scheduleReloadTimer.unref();
+}
+
+if (process.env.NODE_ENV !== "test") {
+  reloadSchedules();
+}
+
+// ======================
+// Prévision d'épuisement des stocks
+// ======================
+// Les niveaux de stock observés (événements "delivery" des box, distributions
+// via /api/medocs/:medocId/distribute) sont gardés par patient et médicament.
+// Consommation journalière : celle observée sur FORECAST_WINDOW_DAYS dès qu'on
+// dispose d'au moins FORECAST_MIN_HISTORY_DAYS d'historique, sinon celle
+// prévue par les prescriptions (une unité par heure_distrib planifiée).
+// Une remontée du stock (recharge) n'est pas comptée comme consommation.
+// Le stock restant est celui du dernier niveau connu, diminué de la
+// consommation depuis ce relevé.
+const STOCK_LEVELS_FILE = "stock-levels.json";
+const FORECAST_WINDOW_DAYS = 14;
+const FORECAST_MIN_HISTORY_DAYS = 1;
+const DAY_MS = 24 * 3_600_000;
+// "patientId|nom_medoc" -> { patientId, nom_medoc, compartiment, medocId, samples, warnedAt }
+const stockLevels = new Map(
+  Object.entries(readJsonFile(STOCK_LEVELS_FILE, {}))
+);
+
+function persistStockLevels() {
+  writeJsonFile(STOCK_LEVELS_FILE, Object.fromEntries(stockLevels));
+}
+
+function stockKey(patientId, nom_medoc) {
+  return `${patientId}|${String(nom_medoc).trim().toLowerCase()}`;
+}
+
+function recordStockLevel(patientId, level, now = Date.now()) {
+  const { nom_medoc, compartiment, medocId, quantite_restante } = level;
+  if (!nom_medoc || typeof quantite_restante !== "number") return;
+  const key = stockKey(patientId, nom_medoc);
+  let track = stockLevels.get(key);
+  if (!track) {
+    track = {
+      patientId: String(patientId),
+      nom_medoc,
+      compartiment: null,
+      medocId: null,
+      samples: [],
+      warnedAt: null,
+    };
+    stockLevels.set(key, track);
+  }
+  if (compartiment != null) track.compartiment = compartiment;
+  if (medocId != null) track.medocId = String(medocId);
+
+  const last = track.samples[track.samples.length - 1];
+  // Recharge : nouvel avertissement possible au prochain épuisement
+  if (last && quantite_restante > last.quantite_restante) track.warnedAt = null;
+  track.samples.push({ at: new Date(now).toISOString(), quantite_restante });
+  const windowStart = now - FORECAST_WINDOW_DAYS * DAY_MS;
+  track.samples = track.samples.filter((s) => Date.parse(s.at) >= windowStart);
+  persistStockLevels();
+}
+
+function observedDailyConsumption(samples) {
+  if (samples.length < 2) return null;
+  const first = Date.parse(samples[0].at);
+  const days = (Date.parse(samples[samples.length - 1].at) - first) / DAY_MS;
+  if (days < FORECAST_MIN_HISTORY_DAYS) return null;
+  let consumed = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const drop = samples[i - 1].quantite_restante - samples[i].quantite_restante;
+    consumed += Math.max(drop, 0);
+  }
+  return consumed / days;
+}
+
+function prescribedDailyDoses(patientId, nom_medoc) {
+  const name = String(nom_medoc).trim().toLowerCase();
+  return (dispenseSchedules.get(String(patientId)) || []).filter(
+    (e) => String(e.nom_medoc).trim().toLowerCase() === name
+  ).length;
+}
+
+// currentStock : stock connu de l'API à l'instant now, sinon dernier niveau
+// observé (à la date de son relevé)
+function forecastStock(patientId, nom_medoc, currentStock = null, now = Date.now()) {
+  const track = stockLevels.get(stockKey(patientId, nom_medoc));
+  const samples = track?.samples ?? [];
+  const lastSample = samples[samples.length - 1];
+  const quantite_restante = currentStock ?? lastSample?.quantite_restante ?? null;
+  const sampledAt =
+    currentStock == null && lastSample ? Math.min(Date.parse(lastSample.at), now) : now;
+  const observedPerDay = observedDailyConsumption(samples);
+  const prescribedPerDay = prescribedDailyDoses(patientId, nom_medoc);
+  const dailyConsumption = observedPerDay ?? (prescribedPerDay || null);
+
+  let daysUntilEmpty = null;
+  let emptyAt = null;
+  if (quantite_restante != null && dailyConsumption) {
+    const emptyTime = sampledAt + (quantite_restante / dailyConsumption) * DAY_MS;
+    daysUntilEmpty = Math.round((Math.max(emptyTime - now, 0) / DAY_MS) * 10) / 10;
+    emptyAt = new Date(emptyTime).toISOString();
+  }
+  return {
+    nom_medoc,
+    compartiment: track?.compartiment ?? null,
+    quantite_restante,
+    basis: observedPerDay != null ? "observed" : prescribedPerDay ? "prescription" : null,
+    observedPerDay: observedPerDay != null ? Math.round(observedPerDay * 100) / 100 : null,
+    prescribedPerDay,
+    daysUntilEmpty,
+    emptyAt,
+    warning:
+      STOCK_FORECAST_WARNING_DAYS > 0 &&
+      daysUntilEmpty != null &&
+      daysUntilEmpty <= STOCK_FORECAST_WARNING_DAYS,
+  };
+}
+
+// Médicaments de l'API + médicaments seulement vus dans les livraisons
+function forecastPatientStock(patientId, medocs = [], now = Date.now()) {
+  const seen = new Set();
+  const forecasts = medocs
+    .filter((m) => m.nom_medoc)
+    .map((m) => {
+      seen.add(stockKey(patientId, m.nom_medoc));
+      return forecastStock(patientId, m.nom_medoc, m.quantite_restante ?? null, now);
+    });
+  stockLevels.forEach((track, key) => {
+    if (track.patientId === String(patientId) && !seen.has(key)) {
+      forecasts.push(forecastStock(patientId, track.nom_medoc, null, now));
+    }
+  });
+  return forecasts;
+}
+
+// Un médicament prescrit sans niveau relevé démarre au stock de sa prescription
+function seedStockLevelsFromSchedules(now) {
+  dispenseSchedules.forEach((entries, patientId) => {
+    for (const entry of entries) {
+      if (entry.quantite_restante == null || !entry.nom_medoc) continue;
+      if (stockLevels.has(stockKey(patientId, entry.nom_medoc))) continue;
+      recordStockLevel(patientId, entry, now);
+    }
+  });
+}
+
+// Un seul avertissement par épuisement annoncé (remis à zéro par une recharge)
+export async function checkStockForecasts(now = Date.now()) {
+  if (STOCK_FORECAST_WARNING_DAYS <= 0) return;
+  seedStockLevelsFromSchedules(now);
+  for (const track of stockLevels.values()) {
+    if (track.warnedAt) continue;
+    const forecast = forecastStock(track.patientId, track.nom_medoc, null, now);
+    if (!forecast.warning) continue;
+
+    track.warnedAt = new Date(now).toISOString();
+    console.log(
+      `[STOCK] ⚠️ ${track.nom_medoc} épuisé dans ~${forecast.daysUntilEmpty} j -> ${track.patientId}`
+    );
+    emitWebhookEvent("stock.low", {
+      patientId: track.patientId,
+      source: "stock_forecast",
+      level: "forecast",
+      message: `Stock de ${track.nom_medoc} épuisé dans environ ${forecast.daysUntilEmpty} jour(s)`,
+      forecast,
+    });
+    const aideId = await getAideForPatient(track.patientId);
+    if (aideId) {
+      sendToAide(aideId, {
+        type: "warning",
+        patientId: track.patientId,
+        alertType: "stock_forecast",
+        message: `Stock de ${track.nom_medoc} épuisé dans environ ${forecast.daysUntilEmpty} jour(s)`,
+        forecast,
+      });
+    } else {
+      console.log(`No aide-soignant found for patient ${track.patientId}`);
+    }
+  }
+  persistStockLevels();
+}
+
+const stockForecastTimer = setInterval(() => checkStockForecasts(), 15 * 60_000);
+stockForecastTimer.unref();
+
+// ======================
+// PROMETHEUS ENDPOINT
+// ======================
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", client.register.contentType);
+    res.end(await client.register.metrics());
+  } catch (ex) {
+    res.status(500).end(ex);
+  }
+});
+
+// ======================
+// REST endpoints
+// ======================
+
+app.get("/api/health", (req, res) => {
+  res.json({
+    status: "ok",
+    mqttConnected,
+    upstreamCircuit: api.circuitState().state,
+    wsPort: PORT, // WS is on same port now
+    activeAides: Array.from(wsClients.keys()),
+  });
+});
+
+// ======================
+// Documentation de l'API (OpenAPI + Swagger UI)
+// ======================
+const SWAGGER_UI_URL = "https://unpkg.com/swagger-ui-dist@5";
+
+app.get("/api/docs/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+// La CSP de helmet n'autorise que les scripts locaux : la page de
+// documentation ouvre le CDN de Swagger UI et son script d'init (nonce)
+app.get("/api/docs", (req, res) => {
+  const nonce = crypto.randomBytes(16).toString("base64");
+  res.set(
+    "Content-Security-Policy",
+    [
+      "default-src 'self'",
+      `script-src ${SWAGGER_UI_URL}/ 'nonce-${nonce}'`,
+      `style-src ${SWAGGER_UI_URL}/ 'unsafe-inline'`,
+      "img-src 'self' data: https:",
+    ].join("; ")
+  );
+  res.type("html").send(`<!doctype html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8">
+  <title>${openApiDocument.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: "/api/docs/openapi.json", dom_id: "#swagger-ui" });
+  </script>
+</body>
+</html>`);
+});
+
+app.get("/api/clients", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const summary = {};
+  wsClients.forEach((set, aideId) => {
+    summary[aideId] = set.size;
+  });
+  res.json({ clients: summary });
+});
+
+// File d'alertes persistée d'un aide-soignant (non acquittées)
+app.get(
+  "/api/alerts/pending/:aideId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireSelf((req) => req.params.aideId),
+  (req, res) => {
+    const aideId = req.params.aideId;
+    const queue = pendingAlerts.get(aideId);
+    const alerts = queue ? Array.from(queue.values()) : [];
+    res.json({ aideId, count: alerts.length, alerts });
+  }
+);
+
+app.post(
+  "/api/send-alert",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("medecins"),
+  requirePatientAccess((req) => req.body.patientId),
+  async (req, res) => {
+    const { patientId, alertType, message } = req.body;
+    // Sans aideId : l'aide qui reçoit les alertes du patient ; sinon l'aide
+    // attitré du patient ou un membre de son équipe
+    let aideId = req.body.aideId;
+    if (aideId == null) {
+      aideId = await getAideForPatient(patientId);
+      if (!aideId) {
+        return res.status(409).json({ error: "Aucun aide-soignant pour ce patient" });
+      }
+    } else {
+      const patient = await findPatient(patientId);
+      if (String(patient?.fk_aide_soignant) !== String(aideId) && !isTeamMember(patientId, aideId)) {
+        return res.status(400).json(
+          validationError([{ in: "body", path: "aideId", message: "doit être un aide-soignant du patient" }])
+        );
+      }
+    }
+    const payload = {
+      type: "box_alert",
+      patientId,
+      alertType,
+      message: message || "(manual)",
+    };
+    const sent = sendToAide(aideId, payload);
+    recordAudit(req.auth, "alert.manual", {
+      patientId,
+      target: `aide:${aideId}`,
+      after: payload,
+    });
+    res.json({ sent });
+  }
+);
+
+app.get(
+  "/api/patients/of/:aideId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  requireSelf((req) => req.params.aideId),
+  async (req, res) => {
+    const aideId = req.params.aideId;
+    try {
+      const all = await fetchAllPatients();
+      const myPatients = (all || [])
+        .filter(
+          (p) =>
+            String(p.fk_aide_soignant) === String(aideId) ||
+            isTeamMember(p.id_patient, aideId)
+        )
+        .map((p) => ({
+          id_patient: p.id_patient,
+          nomFamille: p.nomFamille,
+          prenom: p.prenom,
+        }));
+      res.json({ patients: myPatients });
+    } catch (err) {
+      console.error("/api/patients/of error:", err);
+      res.status(500).json({ error: "failed" });
+    }
+  }
+);
+
+app.get(
+  "/api/prescriptions/:patientId",
+  apiKeyMiddleware,
+  validateRequest,
+  requirePatientAccess(),
+  async (req, res) => {
+    const pid = req.params.patientId;
+    try {
+      const data = await api.get(
+        "/prescriptions/:patientId",
+        `/prescriptions/${encodeURIComponent(pid)}`
+      );
+      res.json(data);
+    } catch (err) {
+      sendUpstreamError(res, err, "Error fetching prescriptions");
+    }
+  }
+);
+
+app.post(
+  "/api/prescriptions",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("medecins"),
+  requirePatientAccess((req) => req.body.patientId),
+  async (req, res) => {
+    const patientId = String(req.body.patientId);
+    const {
+      heure_distrib,
+      nom_medoc,
+      quantite_totale,
+      quantite_restante,
+      compartiment,
+    } = req.body;
+
+    try {
+      const data = await api.post(
+        "/prescriptions/:patientId",
+        `/prescriptions/${encodeURIComponent(patientId)}`,
+        {
+          heure_distrib,
+          nom_medoc,
+          quantite_totale,
+          quantite_restante,
+          compartiment,
+        }
+      );
+      recordAudit(req.auth, "prescription.create", {
+        patientId,
+        after: {
+          heure_distrib,
+          nom_medoc,
+          quantite_totale,
+          quantite_restante,
+          compartiment,
+          result: data,
+        },
+      });
+      // Le planning de distribution suit les prescriptions
+      reloadSchedules(patientId);
+      res.json({ success: true, data });
+    } catch (err) {
+      sendUpstreamError(res, err, "Error posting prescription");
+    }
+  }
+);
+
+// Prochaines distributions planifiées d'un patient (24 h glissantes)
+app.get(
+  "/api/schedule/:patientId",
+  apiKeyMiddleware,
+  validateRequest,
+  requirePatientAccess(),
+  async (req, res) => {
+    const patientId = req.params.patientId;
+    try {
+      const entries = dispenseSchedules.has(patientId)
+        ? dispenseSchedules.get(patientId)
+        : await loadPatientSchedule(patientId);
+
+      const now = new Date();
+      const doses = entries
+        .map((e) => ({
+          prescriptionId: e.prescriptionId,
+          heure_distrib: e.heure_distrib,
+          compartiment: e.compartiment,
+          nom_medoc: e.nom_medoc,
+          nextAt: nextOccurrence(e.time, now).toISOString(),
+        }))
+        .sort((a, b) => a.nextAt.localeCompare(b.nextAt));
+      res.json({ patientId, doses });
+    } catch (err) {
+      sendUpstreamError(res, err, "Error loading schedule");
+    }
+  }
+);
+
+// Prises manquées d'un patient (filtres optionnels from / to en ISO)
+app.get(
+  "/api/missed-doses/:patientId",
+  apiKeyMiddleware,
+  validateRequest,
+  requirePatientAccess(),
+  (req, res) => {
+    const patientId = req.params.patientId;
+    const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+    const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+
+    const result = missedDoses.filter((d) => {
+      const at = Date.parse(d.scheduledAt);
+      return d.patientId === patientId && at >= from && at <= to;
+    });
+    res.json({ patientId, count: result.length, missedDoses: result });
+  }
+);
+
+// ======================
+// ENDPOINT D'AUTHENTIFICATION
+// ======================
+app.post("/api/auth/login", validateRequest, async (req, res) => {
+  const { id, password, role } = req.body;
+
+  const accountKey = `account:${role}/${id}`;
+  const ipKey = `ip:${req.ip}`;
+  const throttle = checkAuthThrottle([accountKey, ipKey]);
+  if (throttle) {
+    console.log(`[AUTH] Tentative bloquée: ${throttle.key}`);
+    return throttleResponse(res, throttle);
+  }
+
+  let userData;
+  try {
+    console.log(`[AUTH] Tentative: ${role}/${id}`);
+    userData = await api.get(`/${role}/:id`, `/${role}/${encodeURIComponent(id)}`);
+  } catch (err) {
+    // Une panne de l'API n'est pas un échec d'authentification
+    if (err.status !== 404) {
+      return sendUpstreamError(res, err, "[AUTH] Erreur API");
+    }
+    console.log(`[AUTH] Non trouvé: ${role}/${id}`);
+    recordAuthFailure(accountKey, "login");
+    recordAuthFailure(ipKey, "login");
+    return res.status(404).json({ error: "Utilisateur non trouvé" });
+  }
+
+  try {
+    if (!userData || !userData.mot_de_passe) {
+      recordAuthFailure(accountKey, "login");
+      recordAuthFailure(ipKey, "login");
+      return res.status(404).json({ error: "Utilisateur non trouvé" });
+    }
+
+    if (userData.mot_de_passe !== password) {
+      console.log(`[AUTH] Mot de passe incorrect`);
+      recordAuthFailure(accountKey, "login");
+      recordAuthFailure(ipKey, "login");
+      return res.status(401).json({ error: "Mot de passe incorrect" });
+    }
+
+    authAttempts.delete(accountKey);
+    console.log(`[AUTH] ✅ Succès: ${role}/${id}`);
+
+    // Le mot de passe ne repart jamais vers le client
+    const { mot_de_passe, ...user } = userData;
+    res.json({
+      success: true,
+      user,
+      role: role,
+      message: "Authentification réussie",
+      ...createSession(id, role),
+    });
+  } catch (error) {
+    console.error(`[AUTH] Erreur:`, error);
+    res.status(500).json({
+      error: "Erreur serveur",
+      message: error.message,
+    });
+  }
+});
+
+// Nouveau jeton d'accès à partir du jeton de rafraîchissement (rotation)
+app.post("/api/auth/refresh", validateRequest, (req, res) => {
+  const payload = readToken(req.body?.refreshToken, "refresh");
+  if (!payload) {
+    return res.status(401).json({ error: "Jeton de rafraîchissement invalide" });
+  }
+  res.json({ success: true, ...issueTokens(sessions.get(payload.sid)) });
+});
+
+// Déconnexion : révoque la session courante et ferme ses WebSockets
+app.post("/api/auth/logout", validateRequest, (req, res) => {
+  const payload =
+    readToken(getBearerToken(req), "access") ||
+    readToken(req.body?.refreshToken, "refresh");
+  if (!payload) {
+    return res.status(401).json({ error: "Jeton invalide" });
+  }
+  revokeSession(payload.sid);
+  console.log(`[AUTH] Déconnexion: ${payload.sub}`);
+  res.json({ success: true, message: "Session révoquée" });
+});
+
+// Révocation de toutes les sessions d'un utilisateur
+app.post("/api/auth/revoke", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const { userId } = req.body;
+  let revoked = 0;
+  for (const session of Array.from(sessions.values())) {
+    if (session.userId === String(userId) && revokeSession(session.sid)) {
+      revoked++;
+    }
+  }
+  console.log(`[AUTH] ${revoked} session(s) révoquée(s) pour ${userId}`);
+  res.json({ success: true, revoked });
+});
+
+// Comptes et IP actuellement verrouillés
+app.get("/api/auth/lockouts", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const now = Date.now();
+  const lockouts = [];
+  authAttempts.forEach((attempt, key) => {
+    if (attempt.lockedUntil > now) {
+      lockouts.push({
+        key,
+        failures: attempt.failures,
+        lockedUntil: new Date(attempt.lockedUntil).toISOString(),
+      });
+    }
+  });
+  res.json({ lockouts });
+});
+
+// Déverrouillage manuel : { role, id } pour un compte ou { ip }
+app.post("/api/auth/unlock", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const { role, id, ip } = req.body || {};
+  if (!ip && (!role || !id)) {
+    return res.status(400).json({ error: "role et id, ou ip, requis" });
+  }
+  const key = ip ? `ip:${ip}` : `account:${role}/${id}`;
+  const unlocked = authAttempts.delete(key);
+  console.log(`[AUTH] 🔓 Déverrouillage ${key} (${unlocked ? "ok" : "aucun verrou"})`);
+  res.json({ success: true, unlocked, key });
+});
+
+// ======================
+// ENDPOINT D'INSCRIPTION
+// ======================
+
+// Fonction pour générer un ID unique
+function generateUniqueId(role) {
+  const prefix =
+    role === "aidesoignants" ? "aso" : role === "medecins" ? "med" : "pat";
+  const timestamp = Date.now().toString().slice(-6);
+  const random = Math.floor(Math.random() * 1000);
+  return `${prefix}${timestamp}${random}`;
+}
+
+// Inscription aide-soignant
+app.post("/api/auth/signup/aidesoignant", validateRequest, async (req, res) => {
+  const {
+    nomFamille,
+    prenom,
+    date_naissance,
+    sexe,
+    adresse_postale,
+    adresse_electronique,
+    mot_de_passe,
+  } = req.body;
+
+  try {
+    // Générer un ID unique
+    const id_aide_soignant = generateUniqueId("aidesoignants");
+
+    const data = await api.post("/aidesoignants", "/aidesoignants", {
+      id_aide_soignant,
+      mot_de_passe,
+      nomFamille,
+      prenom,
+      sexe: sexe || "U",
+      date_naissance: date_naissance || null,
+      adresse_postale: adresse_postale || null,
+      adresse_electronique: adresse_electronique || null,
+    });
+    console.log(`[SIGNUP] ✅ Aide-soignant créé: ${id_aide_soignant}`);
+
+    res.status(201).json({
+      success: true,
+      user: data,
+      id: id_aide_soignant,
+      message: "Compte aide-soignant créé avec succès",
+    });
+  } catch (error) {
+    sendUpstreamError(res, error, "[SIGNUP] Erreur création compte");
+  }
+});
+
+// Inscription médecin
+app.post("/api/auth/signup/medecin", validateRequest, async (req, res) => {
+  const {
+    nomFamille,
+    prenom,
+    date_naissance,
+    sexe,
+    adresse_postale,
+    adresse_electronique,
+    mot_de_passe,
+  } = req.body;
+
+  try {
+    const id_medecin = generateUniqueId("medecins");
+
+    const data = await api.post("/medecins", "/medecins", {
+      id_medecin,
+      mot_de_passe,
+      nomFamille,
+      prenom,
+      sexe: sexe || "U",
+      date_naissance: date_naissance || null,
+      adresse_postale: adresse_postale || null,
+      adresse_electronique: adresse_electronique || null,
+    });
+    console.log(`[SIGNUP] ✅ Médecin créé: ${id_medecin}`);
+
+    res.status(201).json({
+      success: true,
+      user: data,
+      id: id_medecin,
+      message: "Compte médecin créé avec succès",
+    });
+  } catch (error) {
+    sendUpstreamError(res, error, "[SIGNUP] Erreur création compte");
+  }
+});
+
+// Création de patient par aide-soignant
+app.post(
+  "/api/patients/create",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  requireSelf((req) => req.body.fk_aide_soignant),
+  async (req, res) => {
+    const {
+      nomFamille,
+      prenom,
+      date_naissance,
+      sexe,
+      adresse_postale,
+      adresse_electronique,
+      fk_aide_soignant,
+    } = req.body;
+
+    try {
+      const id_patient = generateUniqueId("patients");
+      const mot_de_passe_patient = `patient${Math.floor(Math.random() * 10000)}`;
+
+      const data = await api.post("/patients", "/patients", {
+        id_patient,
+        mot_de_passe: mot_de_passe_patient,
+        nomFamille,
+        prenom,
+        sexe: sexe || "U",
+        date_naissance: date_naissance || null,
+        adresse_postale: adresse_postale || null,
+        adresse_electronique: adresse_electronique || null,
+        fk_aide_soignant,
+        fk_medecin_traitant: null,
+      });
+      console.log(`[PATIENT] ✅ Patient créé: ${id_patient}`);
+      invalidatePatient(id_patient);
+
+      res.status(201).json({
+        success: true,
+        patient: data,
+        id: id_patient,
+        tempPassword: mot_de_passe_patient,
+        message: "Patient créé avec succès",
+      });
+    } catch (error) {
+      sendUpstreamError(res, error, "[PATIENT] Erreur création patient");
+    }
+  }
+);
+
+// ==================================
+// ENDPOINT DE SUPPRESSION DE PATIENT
+// ==================================
+
+// Supprimer un patient via le compte aide soignant 
+app.delete(
+  "/api/patients/:patientId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  requirePatientAccess(),
+  async (req, res) => {
+    const patientId = req.params.patientId;
+
+    try {
+      console.log(`[DELETE] Tentative de suppression du patient: ${patientId}`);
+
+      // Vérifier d'abord que le patient existe
+      const patientPath = `/patients/${encodeURIComponent(patientId)}`;
+      const before = await api.get("/patients/:id", patientPath);
+
+      // Supprimer le patient
+      await api.delete("/patients/:id", patientPath);
+
+      console.log(`[DELETE] ✅ Patient supprimé: ${patientId}`);
+      invalidatePatient(patientId);
+      recordAudit(req.auth, "patient.delete", { patientId, before });
+
+      res.json({
+        success: true,
+        message: "Patient supprimé avec succès",
+        patientId
+      });
+    } catch (err) {
+      if (err.status === 404) {
+        return res.status(404).json({
+          error: "Patient non trouvé",
+          patientId
+        });
+      }
+      sendUpstreamError(res, err, "[DELETE] Erreur");
+    }
+  }
+);
+
+
+
+
+// ======================
+// TEST D'ALERTES
+// ======================
+
+// Envoyer une alerte de test manuelle
+app.post(
+  "/api/test/send-alert",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const { aideId, patientId, alertType, message } = req.body;
+
+    const payload = {
+      type: "box_alert",
+      patientId: patientId || "test-patient",
+      alertType: alertType || "test",
+      message: message || "Alerte de test",
+      topic: "alert/box/test/manual",
+    };
+
+    const sent = sendToAide(aideId, payload);
+    recordAudit(req.auth, "alert.test", {
+      patientId: payload.patientId,
+      target: `aide:${aideId}`,
+      after: payload,
+    });
+    res.json({
+      success: true,
+      sent,
+      message: sent
+        ? "Alerte envoyée"
+        : "Aide-soignant hors ligne, alerte en attente",
+    });
+  }
+);
+
+// Démarrer l'envoi d'alertes périodiques (pour tests)
+let testAlertInterval = null;
+
+app.post(
+  "/api/test/start-periodic-alerts",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const { aideId, intervalSeconds } = req.body;
+
+    const interval = (intervalSeconds || 30) * 1000; // Défaut: 30 secondes
+
+    // Arrêter l'ancien timer s'il existe
+    if (testAlertInterval) {
+      clearInterval(testAlertInterval);
+    }
+
+    let counter = 1;
+
+    testAlertInterval = setInterval(() => {
+      const alertTypes = ["empty", "late", "low", "error"];
+      const randomType =
+        alertTypes[Math.floor(Math.random() * alertTypes.length)];
+
+      const payload = {
+        type: "box_alert",
+        patientId: "pat-test-" + counter,
+        alertType: randomType,
+        message: `Alerte de test #${counter} - ${new Date().toLocaleTimeString(
+          "fr-FR"
+        )}`,
+        topic: `alert/box/test/${randomType}`,
+      };
+
+      sendToAide(aideId, payload);
+      console.log(`[TEST] Alerte ${counter} envoyée à ${aideId}`);
+      counter++;
+    }, interval);
+
+    res.json({
+      success: true,
+      message: `Alertes périodiques démarrées pour ${aideId}`,
+      interval: `${intervalSeconds || 30} secondes`,
+    });
+  }
+);
+
+// Arrêter les alertes périodiques
+app.post(
+  "/api/test/stop-periodic-alerts",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    if (testAlertInterval) {
+      clearInterval(testAlertInterval);
+      testAlertInterval = null;
+      res.json({ success: true, message: "Alertes périodiques arrêtées" });
+    } else {
+      res.json({ success: false, message: "Aucune alerte périodique en cours" });
+    }
+  }
+);
+
+// Vérifier si un patient existe par ID
+app.get(
+  "/api/patients/:patientId",
+  apiKeyMiddleware,
+  validateRequest,
+  requirePatientAccess(),
+  async (req, res) => {
+    const patientId = req.params.patientId;
+
+    try {
+      const data = await api.get(
+        "/patients/:id",
+        `/patients/${encodeURIComponent(patientId)}`
+      );
+      res.json(data);
+    } catch (err) {
+      if (err.status === 404) {
+        return res.status(404).json({
+          error: "Patient non trouvé",
+          patientId,
+        });
+      }
+      sendUpstreamError(res, err, "Erreur récupération patient");
+    }
+  }
+);
+
+// Créer un nouveau patient (pour les nouvelles box)
+app.post("/api/patients", apiKeyMiddleware, validateRequest, requireRole(), async (req, res) => {
+  const { id_patient, mot_de_passe, nomFamille, prenom, sexe, date_naissance } =
+    req.body;
+
+  try {
+    const data = await api.post("/patients", "/patients", {
+      id_patient,
+      mot_de_passe: mot_de_passe || "default123",
+      nomFamille: nomFamille || "Device",
+      prenom: prenom || id_patient,
+      sexe: sexe || "U",
+      date_naissance: date_naissance || null,
+      adresse_postale: null,
+      adresse_electronique: null,
+      fk_aide_soignant: null,
+      fk_medecin_traitant: null,
+    });
+    invalidatePatient(id_patient);
+    res.status(201).json({
+      success: true,
+      patient: data,
+      message: "Patient créé avec succès",
+    });
+  } catch (err) {
+    sendUpstreamError(res, err, "Erreur création patient");
+  }
+});
+
+// Récupérer les médicaments d'un patient
+app.get(
+  "/api/medocs/:patientId",
+  apiKeyMiddleware,
+  validateRequest,
+  requirePatientAccess(),
+  async (req, res) => {
+    const patientId = req.params.patientId;
+
+    try {
+      const data = await api.get(
+        "/medocpatients/:patientId",
+        `/medocpatients/${encodeURIComponent(patientId)}`
+      );
+      res.json(data);
+    } catch (err) {
+      if (err.status === 404) {
+        return res.json([]); // Pas de médicaments = liste vide
+      }
+      sendUpstreamError(res, err, "Erreur récupération médicaments");
+    }
+  }
+);
+
+// Décompte une distribution du stock d'un médicament, au nom de auth (droits
+// et auteur de l'entrée d'audit). expectedPatientId : patient auquel le
+// médicament doit appartenir. Renvoie { status, body } ; les erreurs de l'API
+// sont levées.
+async function distributeMedoc(auth, medocId, quantite_distribuee, expectedPatientId = null) {
+  let medoc;
+  try {
+    medoc = await api.get(
+      "/medocpatients/id/:id",
+      `/medocpatients/id/${encodeURIComponent(medocId)}`
+    );
+  } catch (err) {
+    if (err.status === 404) {
+      return { status: 404, body: { error: "Médicament non trouvé" } };
+    }
+    throw err;
+  }
+  // Le patient n'est connu qu'une fois le médicament lu
+  const medocPatientId = medoc.id_patient ?? medoc.fk_patient ?? null;
+  if (expectedPatientId != null && String(medocPatientId) !== String(expectedPatientId)) {
+    return { status: 409, body: { error: "Médicament d'un autre patient" } };
+  }
+  const allowed =
+    auth.role === "service" ||
+    (medocPatientId != null && (await canAccessPatient(auth, medocPatientId)));
+  if (!allowed) {
+    return { status: 403, body: { error: "Forbidden: patient hors de votre périmètre" } };
+  }
+  const newQuantite = medoc.quantite_restante - quantite_distribuee;
+
+  if (newQuantite < 0) {
+    return {
+      status: 400,
+      body: { error: "Stock insuffisant", restant: medoc.quantite_restante },
+    };
+  }
+
+  // Mettre à jour la quantité
+  const data = await api.patch(
+    "/medocpatients/:id",
+    `/medocpatients/${encodeURIComponent(medocId)}`,
+    { quantite_restante: newQuantite }
+  );
+  if (medocPatientId != null) {
+    recordStockLevel(medocPatientId, {
+      nom_medoc: medoc.nom_medoc,
+      medocId,
+      quantite_restante: newQuantite,
+    });
+  }
+  recordAudit(auth, "stock.distribute", {
+    patientId: medocPatientId,
+    target: `medoc:${medocId}`,
+    before: { quantite_restante: medoc.quantite_restante },
+    after: { quantite_restante: newQuantite, quantite_distribuee },
+  });
+  return {
+    status: 200,
+    body: { success: true, quantite_restante: newQuantite, data },
+  };
+}
+
+// Mettre à jour la quantité de médicaments après distribution
+app.patch(
+  "/api/medocs/:medocId/distribute",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  async (req, res) => {
+    try {
+      const { status, body } = await distributeMedoc(
+        req.auth,
+        req.params.medocId,
+        req.body.quantite_distribuee
+      );
+      res.status(status).json(body);
+    } catch (err) {
+      sendUpstreamError(res, err, "Erreur distribution médicament");
+    }
+  }
+);
+
+// Endpoint pour enregistrer une distribution de médicament
+app.post(
+  "/api/distributions",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  requirePatientAccess((req) => req.body.patientId),
+  async (req, res) => {
+    const { patientId, medocId, quantite, timestamp } = req.body;
+
+    try {
+      // Mettre à jour la quantité restante
+      const update = await distributeMedoc(req.auth, medocId, quantite || 1, patientId);
+      if (update.status !== 200) {
+        return res.status(update.status).json(update.body);
+      }
+
+      // Envoyer une notification à l'aide-soignant si nécessaire
+      const aideId = await getAideForPatient(patientId);
+      if (aideId) {
+        sendToAide(aideId, {
+          type: "distribution_confirmed",
+          patientId,
+          medocId,
+          quantite: quantite || 1,
+          timestamp: timestamp || new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Distribution enregistrée",
+      });
+    } catch (err) {
+      sendUpstreamError(res, err, "Erreur enregistrement distribution");
+    }
+  }
+);
+
+// ======================
+// INCIDENTS DE MAINTENANCE
+// ======================
+app.get(
+  "/api/incidents",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  (req, res) => {
+    const { status, boxId } = req.query;
+    // Un aide-soignant ne voit que les incidents qui lui sont confiés
+    const aideId =
+      req.auth.role === "service" ? req.query.aideId : req.auth.userId;
+    const result = incidents.filter(
+      (i) =>
+        (!status || i.status === status) &&
+        (!boxId || i.boxId === boxId) &&
+        (!aideId || i.aideId === aideId)
+    );
+    res.json({ count: result.length, incidents: result });
+  }
+);
+
+app.get(
+  "/api/incidents/:incidentId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  (req, res) => {
+    const incident = incidents.find((i) => i.incidentId === req.params.incidentId);
+    if (!incident) {
+      return res.status(404).json({ error: "Incident non trouvé" });
+    }
+    if (req.auth.role !== "service" && incident.aideId !== req.auth.userId) {
+      return res.status(403).json({ error: "Forbidden: incident d'un autre aide-soignant" });
+    }
+    res.json(incident);
+  }
+);
+
+app.patch(
+  "/api/incidents/:incidentId/assign",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const { aideId } = req.body;
+    const incident = incidents.find((i) => i.incidentId === req.params.incidentId);
+    if (!incident) {
+      return res.status(404).json({ error: "Incident non trouvé" });
+    }
+    if (incident.status === "resolved") {
+      return res.status(409).json({ error: "Incident déjà résolu" });
+    }
 
-    const response = await fetch(`${API_BASE}/medecins`, {
-      method: "POST",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        id_medecin,
-        mot_de_passe,
-        nomFamille,
-        prenom,
-        sexe: sexe || "U",
-        date_naissance: date_naissance || null,
-        adresse_postale: adresse_postale || null,
-        adresse_electronique: adresse_electronique || null,
-      }),
+    incident.aideId = String(aideId);
+    incident.status = "assigned";
+    incident.assignedAt = new Date().toISOString();
+    persistIncidents();
+
+    sendToAide(incident.aideId, {
+      type: "maintenance",
+      patientId: incident.patientId ?? incident.boxId,
+      alertType: "mecanic",
+      message: incident.faults[incident.faults.length - 1],
+      incident,
     });
+    console.log(`[INCIDENT] ${incident.incidentId} assigné à ${incident.aideId}`);
+    res.json({ success: true, incident });
+  }
+);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      return res.status(response.status).json({
-        error: "Erreur création compte",
-        details: errorText,
-      });
+app.patch(
+  "/api/incidents/:incidentId/resolve",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  (req, res) => {
+    const incident = incidents.find((i) => i.incidentId === req.params.incidentId);
+    if (!incident) {
+      return res.status(404).json({ error: "Incident non trouvé" });
+    }
+    if (req.auth.role !== "service" && incident.aideId !== req.auth.userId) {
+      return res.status(403).json({ error: "Forbidden: incident d'un autre aide-soignant" });
+    }
+    if (incident.status === "resolved") {
+      return res.status(409).json({ error: "Incident déjà résolu" });
     }
 
-    const data = await response.json();
-    console.log(`[SIGNUP] ✅ Médecin créé: ${id_medecin}`);
+    incident.status = "resolved";
+    incident.resolvedAt = new Date().toISOString();
+    incident.resolution = req.body?.resolution || null;
+    persistIncidents();
+    console.log(`[INCIDENT] ✅ ${incident.incidentId} résolu`);
+    res.json({ success: true, incident });
+  }
+);
 
-    res.status(201).json({
-      success: true,
-      user: data,
-      id: id_medecin,
-      message: "Compte médecin créé avec succès",
+// ======================
+// STATISTIQUES D'ALERTES
+// ======================
+// Percentile "nearest-rank" sur une liste triée
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function topCounts(records, key, limit = 10) {
+  const counts = new Map();
+  for (const r of records) {
+    if (r[key] == null) continue;
+    counts.set(r[key], (counts.get(r[key]) || 0) + 1);
+  }
+  return Array.from(counts, ([id, count]) => ({ [key]: id, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+// Volume par type, délai d'ACK par aide, patients et box les plus bruyants
+app.get(
+  "/api/analytics/alerts",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("medecins"),
+  (req, res) => {
+    const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+    const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+
+    const records = Array.from(alertHistory.values()).filter((r) => {
+      const at = Date.parse(r.createdAt);
+      return at >= from && at <= to;
     });
-  } catch (error) {
-    console.error(`[SIGNUP] Erreur:`, error);
-    res.status(500).json({
-      error: "Erreur serveur",
-      message: error.message,
+
+    const countsByType = {};
+    for (const r of records) {
+      const type = r.alertType || "unknown";
+      countsByType[type] = (countsByType[type] || 0) + 1;
+    }
+
+    // Délai d'ACK attribué à l'aide qui a acquitté (l'aide d'origine sinon)
+    const byAide = new Map();
+    for (const r of records) {
+      const aideId = r.ackedBy || r.aideId;
+      if (!byAide.has(aideId)) {
+        byAide.set(aideId, { durations: [], pending: 0, resolved: 0 });
+      }
+      const stats = byAide.get(aideId);
+      if (r.ackedAt) {
+        stats.durations.push(Date.parse(r.ackedAt) - Date.parse(r.createdAt));
+      } else if (r.resolvedAt) {
+        stats.resolved++;
+      } else {
+        stats.pending++;
+      }
+    }
+    const timeToAck = Array.from(byAide, ([aideId, stats]) => {
+      const sorted = stats.durations.sort((a, b) => a - b);
+      return {
+        aideId,
+        acked: sorted.length,
+        pending: stats.pending,
+        resolved: stats.resolved,
+        medianMs: percentile(sorted, 50),
+        p95Ms: percentile(sorted, 95),
+      };
+    });
+
+    res.json({
+      range: {
+        from: req.query.from || null,
+        to: req.query.to || null,
+      },
+      total: records.length,
+      countsByType,
+      timeToAck,
+      topPatients: topCounts(records, "patientId"),
+      topBoxes: topCounts(records, "boxId"),
     });
   }
-});
+);
 
-// Création de patient par aide-soignant
-app.post("/api/patients/create", apiKeyMiddleware, async (req, res) => {
-  const {
-    nomFamille,
-    prenom,
-    date_naissance,
-    sexe,
-    adresse_postale,
-    adresse_electronique,
-    fk_aide_soignant,
-  } = req.body;
+// ======================
+// JOURNAL D'AUDIT
+// ======================
+// Filtres communs : patientId, actor (id utilisateur), action, from, to (ISO)
+function filterAuditEntries(query) {
+  const from = query.from ? Date.parse(query.from) : -Infinity;
+  const to = query.to ? Date.parse(query.to) : Infinity;
+  return auditEntries.filter((e) => {
+    const at = Date.parse(e.at);
+    return (
+      (!query.patientId || e.patientId === query.patientId) &&
+      (!query.actor || e.actor.userId === query.actor) &&
+      (!query.action || e.action === query.action) &&
+      at >= from &&
+      at <= to
+    );
+  });
+}
 
-  if (!nomFamille || !prenom || !fk_aide_soignant) {
-    return res.status(400).json({
-      error: "Champs obligatoires manquants",
-      required: ["nomFamille", "prenom", "fk_aide_soignant"],
-    });
+function csvCell(value) {
+  if (value == null) return "";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+app.get("/api/audit", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const entries = filterAuditEntries(req.query);
+  const limit = parseInt(req.query.limit || "500", 10);
+  res.json({ count: entries.length, entries: entries.slice(-limit) });
+});
+
+app.get("/api/audit/export", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const entries = filterAuditEntries(req.query);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (req.query.format === "csv") {
+    const header = "seq,at,actor_id,actor_role,action,patient_id,target,before,after,hash";
+    const rows = entries.map((e) =>
+      [
+        e.seq,
+        csvCell(e.at),
+        csvCell(e.actor.userId),
+        csvCell(e.actor.role),
+        csvCell(e.action),
+        csvCell(e.patientId),
+        csvCell(e.target),
+        csvCell(e.before),
+        csvCell(e.after),
+        csvCell(e.hash),
+      ].join(",")
+    );
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="audit-${stamp}.csv"`);
+    return res.send([header, ...rows].join("\n"));
   }
 
-  try {
-    const id_patient = generateUniqueId("patients");
-    const mot_de_passe_patient = `patient${Math.floor(Math.random() * 10000)}`;
+  res.set("Content-Disposition", `attachment; filename="audit-${stamp}.json"`);
+  res.json({ exportedAt: new Date().toISOString(), integrity: verifyAuditLog(), entries });
+});
 
-    const response = await fetch(`${API_BASE}/patients`, {
-      method: "POST",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        id_patient,
-        mot_de_passe: mot_de_passe_patient,
-        nomFamille,
-        prenom,
-        sexe: sexe || "U",
-        date_naissance: date_naissance || null,
-        adresse_postale: adresse_postale || null,
-        adresse_electronique: adresse_electronique || null,
-        fk_aide_soignant,
-        fk_medecin_traitant: null,
-      }),
-    });
+app.get("/api/audit/verify", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  res.json(verifyAuditLog());
+});
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      return res.status(response.status).json({
-        error: "Erreur création patient",
-        details: errorText,
-      });
+// ======================
+// Outbox (écritures en attente de synchronisation)
+// ======================
+// Le mot de passe éventuel du corps n'est jamais renvoyé
+function outboxView(entry) {
+  const { mot_de_passe, ...body } = entry.body || {};
+  return { ...entry, body };
+}
+
+function outboxSummary(entries) {
+  const pending = entries.filter((e) => e.status === "pending");
+  return {
+    pending: pending.length,
+    failed: entries.length - pending.length,
+    oldestPendingAt: pending[0]?.createdAt ?? null,
+  };
+}
+
+// Chacun ne voit que les écritures des patients de son périmètre
+app.get(
+  "/api/outbox",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  async (req, res) => {
+    const entries = [];
+    for (const entry of outbox) {
+      if (await canAccessPatient(req.auth, entry.patientId)) entries.push(entry);
     }
+    res.json({ ...outboxSummary(entries), entries: entries.map(outboxView) });
+  }
+);
 
-    const data = await response.json();
-    console.log(`[PATIENT] ✅ Patient créé: ${id_patient}`);
+// Rejeu immédiat, sans attendre la fin du délai en cours
+app.post(
+  "/api/outbox/flush",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  async (req, res) => {
+    const head = outbox.find((e) => e.status === "pending");
+    if (head) head.nextAttemptAt = new Date().toISOString();
+    await flushOutbox();
+    res.json(outboxSummary(outbox));
+  }
+);
 
-    res.status(201).json({
-      success: true,
-      patient: data,
-      id: id_patient,
-      tempPassword: mot_de_passe_patient,
-      message: "Patient créé avec succès",
-    });
-  } catch (error) {
-    console.error(`[PATIENT] Erreur:`, error);
-    res.status(500).json({
-      error: "Erreur serveur",
-      message: error.message,
+// Abandon d'une écriture (typiquement "failed" après correction à la main)
+app.delete(
+  "/api/outbox/:entryId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const index = outbox.findIndex((e) => e.entryId === req.params.entryId);
+    if (index === -1) {
+      return res.status(404).json({ error: "Écriture introuvable" });
+    }
+    const [entry] = outbox.splice(index, 1);
+    persistOutbox();
+    recordAudit(req.auth, "outbox.discard", {
+      patientId: entry.patientId,
+      target: `outbox:${entry.entryId}`,
+      before: outboxView(entry),
     });
+    res.json({ success: true, entryId: entry.entryId });
   }
+);
+
+// ======================
+// Messages MQTT rejetés par la validation (dead letters)
+// ======================
+// Filtres : boxId, alertType, reason, from, to (ISO)
+app.get("/api/mqtt/dead-letters", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+  const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+  const entries = deadLetters.filter((e) => {
+    const at = Date.parse(e.receivedAt);
+    return (
+      (!req.query.boxId || e.boxId === req.query.boxId) &&
+      (!req.query.alertType || e.alertType === req.query.alertType) &&
+      (!req.query.reason || e.reason === req.query.reason) &&
+      at >= from &&
+      at <= to
+    );
+  });
+  const limit = parseInt(req.query.limit || "100", 10);
+  res.json({ count: entries.length, entries: entries.slice(-limit) });
 });
 
-// ==================================
-// ENDPOINT DE SUPPRESSION DE PATIENT
-// ==================================
+// ======================
+// Registre des box : provisionnement, réaffectation, retrait
+// ======================
+// Une box active par patient : les anciens topics (id patient) doivent
+// désigner une seule box
+async function assignmentError(patientId, deviceId) {
+  if (!(await findPatient(patientId))) {
+    return { status: 404, error: "Patient non trouvé" };
+  }
+  const other = activeDeviceForPatient(patientId);
+  if (other && other.deviceId !== deviceId) {
+    return { status: 409, error: `Le patient a déjà une box active (${other.deviceId})` };
+  }
+  return null;
+}
 
-// Supprimer un patient via le compte aide soignant 
-app.delete("/api/patients/:patientId", apiKeyMiddleware, async (req, res) => {
-  const patientId = req.params.patientId;
+app.get(
+  "/api/devices",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  async (req, res) => {
+    const { status, patientId } = req.query;
+    const result = [];
+    for (const device of devices.values()) {
+      if (status && device.status !== status) continue;
+      if (patientId && device.patientId !== patientId) continue;
+      if (await canAccessPatient(req.auth, device.patientId)) result.push(device);
+    }
+    res.json({ count: result.length, devices: result });
+  }
+);
+
+app.get(
+  "/api/devices/:deviceId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  requirePatientAccess((req) => patientIdForBox(req.params.deviceId)),
+  (req, res) => {
+    const device = devices.get(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({ error: "Box non trouvée" });
+    }
+    res.json(device);
+  }
+);
+
+app.post("/api/devices", apiKeyMiddleware, validateRequest, requireRole(), async (req, res) => {
+  const { deviceId, patientId, firmwareVersion } = req.body;
+  const id = String(deviceId);
+  const existing = devices.get(id);
+  if (existing?.status === "active") {
+    return res.status(409).json({ error: "Box déjà provisionnée" });
+  }
+  const conflict = await assignmentError(String(patientId), id);
+  if (conflict) {
+    return res.status(conflict.status).json({ error: conflict.error });
+  }
+
+  // Une box retirée peut être reprovisionnée : son historique est conservé
+  const now = new Date().toISOString();
+  const device = {
+    deviceId: id,
+    patientId: String(patientId),
+    firmwareVersion: firmwareVersion ?? null,
+    status: "active",
+    provisionedAt: now,
+    decommissionedAt: null,
+    lastSeenAt: existing?.lastSeenAt ?? null,
+    lastTopic: existing?.lastTopic ?? null,
+    assignments: [
+      ...(existing?.assignments ?? []),
+      { patientId: String(patientId), from: now, to: null },
+    ],
+  };
+  devices.set(id, device);
+  persistDevices();
+  recordAudit(req.auth, "device.provision", {
+    patientId: device.patientId,
+    target: `device:${id}`,
+    after: { firmwareVersion: device.firmwareVersion },
+  });
+  console.log(`[DEVICE] Box ${id} provisionnée pour ${device.patientId}`);
+  res.status(201).json(device);
+});
 
-  if (!patientId) {
-    return res.status(400).json({
-      error: "ID patient requis"
+app.patch(
+  "/api/devices/:deviceId/assign",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  async (req, res) => {
+    const { patientId } = req.body;
+    const device = devices.get(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({ error: "Box non trouvée" });
+    }
+    if (device.status !== "active") {
+      return res.status(409).json({ error: "Box retirée du service" });
+    }
+    const conflict = await assignmentError(String(patientId), device.deviceId);
+    if (conflict) {
+      return res.status(conflict.status).json({ error: conflict.error });
+    }
+
+    const now = new Date().toISOString();
+    const before = device.patientId;
+    device.assignments[device.assignments.length - 1].to = now;
+    device.assignments.push({ patientId: String(patientId), from: now, to: null });
+    device.patientId = String(patientId);
+    persistDevices();
+    const liveness = boxLiveness.get(device.deviceId);
+    if (liveness) {
+      liveness.patientId = device.patientId;
+      persistBoxLiveness();
+    }
+    recordAudit(req.auth, "device.reassign", {
+      patientId: device.patientId,
+      target: `device:${device.deviceId}`,
+      before: { patientId: before },
+      after: { patientId: device.patientId },
     });
+    console.log(`[DEVICE] Box ${device.deviceId} réaffectée: ${before} -> ${device.patientId}`);
+    res.json({ success: true, device });
   }
+);
 
-  if (!API_BASE) {
-    return res.status(500).json({ error: "API_BASE_URL non configurée" });
+// La box n'est pas supprimée : son historique reste consultable et
+// ses messages sont désormais ignorés
+app.patch(
+  "/api/devices/:deviceId/decommission",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const device = devices.get(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({ error: "Box non trouvée" });
+    }
+    if (device.status === "decommissioned") {
+      return res.status(409).json({ error: "Box déjà retirée du service" });
+    }
+
+    const now = new Date().toISOString();
+    device.status = "decommissioned";
+    device.decommissionedAt = now;
+    device.assignments[device.assignments.length - 1].to = now;
+    persistDevices();
+    // Une box retirée n'est plus surveillée : son silence n'est pas une panne
+    if (boxLiveness.delete(device.deviceId)) persistBoxLiveness();
+    resolveAlerts(
+      (p) => p.alertType === "offline" && p.boxId === device.deviceId,
+      "box_decommissioned"
+    );
+    recordAudit(req.auth, "device.decommission", {
+      patientId: device.patientId,
+      target: `device:${device.deviceId}`,
+      before: { status: "active" },
+      after: { status: "decommissioned" },
+    });
+    console.log(`[DEVICE] Box ${device.deviceId} retirée du service`);
+    res.json({ success: true, device });
   }
+);
 
-  try {
-    console.log(`[DELETE] Tentative de suppression du patient: ${patientId}`);
+// ======================
+// Commandes à distance (dispense, ouverture pour recharge, reboot, heure)
+// ======================
+app.post(
+  "/api/device/:deviceId/commands",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  requirePatientAccess((req) => patientIdForBox(req.params.deviceId)),
+  async (req, res) => {
+    // Le document OpenAPI valide command ; les paramètres dépendent de la commande
+    const { command, params = {} } = req.body;
+    const errors = validateSchema(BOX_COMMANDS[command], params, "params");
+    if (errors.length > 0) {
+      const details = errors.map((e) => ({ in: "body", ...e }));
+      return res.status(400).json(validationError(details));
+    }
+    if (devices.get(req.params.deviceId)?.status === "decommissioned") {
+      return res.status(409).json({ error: "Box retirée du service" });
+    }
 
-    // Vérifier d'abord que le patient existe
-    const checkUrl = `${API_BASE}/patients/${encodeURIComponent(patientId)}`;
-    const checkResponse = await fetch(checkUrl, {
-      method: "GET",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json"
-      }
+    const patientId = patientIdForBox(req.params.deviceId);
+    const entry = sendBoxCommand({
+      patientId,
+      command,
+      params,
+      auth: req.auth,
+      aideId: await getAideForPatient(patientId),
+    });
+    recordAudit(req.auth, "device.command", {
+      patientId,
+      target: `device:${entry.boxId}`,
+      after: { commandId: entry.commandId, command, params },
     });
+    res.status(202).json(entry);
+  }
+);
 
-    if (!checkResponse.ok) {
-      if (checkResponse.status === 404) {
-        return res.status(404).json({
-          error: "Patient non trouvé",
-          patientId
-        });
+// Filtres : status, command
+app.get(
+  "/api/device/:deviceId/commands",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  requirePatientAccess((req) => patientIdForBox(req.params.deviceId)),
+  (req, res) => {
+    const patientId = patientIdForBox(req.params.deviceId);
+    const commands = boxCommands.filter(
+      (c) =>
+        c.patientId === patientId &&
+        (!req.query.status || c.status === req.query.status) &&
+        (!req.query.command || c.command === req.query.command)
+    );
+    res.json({ count: commands.length, commands: commands.reverse() });
+  }
+);
+
+app.get(
+  "/api/device/:deviceId/commands/:commandId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  requirePatientAccess((req) => patientIdForBox(req.params.deviceId)),
+  (req, res) => {
+    const command = boxCommands.find(
+      (c) =>
+        c.commandId === req.params.commandId &&
+        c.patientId === patientIdForBox(req.params.deviceId)
+    );
+    if (!command) {
+      return res.status(404).json({ error: "Commande introuvable" });
+    }
+    res.json(command);
+  }
+);
+
+// ======================
+// Recharges des compartiments
+// ======================
+// Une recharge ajoute quantite_ajoutee au stock du médicament dans l'API,
+// lève les alertes seuilmedoc / plusmedoc / stock_forecast en attente pour
+// ce médicament et envoie à la box une commande "refill" (suivie comme les
+// autres commandes) pour qu'elle recale ses compteurs.
+// Les alertes de la box sont du texte libre : une alerte qui cite
+// "compartiment {n}" concerne ce seul compartiment ; sinon elle concerne le
+// médicament si elle le nomme en mots entiers ("Fer" ne couvre ni "offert"
+// ni "Fervex").
+const REFILLS_FILE = "refills.json";
+const refills = readJsonFile(REFILLS_FILE, []);
+
+const STOCK_ALERT_TYPES = ["seuilmedoc", "plusmedoc"];
+
+function isStockAlertFor(payload, patientId, nom_medoc, compartiment) {
+  if (payload.patientId !== patientId) return false;
+  if (payload.alertType === "stock_forecast") {
+    const forecastMedoc = payload.forecast?.nom_medoc;
+    return stockKey(patientId, forecastMedoc) === stockKey(patientId, nom_medoc);
+  }
+  if (!STOCK_ALERT_TYPES.includes(payload.alertType)) return false;
+  const text = String(payload.message ?? "");
+  const cited = /compartiment\s*(\d+)/i.exec(text);
+  if (cited) return Number(cited[1]) === Number(compartiment);
+  if (!nom_medoc) return false;
+  const name = String(nom_medoc).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${name}(?![\\p{L}\\p{N}])`, "iu").test(text);
+}
+
+app.post(
+  "/api/device/:deviceId/refills",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants"),
+  requirePatientAccess((req) => patientIdForBox(req.params.deviceId)),
+  async (req, res) => {
+    if (devices.get(req.params.deviceId)?.status === "decommissioned") {
+      return res.status(409).json({ error: "Box retirée du service" });
+    }
+    const patientId = patientIdForBox(req.params.deviceId);
+    const { medocId, compartiment, quantite_ajoutee } = req.body;
+
+    try {
+      let medoc;
+      try {
+        medoc = await api.get(
+          "/medocpatients/id/:id",
+          `/medocpatients/id/${encodeURIComponent(medocId)}`
+        );
+      } catch (err) {
+        if (err.status === 404) {
+          return res.status(404).json({ error: "Médicament non trouvé" });
+        }
+        throw err;
       }
-      return res.status(checkResponse.status).json({
-        error: "Erreur lors de la vérification du patient"
+      const medocPatientId = medoc.id_patient ?? medoc.fk_patient ?? null;
+      // Un médicament sans patient connu ne se recharge par aucune box
+      if (medocPatientId == null || String(medocPatientId) !== patientId) {
+        return res.status(409).json({ error: "Médicament d'un autre patient" });
+      }
+
+      const before = medoc.quantite_restante ?? 0;
+      const after = before + quantite_ajoutee;
+      await api.patch(
+        "/medocpatients/:id",
+        `/medocpatients/${encodeURIComponent(medocId)}`,
+        { quantite_restante: after }
+      );
+      recordStockLevel(patientId, {
+        nom_medoc: medoc.nom_medoc,
+        compartiment,
+        medocId,
+        quantite_restante: after,
+      });
+
+      const resolvedAlerts = resolveAlerts(
+        (p) => isStockAlertFor(p, patientId, medoc.nom_medoc, compartiment),
+        "refill"
+      );
+      const command = sendBoxCommand({
+        patientId,
+        command: "refill",
+        params: {
+          compartiment,
+          nom_medoc: medoc.nom_medoc ?? null,
+          quantite_ajoutee,
+          quantite_restante: after,
+        },
+        auth: req.auth,
+        aideId: await getAideForPatient(patientId),
+      });
+
+      const refill = {
+        refillId: crypto.randomUUID(),
+        patientId,
+        boxId: command.boxId,
+        compartiment,
+        medocId: String(medocId),
+        nom_medoc: medoc.nom_medoc ?? null,
+        quantite_ajoutee,
+        before,
+        after,
+        refilledBy: { userId: req.auth.userId, role: req.auth.role },
+        refilledAt: new Date().toISOString(),
+        resolvedAlerts,
+        commandId: command.commandId,
+      };
+      refills.push(refill);
+      writeJsonFile(REFILLS_FILE, refills);
+      recordAudit(req.auth, "stock.refill", {
+        patientId,
+        target: `medoc:${medocId}`,
+        before: { quantite_restante: before },
+        after: { quantite_restante: after, quantite_ajoutee, compartiment },
       });
+      console.log(
+        `[RECHARGE] ${refill.nom_medoc} +${quantite_ajoutee} (compartiment ${compartiment}) -> ${patientId}`
+      );
+      res.status(201).json(refill);
+    } catch (err) {
+      sendUpstreamError(res, err, "Erreur recharge");
     }
+  }
+);
 
-    // Supprimer le patient
-    const deleteUrl = `${API_BASE}/patients/${encodeURIComponent(patientId)}`;
-    const deleteResponse = await fetch(deleteUrl, {
-      method: "DELETE",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json"
-      }
+// Historique des recharges d'un patient (filtres : from, to, compartiment)
+app.get(
+  "/api/refills/:patientId",
+  apiKeyMiddleware,
+  validateRequest,
+  requirePatientAccess(),
+  (req, res) => {
+    const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+    const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+    const history = refills.filter((r) => {
+      const at = Date.parse(r.refilledAt);
+      return (
+        r.patientId === req.params.patientId &&
+        (!req.query.compartiment ||
+          String(r.compartiment) === req.query.compartiment) &&
+        at >= from &&
+        at <= to
+      );
+    });
+    res.json({ count: history.length, refills: history.reverse() });
+  }
+);
+
+// ======================
+// Préférences de notification (aides-soignants, médecins après escalade)
+// ======================
+// Champ des préférences requis par chaque canal choisi
+const NOTIFICATION_CONTACT_FIELDS = { email: "email", sms: "phone", push: "pushSubscription" };
+
+app.get(
+  "/api/notifications/preferences/:userId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  requireSelf((req) => req.params.userId),
+  (req, res) => {
+    res.json({
+      userId: req.params.userId,
+      preferences: notificationPreferences.get(req.params.userId) ?? null,
+      availableChannels: Array.from(notificationChannels.keys()),
+      vapidPublicKey: VAPID_PUBLIC_KEY || null,
     });
+  }
+);
+
+app.put(
+  "/api/notifications/preferences/:userId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  requireSelf((req) => req.params.userId),
+  (req, res) => {
+    const { channels, email, phone, pushSubscription, types } = req.body;
+    const details = channels
+      .filter((name) => !req.body[NOTIFICATION_CONTACT_FIELDS[name]])
+      .map((name) => ({
+        in: "body",
+        path: NOTIFICATION_CONTACT_FIELDS[name],
+        message: `requis pour le canal ${name}`,
+      }));
+    if (pushSubscription && !isPushServiceEndpoint(pushSubscription.endpoint, PUSH_SERVICE_HOSTS)) {
+      details.push({
+        in: "body",
+        path: "pushSubscription.endpoint",
+        message: "doit être l'adresse d'un service push connu",
+      });
+    }
+    if (details.length > 0) {
+      return res.status(400).json(validationError(details));
+    }
+
+    const preferences = {
+      channels: Array.from(new Set(channels)),
+      email: email ?? null,
+      phone: phone ?? null,
+      pushSubscription: pushSubscription ?? null,
+      types: types ?? DEFAULT_NOTIFIED_TYPES,
+      updatedAt: new Date().toISOString(),
+    };
+    notificationPreferences.set(req.params.userId, preferences);
+    persistNotificationPreferences();
+    res.json({ userId: req.params.userId, preferences });
+  }
+);
 
-    if (!deleteResponse.ok) {
-      const errorText = await deleteResponse.text();
-      console.error(`[DELETE] Erreur API: ${errorText}`);
-      return res.status(deleteResponse.status).json({
-        error: "Erreur lors de la suppression",
-        details: errorText
-      });
+app.delete(
+  "/api/notifications/preferences/:userId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  requireSelf((req) => req.params.userId),
+  (req, res) => {
+    if (!notificationPreferences.delete(req.params.userId)) {
+      return res.status(404).json({ error: "Aucune préférence enregistrée" });
     }
+    persistNotificationPreferences();
+    res.json({ success: true });
+  }
+);
 
-    console.log(`[DELETE] ✅ Patient supprimé: ${patientId}`);
-
-    res.json({
-      success: true,
-      message: "Patient supprimé avec succès",
-      patientId
-    });
-  } catch (err) {
-    console.error("[DELETE] Erreur:", err);
-    res.status(500).json({ 
-      error: "Erreur serveur lors de la suppression",
-      message: err.message 
+// Envoi d'essai sur chaque canal choisi, pour vérifier les coordonnées
+app.post(
+  "/api/notifications/preferences/:userId/test",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  requireSelf((req) => req.params.userId),
+  async (req, res) => {
+    const prefs = notificationPreferences.get(req.params.userId);
+    if (!prefs) {
+      return res.status(404).json({ error: "Aucune préférence enregistrée" });
+    }
+    const results = await sendNotification(req.params.userId, prefs, {
+      subject: "[test] Notification de test",
+      text: "Les alertes en attente d'acquittement vous seront notifiées ici.",
     });
+    res.json({ results });
   }
-});
-
-
+);
 
+// Journal des notifications (filtres : userId, alertId, reason)
+app.get(
+  "/api/notifications/log",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const entries = notificationLog.filter(
+      (e) =>
+        (!req.query.userId || e.userId === req.query.userId) &&
+        (!req.query.alertId || e.alertId === req.query.alertId) &&
+        (!req.query.reason || e.reason === req.query.reason)
+    );
+    const limit = parseInt(req.query.limit || "100", 10);
+    res.json({ count: entries.length, entries: entries.slice(-limit) });
+  }
+);
 
 // ======================
-// TEST D'ALERTES
+// ÉQUIPES ET GARDES
 // ======================
-
-// Envoyer une alerte de test manuelle
-app.post("/api/test/send-alert", apiKeyMiddleware, (req, res) => {
-  const { aideId, patientId, alertType, message } = req.body;
-
-  if (!aideId) {
-    return res.status(400).json({ error: "aideId requis" });
+// Renvoie un message si un patient appartient déjà à une autre équipe
+function teamPatientConflict(patientIds, teamId = null) {
+  for (const patientId of patientIds) {
+    const other = teamForPatient(patientId);
+    if (other && other.teamId !== teamId) {
+      return `Patient ${patientId} déjà rattaché à l'équipe ${other.name}`;
+    }
   }
+  return null;
+}
 
-  const payload = {
-    type: "box_alert",
-    patientId: patientId || "test-patient",
-    alertType: alertType || "test",
-    message: message || "Alerte de test",
-    topic: "alert/box/test/manual",
-  };
-
-  const sent = sendToAide(aideId, payload);
-  res.json({
-    success: true,
-    sent,
-    message: sent
-      ? "Alerte envoyée"
-      : "Aide-soignant hors ligne, alerte en attente",
-  });
-});
-
-// Démarrer l'envoi d'alertes périodiques (pour tests)
-let testAlertInterval = null;
-
-app.post("/api/test/start-periodic-alerts", apiKeyMiddleware, (req, res) => {
-  const { aideId, intervalSeconds } = req.body;
-
-  if (!aideId) {
-    return res.status(400).json({ error: "aideId requis" });
+// Contrôles d'un créneau qui ne tiennent pas dans le schéma : renvoie
+// { status, body } en cas de refus
+function shiftProblem(team, { aideId, start, end, shiftId = null }) {
+  if (!team.members.includes(aideId)) {
+    return {
+      status: 400,
+      body: validationError([{ in: "body", path: "aideId", message: "doit être membre de l'équipe" }]),
+    };
   }
-
-  const interval = (intervalSeconds || 30) * 1000; // Défaut: 30 secondes
-
-  // Arrêter l'ancien timer s'il existe
-  if (testAlertInterval) {
-    clearInterval(testAlertInterval);
+  if (Date.parse(end) <= Date.parse(start)) {
+    return {
+      status: 400,
+      body: validationError([{ in: "body", path: "end", message: "doit être postérieur à start" }]),
+    };
   }
-
-  let counter = 1;
-
-  testAlertInterval = setInterval(() => {
-    const alertTypes = ["empty", "late", "low", "error"];
-    const randomType =
-      alertTypes[Math.floor(Math.random() * alertTypes.length)];
-
-    const payload = {
-      type: "box_alert",
-      patientId: "pat-test-" + counter,
-      alertType: randomType,
-      message: `Alerte de test #${counter} - ${new Date().toLocaleTimeString(
-        "fr-FR"
-      )}`,
-      topic: `alert/box/test/${randomType}`,
+  const overlap = shifts.find(
+    (s) =>
+      s.shiftId !== shiftId &&
+      s.teamId === team.teamId &&
+      s.aideId === aideId &&
+      Date.parse(s.start) < Date.parse(end) &&
+      Date.parse(start) < Date.parse(s.end)
+  );
+  if (overlap) {
+    return {
+      status: 409,
+      body: { error: "Créneau en chevauchement avec un autre de cet aide", shiftId: overlap.shiftId },
     };
-
-    sendToAide(aideId, payload);
-    console.log(`[TEST] Alerte ${counter} envoyée à ${aideId}`);
-    counter++;
-  }, interval);
-
-  res.json({
-    success: true,
-    message: `Alertes périodiques démarrées pour ${aideId}`,
-    interval: `${intervalSeconds || 30} secondes`,
-  });
-});
-
-// Arrêter les alertes périodiques
-app.post("/api/test/stop-periodic-alerts", apiKeyMiddleware, (req, res) => {
-  if (testAlertInterval) {
-    clearInterval(testAlertInterval);
-    testAlertInterval = null;
-    res.json({ success: true, message: "Alertes périodiques arrêtées" });
-  } else {
-    res.json({ success: false, message: "Aucune alerte périodique en cours" });
   }
-});
+  return null;
+}
 
-// Vérifier si un patient existe par ID
-app.get("/api/patients/:patientId", apiKeyMiddleware, async (req, res) => {
-  const patientId = req.params.patientId;
+const findTeam = (teamId) => teams.find((t) => t.teamId === teamId);
 
-  if (!API_BASE) {
-    return res.status(500).json({ error: "API_BASE_URL non configurée" });
+// Une équipe est visible de ses membres et de qui accède à l'un de ses patients
+async function canSeeTeam(auth, team) {
+  if (auth.role === "service" || team.members.includes(auth.userId)) return true;
+  for (const patientId of team.patientIds) {
+    if (await canAccessPatient(auth, patientId)) return true;
   }
+  return false;
+}
 
-  try {
-    const url = `${API_BASE}/patients/${encodeURIComponent(patientId)}`;
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
+async function visibleTeams(auth, candidates = teams) {
+  const visible = [];
+  for (const team of candidates) {
+    if (await canSeeTeam(auth, team)) visible.push(team);
+  }
+  return visible;
+}
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.status(404).json({
-          error: "Patient non trouvé",
-          patientId,
-        });
-      }
-      return res.status(response.status).json({
-        error: "Erreur API",
-        status: response.status,
-      });
-    }
+app.get(
+  "/api/teams",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  async (req, res) => {
+    const visible = await visibleTeams(req.auth);
+    res.json({ count: visible.length, teams: visible });
+  }
+);
 
-    const data = await response.json();
-    res.json(data);
-  } catch (err) {
-    console.error("Erreur récupération patient:", err);
-    res.status(500).json({ error: err.message });
+app.post("/api/teams", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const { name, description, members = [], patientIds = [] } = req.body;
+  const team = {
+    teamId: crypto.randomUUID(),
+    name,
+    description: description ?? null,
+    members: [...new Set(members.map(String))],
+    patientIds: [...new Set(patientIds.map(String))],
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+  };
+  const conflict = teamPatientConflict(team.patientIds);
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
   }
+  teams.push(team);
+  persistTeams();
+  recordAudit(req.auth, "team.create", { target: `team:${team.teamId}`, after: team });
+  res.status(201).json(team);
 });
 
-// Créer un nouveau patient (pour les nouvelles box)
-app.post("/api/patients", apiKeyMiddleware, async (req, res) => {
-  const { id_patient, mot_de_passe, nomFamille, prenom, sexe, date_naissance } =
-    req.body;
-
-  if (!id_patient) {
-    return res.status(400).json({
-      error: "id_patient requis",
-    });
+// Qui est de garde (maintenant ou à la date "at") : par équipe, ou pour un
+// patient avec l'aide qui recevrait ses alertes
+app.get(
+  "/api/on-duty",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  async (req, res) => {
+    const at = req.query.at ? Date.parse(req.query.at) : Date.now();
+    const { patientId, teamId } = req.query;
+    if (patientId && !(await canAccessPatient(req.auth, patientId))) {
+      return res.status(403).json({ error: "Forbidden: patient hors de votre périmètre" });
+    }
+    const team = patientId ? teamForPatient(patientId) : null;
+    const selected = await visibleTeams(
+      req.auth,
+      teams.filter((t) => (!patientId || t === team) && (!teamId || t.teamId === teamId))
+    );
+    const result = {
+      at: new Date(at).toISOString(),
+      teams: selected.map((t) => ({
+        teamId: t.teamId,
+        name: t.name,
+        onDuty: shiftsOnDuty(t.teamId, at).map(({ shiftId, aideId, start, end }) => ({
+          aideId,
+          shiftId,
+          start,
+          end,
+        })),
+      })),
+    };
+    if (patientId) {
+      result.patientId = patientId;
+      result.aideId = await getAideForPatient(patientId, at);
+    }
+    res.json(result);
   }
+);
 
-  if (!API_BASE) {
-    return res.status(500).json({ error: "API_BASE_URL non configurée" });
+app.get(
+  "/api/teams/:teamId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  async (req, res) => {
+    const team = findTeam(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: "Équipe introuvable" });
+    }
+    if (!(await canSeeTeam(req.auth, team))) {
+      return res.status(403).json({ error: "Forbidden: équipe hors de votre périmètre" });
+    }
+    res.json(team);
   }
+);
 
-  try {
-    const url = `${API_BASE}/patients`;
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        id_patient,
-        mot_de_passe: mot_de_passe || "default123",
-        nomFamille: nomFamille || "Device",
-        prenom: prenom || id_patient,
-        sexe: sexe || "U",
-        date_naissance: date_naissance || null,
-        adresse_postale: null,
-        adresse_electronique: null,
-        fk_aide_soignant: null,
-        fk_medecin_traitant: null,
-      }),
-    });
-
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: "Erreur création patient",
-        details: await response.text(),
-      });
+// Un membre retiré perd ses créneaux non terminés
+app.patch(
+  "/api/teams/:teamId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  async (req, res) => {
+    const team = findTeam(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: "Équipe introuvable" });
     }
-
-    const data = await response.json();
-    res.status(201).json({
-      success: true,
-      patient: data,
-      message: "Patient créé avec succès",
-    });
-  } catch (err) {
-    console.error("Erreur création patient:", err);
-    res.status(500).json({ error: err.message });
+    const { name, description, members, patientIds } = req.body;
+    const nextPatients = patientIds && [...new Set(patientIds.map(String))];
+    const conflict = nextPatients && teamPatientConflict(nextPatients, team.teamId);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+    const before = { ...team };
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    if (nextPatients) team.patientIds = nextPatients;
+    if (members) {
+      team.members = [...new Set(members.map(String))];
+      const now = Date.now();
+      for (let i = shifts.length - 1; i >= 0; i--) {
+        const s = shifts[i];
+        const removed = s.teamId === team.teamId && !team.members.includes(s.aideId);
+        if (removed && Date.parse(s.end) > now) shifts.splice(i, 1);
+      }
+      persistShifts();
+    }
+    team.updatedAt = new Date().toISOString();
+    persistTeams();
+    recordAudit(req.auth, "team.update", { target: `team:${team.teamId}`, before, after: team });
+    await checkShiftHandovers();
+    res.json(team);
   }
-});
-
-// Récupérer les médicaments d'un patient
-app.get("/api/medocs/:patientId", apiKeyMiddleware, async (req, res) => {
-  const patientId = req.params.patientId;
+);
 
-  if (!API_BASE) {
-    return res.status(500).json({ error: "API_BASE_URL non configurée" });
+// Les alertes déjà en attente restent chez leur destinataire actuel
+app.delete(
+  "/api/teams/:teamId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const index = teams.findIndex((t) => t.teamId === req.params.teamId);
+    if (index === -1) {
+      return res.status(404).json({ error: "Équipe introuvable" });
+    }
+    const [team] = teams.splice(index, 1);
+    for (let i = shifts.length - 1; i >= 0; i--) {
+      if (shifts[i].teamId === team.teamId) shifts.splice(i, 1);
+    }
+    persistTeams();
+    persistShifts();
+    recordAudit(req.auth, "team.delete", { target: `team:${team.teamId}`, before: team });
+    res.json({ success: true, teamId: team.teamId });
   }
+);
 
-  try {
-    const url = `${API_BASE}/medocpatients/${encodeURIComponent(patientId)}`;
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
-
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.json([]); // Pas de médicaments = liste vide
-      }
-      return res.status(response.status).json({
-        error: "Erreur API",
-      });
+// Créneaux qui recoupent [from, to] (filtre : aideId)
+app.get(
+  "/api/teams/:teamId/shifts",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  async (req, res) => {
+    const team = findTeam(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: "Équipe introuvable" });
     }
+    if (!(await canSeeTeam(req.auth, team))) {
+      return res.status(403).json({ error: "Forbidden: équipe hors de votre périmètre" });
+    }
+    const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+    const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+    const result = shifts
+      .filter(
+        (s) =>
+          s.teamId === team.teamId &&
+          (!req.query.aideId || s.aideId === req.query.aideId) &&
+          Date.parse(s.end) > from &&
+          Date.parse(s.start) < to
+      )
+      .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+    res.json({ count: result.length, shifts: result });
+  }
+);
 
-    const data = await response.json();
-    res.json(data);
-  } catch (err) {
-    console.error("Erreur récupération médicaments:", err);
-    res.status(500).json({ error: err.message });
+app.post(
+  "/api/teams/:teamId/shifts",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  async (req, res) => {
+    const team = findTeam(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: "Équipe introuvable" });
+    }
+    const shift = {
+      shiftId: crypto.randomUUID(),
+      teamId: team.teamId,
+      aideId: String(req.body.aideId),
+      start: new Date(req.body.start).toISOString(),
+      end: new Date(req.body.end).toISOString(),
+      createdAt: new Date().toISOString(),
+    };
+    const problem = shiftProblem(team, shift);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+    shifts.push(shift);
+    persistShifts();
+    recordAudit(req.auth, "shift.create", { target: `team:${team.teamId}`, after: shift });
+    await checkShiftHandovers();
+    res.status(201).json(shift);
   }
-});
+);
 
-// Mettre à jour la quantité de médicaments après distribution
 app.patch(
-  "/api/medocs/:medocId/distribute",
+  "/api/teams/:teamId/shifts/:shiftId",
   apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
   async (req, res) => {
-    const medocId = req.params.medocId;
-    const { quantite_distribuee } = req.body;
-
-    if (!quantite_distribuee) {
-      return res.status(400).json({
-        error: "quantite_distribuee requise",
-      });
+    const team = findTeam(req.params.teamId);
+    const shift = shifts.find(
+      (s) => s.shiftId === req.params.shiftId && s.teamId === req.params.teamId
+    );
+    if (!team || !shift) {
+      return res.status(404).json({ error: "Créneau introuvable" });
     }
-
-    if (!API_BASE) {
-      return res.status(500).json({ error: "API_BASE_URL non configurée" });
+    const next = {
+      ...shift,
+      aideId: req.body.aideId !== undefined ? String(req.body.aideId) : shift.aideId,
+      start: req.body.start ? new Date(req.body.start).toISOString() : shift.start,
+      end: req.body.end ? new Date(req.body.end).toISOString() : shift.end,
+    };
+    const problem = shiftProblem(team, next);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
     }
+    const before = { ...shift };
+    Object.assign(shift, next);
+    persistShifts();
+    recordAudit(req.auth, "shift.update", { target: `team:${team.teamId}`, before, after: shift });
+    await checkShiftHandovers();
+    res.json(shift);
+  }
+);
 
-    try {
-      // Récupérer d'abord les infos du médicament
-      const getUrl = `${API_BASE}/medocpatients/id/${encodeURIComponent(
-        medocId
-      )}`;
-      const getResponse = await fetch(getUrl, {
-        method: "GET",
-        headers: {
-          api_key: API_KEY,
-          "Content-Type": "application/json",
-        },
-      });
-
-      if (!getResponse.ok) {
-        return res.status(404).json({ error: "Médicament non trouvé" });
-      }
-
-      const medoc = await getResponse.json();
-      const newQuantite = medoc.quantite_restante - quantite_distribuee;
-
-      if (newQuantite < 0) {
-        return res.status(400).json({
-          error: "Stock insuffisant",
-          restant: medoc.quantite_restante,
-        });
-      }
+app.delete(
+  "/api/teams/:teamId/shifts/:shiftId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  async (req, res) => {
+    const index = shifts.findIndex(
+      (s) => s.shiftId === req.params.shiftId && s.teamId === req.params.teamId
+    );
+    if (index === -1) {
+      return res.status(404).json({ error: "Créneau introuvable" });
+    }
+    const [shift] = shifts.splice(index, 1);
+    persistShifts();
+    recordAudit(req.auth, "shift.delete", { target: `team:${shift.teamId}`, before: shift });
+    await checkShiftHandovers();
+    res.json({ success: true, shiftId: shift.shiftId });
+  }
+);
 
-      // Mettre à jour la quantité
-      const updateUrl = `${API_BASE}/medocpatients/${encodeURIComponent(
-        medocId
-      )}`;
-      const updateResponse = await fetch(updateUrl, {
-        method: "PATCH",
-        headers: {
-          api_key: API_KEY,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          quantite_restante: newQuantite,
-        }),
-      });
+// ======================
+// WEBHOOKS SORTANTS
+// ======================
+app.get("/api/webhooks", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  res.json({ count: webhooks.length, webhooks: webhooks.map(webhookView) });
+});
 
-      if (!updateResponse.ok) {
-        return res.status(updateResponse.status).json({
-          error: "Erreur mise à jour",
-        });
-      }
+// Le secret de signature n'est renvoyé qu'ici (et à sa rotation)
+app.post("/api/webhooks", apiKeyMiddleware, validateRequest, requireRole(), (req, res) => {
+  const { url, events, description } = req.body;
+  const webhook = {
+    webhookId: crypto.randomUUID(),
+    url,
+    events: [...new Set(events)],
+    description: description ?? null,
+    active: true,
+    secret: generateWebhookSecret(),
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+  };
+  webhooks.push(webhook);
+  persistWebhooks();
+  recordAudit(req.auth, "webhook.create", {
+    target: `webhook:${webhook.webhookId}`,
+    after: webhookView(webhook),
+  });
+  console.log(`[WEBHOOK] Abonnement ${webhook.webhookId} -> ${url} (${webhook.events.join(", ")})`);
+  res.status(201).json(webhook);
+});
 
-      const data = await updateResponse.json();
-      res.json({
-        success: true,
-        quantite_restante: newQuantite,
-        data,
-      });
-    } catch (err) {
-      console.error("Erreur distribution médicament:", err);
-      res.status(500).json({ error: err.message });
+app.get(
+  "/api/webhooks/:webhookId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const webhook = webhooks.find((w) => w.webhookId === req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook introuvable" });
     }
+    res.json(webhookView(webhook));
   }
 );
 
-// Endpoint pour enregistrer une distribution de médicament
-app.post("/api/distributions", apiKeyMiddleware, async (req, res) => {
-  const { patientId, medocId, quantite, timestamp } = req.body;
-
-  if (!patientId || !medocId) {
-    return res.status(400).json({
-      error: "patientId et medocId requis",
+// Réactiver un abonnement relance ses envois en attente
+app.patch(
+  "/api/webhooks/:webhookId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  async (req, res) => {
+    const webhook = webhooks.find((w) => w.webhookId === req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook introuvable" });
+    }
+    const { url, events, active, description, rotateSecret } = req.body;
+    const before = webhookView(webhook);
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (active !== undefined) webhook.active = active;
+    if (description !== undefined) webhook.description = description;
+    if (rotateSecret) webhook.secret = generateWebhookSecret();
+    webhook.updatedAt = new Date().toISOString();
+    persistWebhooks();
+    recordAudit(req.auth, "webhook.update", {
+      target: `webhook:${webhook.webhookId}`,
+      before,
+      after: webhookView(webhook),
     });
+    if (webhook.active && !before.active) await flushWebhooks();
+    res.json(rotateSecret ? webhook : webhookView(webhook));
   }
+);
 
-  try {
-    // Mettre à jour la quantité restante
-    const updateUrl = `/api/medocs/${medocId}/distribute`;
-    const updateResponse = await fetch(`http://localhost:${PORT}${updateUrl}`, {
-      method: "PATCH",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        quantite_distribuee: quantite || 1,
-      }),
+// Les envois encore en attente sont abandonnés ("failed"), le journal est conservé
+app.delete(
+  "/api/webhooks/:webhookId",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const index = webhooks.findIndex((w) => w.webhookId === req.params.webhookId);
+    if (index === -1) {
+      return res.status(404).json({ error: "Webhook introuvable" });
+    }
+    const [webhook] = webhooks.splice(index, 1);
+    const now = new Date().toISOString();
+    webhookDeliveries
+      .filter((d) => d.webhookId === webhook.webhookId && d.status === "pending")
+      .forEach((d) => {
+        d.status = "failed";
+        d.failedAt = now;
+        d.lastError = "Webhook supprimé";
+      });
+    persistWebhooks();
+    persistWebhookDeliveries();
+    recordAudit(req.auth, "webhook.delete", {
+      target: `webhook:${webhook.webhookId}`,
+      before: webhookView(webhook),
     });
+    res.json({ success: true, webhookId: webhook.webhookId });
+  }
+);
 
-    if (!updateResponse.ok) {
-      return res.status(updateResponse.status).json({
-        error: "Erreur mise à jour stock",
-      });
+// Journal des envois, du plus récent au plus ancien (filtres : status, event)
+app.get(
+  "/api/webhooks/:webhookId/deliveries",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  (req, res) => {
+    const { webhookId } = req.params;
+    if (!webhooks.some((w) => w.webhookId === webhookId)) {
+      return res.status(404).json({ error: "Webhook introuvable" });
     }
+    const deliveries = webhookDeliveries
+      .filter(
+        (d) =>
+          d.webhookId === webhookId &&
+          (!req.query.status || d.status === req.query.status) &&
+          (!req.query.event || d.event === req.query.event)
+      )
+      .reverse();
+    const limit = parseInt(req.query.limit || "100", 10);
+    res.json({ count: deliveries.length, deliveries: deliveries.slice(0, limit) });
+  }
+);
 
-    // Envoyer une notification à l'aide-soignant si nécessaire
-    const aideId = await getAideForPatient(patientId);
-    if (aideId) {
-      sendToAide(aideId, {
-        type: "distribution_confirmed",
-        patientId,
-        medocId,
-        quantite: quantite || 1,
-        timestamp: timestamp || new Date().toISOString(),
-      });
+// Renvoi manuel : nouvel envoi du même événement (même X-Webhook-Id), tenté
+// immédiatement puis repris par les tentatives automatiques s'il échoue
+app.post(
+  "/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole(),
+  async (req, res) => {
+    const webhook = webhooks.find((w) => w.webhookId === req.params.webhookId);
+    const original = webhookDeliveries.find(
+      (d) => d.deliveryId === req.params.deliveryId && d.webhookId === req.params.webhookId
+    );
+    if (!webhook || !original) {
+      return res.status(404).json({ error: "Envoi introuvable" });
     }
-
-    res.json({
-      success: true,
-      message: "Distribution enregistrée",
+    const delivery = newWebhookDelivery(webhook, original.payload, original.deliveryId);
+    await attemptWebhookDelivery(webhook, delivery);
+    webhookDeliveries.push(delivery);
+    persistWebhookDeliveries();
+    recordAudit(req.auth, "webhook.redeliver", {
+      target: `webhook:${webhook.webhookId}`,
+      after: { deliveryId: delivery.deliveryId, redeliveryOf: original.deliveryId },
     });
-  } catch (err) {
-    console.error("Erreur enregistrement distribution:", err);
-    res.status(500).json({ error: err.message });
+    res.status(201).json(delivery);
   }
-});
+);
 
 // ======================
 // ENDPOINT DE DIAGNOSTIC
 // ======================
-app.get("/api/device/:deviceId/status", apiKeyMiddleware, async (req, res) => {
-  const deviceId = req.params.deviceId;
-
-  try {
-    // Vérifier si le device existe en tant que patient
-    const patientUrl = `${API_BASE}/patients/${encodeURIComponent(deviceId)}`;
-    const patientResponse = await fetch(patientUrl, {
-      method: "GET",
-      headers: {
-        api_key: API_KEY,
-        "Content-Type": "application/json",
-      },
-    });
+app.get(
+  "/api/device/:deviceId/status",
+  apiKeyMiddleware,
+  validateRequest,
+  requireRole("aidesoignants", "medecins"),
+  requirePatientAccess((req) => patientIdForBox(req.params.deviceId)),
+  async (req, res) => {
+    const deviceId = req.params.deviceId;
+    const device = devices.get(deviceId) ?? activeDeviceForPatient(deviceId);
+    const patientId = patientIdForBox(deviceId);
 
-    const patientExists = patientResponse.ok;
-    let patientData = null;
+    try {
+      // Vérifier que le patient de la box existe (404 = non enregistré)
+      const notFoundAs = (fallback) => (err) => {
+        if (err.status === 404) return fallback;
+        throw err;
+      };
+      const patientData = await api
+        .get("/patients/:id", `/patients/${encodeURIComponent(patientId)}`)
+        .catch(notFoundAs(null));
+      const patientExists = patientData != null;
+
+      // Récupérer les médicaments
+      let medocs = [];
+      if (patientExists) {
+        medocs = await api
+          .get(
+            "/medocpatients/:patientId",
+            `/medocpatients/${encodeURIComponent(patientId)}`
+          )
+          .catch(notFoundAs([]));
+        if (!Array.isArray(medocs)) medocs = [];
+      }
 
-    if (patientExists) {
-      patientData = await patientResponse.json();
-    }
+      // Calculer le stock total
+      const totalStock = medocs.reduce(
+        (sum, m) => sum + (m.quantite_restante || 0),
+        0
+      );
 
-    // Récupérer les médicaments
-    let medocs = [];
-    if (patientExists) {
-      const medocsUrl = `${API_BASE}/medocpatients/${encodeURIComponent(
-        deviceId
-      )}`;
-      const medocsResponse = await fetch(medocsUrl, {
-        method: "GET",
-        headers: {
-          api_key: API_KEY,
-          "Content-Type": "application/json",
+      res.json({
+        deviceId,
+        registered: patientExists,
+        device: device ?? null,
+        liveness: livenessView(boxLiveness.get(device?.deviceId ?? deviceId)),
+        patient: patientData,
+        medicaments: {
+          count: medocs.length,
+          total_stock: totalStock,
+          details: medocs,
         },
+        forecast: forecastPatientStock(patientId, medocs),
+        aide_soignant: patientData?.fk_aide_soignant || null,
       });
-
-      if (medocsResponse.ok) {
-        medocs = await medocsResponse.json();
-      }
+    } catch (err) {
+      sendUpstreamError(res, err, "Erreur status device");
     }
-
-    // Calculer le stock total
-    const totalStock = medocs.reduce(
-      (sum, m) => sum + (m.quantite_restante || 0),
-      0
-    );
-
-    res.json({
-      deviceId,
-      registered: patientExists,
-      patient: patientData,
-      medicaments: {
-        count: medocs.length,
-        total_stock: totalStock,
-        details: medocs,
-      },
-      aide_soignant: patientData?.fk_aide_soignant || null,
-    });
-  } catch (err) {
-    console.error("Erreur status device:", err);
-    res.status(500).json({ error: err.message });
   }
-});
+);
 
 // ======================
 // AUTOMATIC GIST UPDATE
@@ -1544,6 +5643,9 @@ async function updateGistWithNgrok() {
 // ======================
 async function shutdown() {
   console.log("Shutting down...");
+  if (devicesDirty) persistDevices();
+  if (livenessDirty) persistBoxLiveness();
+  flushDeadLetters();
   try {
     mqttClient.end();
   } catch (e) {}
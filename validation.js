@@ -0,0 +1,196 @@
+// ======================
+// Validation par schéma
+// ======================
+// Sous-ensemble de JSON Schema (celui des documents OpenAPI 3.0) : type,
+// nullable, anyOf, enum, required, properties, additionalProperties, items,
+// minimum, maximum, minLength, maxLength, pattern, format "date-time".
+// validateSchema() renvoie la liste des erreurs, vide si la valeur est valide.
+// createRequestValidator() en tire un middleware Express qui vérifie
+// paramètres, query et corps de chaque route contre le document OpenAPI.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+export function validateSchema(schema, value, path = "") {
+  const errors = [];
+  const fail = (message) => errors.push({ path: path || "(racine)", message });
+
+  if (value === null && schema.nullable) return errors;
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((s) => validateSchema(s, value, path));
+    if (results.some((r) => r.length === 0)) return errors;
+    // Erreurs de la branche du bon type, sinon la liste des types admis
+    const typed = schema.anyOf.findIndex((s) => !s.type || matchesType(s.type, value));
+    if (typed >= 0) return results[typed];
+    fail(`doit être de type ${schema.anyOf.map((s) => s.type).join(" ou ")}`);
+    return errors;
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`doit être de type ${schema.type}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`doit valoir ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) {
+      fail(`doit être supérieur ou égal à ${schema.minimum}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      fail(`doit être inférieur ou égal à ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      fail(
+        schema.minLength === 1
+          ? "ne doit pas être vide"
+          : `doit contenir au moins ${schema.minLength} caractères`
+      );
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      fail(`doit contenir au plus ${schema.maxLength} caractères`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`doit respecter le format ${schema.pattern}`);
+    }
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+      fail("doit être une date ISO 8601");
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: "requis" });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        if (item !== undefined) {
+          errors.push(...validateSchema(properties[key], item, childPath));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: "champ non autorisé" });
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.minItems != null && value.length < schema.minItems) {
+    fail(`doit contenir au moins ${schema.minItems} élément(s)`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+// "quantite_restante: requis ; compartiment: doit être de type integer"
+export function formatErrors(errors) {
+  return errors.map((e) => `${e.path}: ${e.message}`).join(" ; ");
+}
+
+// Corps des réponses 400, identique pour toutes les routes
+export function validationError(details) {
+  return { error: "Requête invalide", code: "VALIDATION_ERROR", details };
+}
+
+// Remplace les $ref ("#/components/...") par leur cible ; les champs voisins
+// du $ref (ex : nullable) complètent la cible
+function dereference(node, document) {
+  if (Array.isArray(node)) return node.map((item) => dereference(item, document));
+  if (!node || typeof node !== "object") return node;
+  if (node.$ref) {
+    const { $ref, ...siblings } = node;
+    const target = $ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((obj, key) => obj?.[key], document);
+    if (!target) throw new Error(`Référence OpenAPI introuvable: ${$ref}`);
+    return { ...dereference(target, document), ...dereference(siblings, document) };
+  }
+  return Object.fromEntries(
+    Object.entries(node).map(([key, value]) => [key, dereference(value, document)])
+  );
+}
+
+// Paramètres de query et de chemin : toujours des chaînes côté Express
+function coerce(schema, value) {
+  if (typeof value !== "string") return value;
+  if (schema.type === "integer" || schema.type === "number") {
+    return Number.isNaN(Number(value)) ? value : Number(value);
+  }
+  if (schema.type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+// "/api/device/:deviceId/status" -> "/api/device/{deviceId}/status"
+export function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, "{$1}");
+}
+
+function checkOperation(pathItem, operation, req) {
+  const details = [];
+  const sources = { path: req.params, query: req.query };
+  const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+
+  for (const param of parameters) {
+    const raw = sources[param.in]?.[param.name];
+    if (raw === undefined || raw === "") {
+      if (param.required) {
+        details.push({ in: param.in, path: param.name, message: "requis" });
+      }
+      continue;
+    }
+    const schema = param.schema || {};
+    for (const e of validateSchema(schema, coerce(schema, raw), param.name)) {
+      details.push({ in: param.in, path: e.path, message: e.message });
+    }
+  }
+
+  const bodySchema = operation.requestBody?.content?.["application/json"]?.schema;
+  if (bodySchema) {
+    const body = req.body ?? (bodySchema.type === "object" ? {} : undefined);
+    for (const e of validateSchema(bodySchema, body)) {
+      details.push({ in: "body", path: e.path, message: e.message });
+    }
+  }
+  return details;
+}
+
+// À placer dans chaque route, après l'authentification : l'opération est
+// retrouvée grâce au gabarit de la route (req.route.path) et à la méthode
+export function createRequestValidator(document) {
+  const resolved = dereference(document, document);
+  return (req, res, next) => {
+    const pathItem = resolved.paths[toOpenApiPath(req.route?.path ?? "")];
+    const method = req.method === "HEAD" ? "get" : req.method.toLowerCase();
+    const operation = pathItem?.[method];
+    if (!operation) {
+      const route = `${req.method} ${req.route?.path}`;
+      return next(new Error(`Route absente du document OpenAPI: ${route}`));
+    }
+    const details = checkOperation(pathItem, operation, req);
+    if (details.length > 0) return res.status(400).json(validationError(details));
+    next();
+  };
+}
@@ -0,0 +1,110 @@
+import {describe, expect, it, jest} from '@jest/globals';
+import { validateSchema, formatErrors, createRequestValidator, toOpenApiPath } from './validation.js';
+
+const PRESCRIPTION = {
+    type: 'object',
+    required: ['nom_medoc', 'compartiment'],
+    additionalProperties: false,
+    properties: {
+        nom_medoc: { type: 'string', minLength: 1 },
+        compartiment: { type: 'integer', minimum: 1, maximum: 8 },
+        quantite: { type: 'number', minimum: 0 },
+        commentaire: { type: 'string', nullable: true },
+        sexe: { type: 'string', enum: ['M', 'F', 'U'] },
+        heures: { type: 'array', items: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' } }
+    }
+};
+
+describe('validateSchema', () => {
+    it('ne devrait renvoyer aucune erreur pour une valeur conforme', () => {
+        expect(validateSchema(PRESCRIPTION, {
+            nom_medoc: 'Doliprane', compartiment: 2, quantite: 0, commentaire: null, heures: ['8:00', '20:00']
+        })).toEqual([]);
+    });
+
+    it('devrait signaler chaque champ en erreur avec son chemin', () => {
+        const errors = validateSchema(PRESCRIPTION, {
+            compartiment: 1.5, quantite: -1, sexe: 'X', heures: ['midi'], lot: 'A1'
+        });
+        expect(errors).toEqual([
+            { path: 'nom_medoc', message: 'requis' },
+            { path: 'compartiment', message: 'doit être de type integer' },
+            { path: 'quantite', message: 'doit être supérieur ou égal à 0' },
+            { path: 'sexe', message: 'doit valoir "M", "F", "U"' },
+            { path: 'heures[0]', message: 'doit respecter le format ^\\d{1,2}:\\d{2}$' },
+            { path: 'lot', message: 'champ non autorisé' }
+        ]);
+    });
+
+    it('devrait accepter l\'une des branches de anyOf', () => {
+        const ID = { anyOf: [{ type: 'string', minLength: 1 }, { type: 'integer' }] };
+        expect(validateSchema(ID, 'p1')).toEqual([]);
+        expect(validateSchema(ID, 42)).toEqual([]);
+        expect(validateSchema(ID, '', 'id')).toEqual([{ path: 'id', message: 'ne doit pas être vide' }]);
+        expect(validateSchema(ID, { id: 1 }, 'id')).toEqual([
+            { path: 'id', message: 'doit être de type string ou integer' }
+        ]);
+    });
+
+    it('devrait vérifier le type de la racine', () => {
+        const errors = validateSchema(PRESCRIPTION, [1, 2]);
+        expect(formatErrors(errors)).toBe('(racine): doit être de type object');
+    });
+});
+
+describe('createRequestValidator', () => {
+    const DOCUMENT = {
+        paths: {
+            '/api/medocs/{medocId}': {
+                parameters: [{ name: 'medocId', in: 'path', required: true, schema: { type: 'string' } }],
+                patch: {
+                    parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } }],
+                    requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Dose' } } } }
+                }
+            }
+        },
+        components: {
+            schemas: {
+                Dose: {
+                    type: 'object',
+                    required: ['at'],
+                    properties: { at: { type: 'string', format: 'date-time' } }
+                }
+            }
+        }
+    };
+    const run = (req) => {
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        createRequestValidator(DOCUMENT)({ route: { path: '/api/medocs/:medocId' }, ...req }, res, next);
+        return { res, next };
+    };
+
+    it('devrait laisser passer une requête conforme (query convertie depuis la chaîne)', () => {
+        const { res, next } = run({
+            method: 'PATCH', params: { medocId: 'm1' }, query: { limit: '5' }, body: { at: '2026-01-01T08:00:00Z' }
+        });
+        expect(next).toHaveBeenCalledWith();
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('devrait répondre 400 avec le détail de chaque erreur', () => {
+        const { res, next } = run({ method: 'PATCH', params: { medocId: 'm1' }, query: { limit: 'x' }, body: { at: 'demain' } });
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            error: 'Requête invalide',
+            code: 'VALIDATION_ERROR',
+            details: [
+                { in: 'query', path: 'limit', message: 'doit être de type integer' },
+                { in: 'body', path: 'at', message: 'doit être une date ISO 8601' }
+            ]
+        });
+    });
+
+    it('devrait signaler une route absente du document', () => {
+        const { next } = run({ method: 'DELETE', params: { medocId: 'm1' }, query: {} });
+        expect(next.mock.calls[0][0].message).toBe('Route absente du document OpenAPI: DELETE /api/medocs/:medocId');
+        expect(toOpenApiPath('/api/device/:deviceId/commands/:commandId')).toBe('/api/device/{deviceId}/commands/{commandId}');
+    });
+});
@@ -0,0 +1,83 @@
+// ======================
+// Webhooks sortants : signature et envoi
+// ======================
+// Chaque envoi est un POST JSON signé par HMAC-SHA256 avec le secret de
+// l'abonnement. En-têtes :
+// - X-Webhook-Id : identifiant de l'événement (identique lors d'un renvoi,
+//   pour que le destinataire ignore les doublons) ;
+// - X-Webhook-Event : type de l'événement ;
+// - X-Webhook-Timestamp : secondes Unix de l'envoi ;
+// - X-Webhook-Signature : "sha256=" + HMAC hex de "{timestamp}.{corps}".
+// Le destinataire recalcule la signature (verifyWebhookSignature) et refuse
+// un horodatage trop ancien pour bloquer le rejeu.
+
+import crypto from "crypto";
+
+export class WebhookDeliveryError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    // Statut HTTP renvoyé par le destinataire (null si aucune réponse)
+    this.status = status;
+  }
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+export function signWebhook(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+export function verifyWebhookSignature(
+  secret,
+  { signature, timestamp, body },
+  { toleranceSeconds = 300, now = Date.now() } = {}
+) {
+  if (!signature || !timestamp) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Renvoie { status, durationMs } sur une réponse 2xx, lève une
+// WebhookDeliveryError sinon
+export async function postWebhook({
+  url,
+  secret,
+  event,
+  timeoutMs = 10_000,
+  fetchImpl = (...args) => fetch(...args),
+  now = () => Date.now(),
+}) {
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(now() / 1000));
+  const startedAt = now();
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "pilulier-gateway-webhooks",
+        "X-Webhook-Id": event.id,
+        "X-Webhook-Event": event.type,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signWebhook(secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    const reason = err.name === "TimeoutError" ? `sans réponse après ${timeoutMs} ms` : err.message;
+    throw new WebhookDeliveryError(`Destinataire injoignable: ${reason}`);
+  }
+  const durationMs = now() - startedAt;
+  if (!response.ok) {
+    throw new WebhookDeliveryError(`HTTP ${response.status}`, { status: response.status });
+  }
+  return { status: response.status, durationMs };
+}
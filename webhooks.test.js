@@ -0,0 +1,78 @@
+import {afterEach, describe, expect, it} from '@jest/globals';
+import http from 'http';
+import {
+    generateWebhookSecret, postWebhook, signWebhook, verifyWebhookSignature, WebhookDeliveryError
+} from './webhooks.js';
+
+const EVENT = {
+    id: 'evt_1', type: 'stock.low', createdAt: '2026-03-01T08:00:00.000Z',
+    data: { patientId: 'p1', source: 'plusmedoc', message: 'Compartiment 2 vide' }
+};
+
+// Destinataire local : enregistre les requêtes, répond avec le statut donné
+let receiver;
+afterEach((done) => {
+    if (!receiver) return done();
+    receiver.close(() => done());
+    receiver = null;
+});
+function listen(status) {
+    const requests = [];
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(status).end();
+        });
+    });
+    return new Promise((resolve) => receiver.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${receiver.address().port}/hooks`, requests
+    })));
+}
+
+describe('Signature des webhooks', () => {
+    it('devrait vérifier une signature valide et refuser une altération ou un rejeu', () => {
+        const secret = generateWebhookSecret();
+        const body = JSON.stringify(EVENT);
+        const now = Date.parse('2026-03-01T08:00:00Z');
+        const timestamp = String(now / 1000);
+        const signature = signWebhook(secret, timestamp, body);
+
+        expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+        expect(verifyWebhookSignature(secret, { signature, timestamp, body }, { now })).toBe(true);
+        expect(verifyWebhookSignature(secret, { signature, timestamp, body: body.replace('p1', 'p2') }, { now }))
+            .toBe(false);
+        expect(verifyWebhookSignature('autre', { signature, timestamp, body }, { now })).toBe(false);
+        expect(verifyWebhookSignature(secret, { signature, timestamp, body }, { now: now + 10 * 60_000 }))
+            .toBe(false);
+    });
+});
+
+describe('postWebhook', () => {
+    it('devrait poster l\'événement signé', async () => {
+        const { url, requests } = await listen(204);
+        const secret = generateWebhookSecret();
+
+        const result = await postWebhook({ url, secret, event: EVENT });
+
+        expect(result.status).toBe(204);
+        const { headers, body } = requests[0];
+        expect(JSON.parse(body)).toEqual(EVENT);
+        expect(headers['x-webhook-id']).toBe('evt_1');
+        expect(headers['x-webhook-event']).toBe('stock.low');
+        expect(verifyWebhookSignature(secret, {
+            signature: headers['x-webhook-signature'], timestamp: headers['x-webhook-timestamp'], body
+        })).toBe(true);
+    });
+
+    it('devrait échouer sur une réponse non 2xx ou un destinataire absent', async () => {
+        const { url } = await listen(500);
+        const err = await postWebhook({ url, secret: 's', event: EVENT }).catch((e) => e);
+        expect(err).toBeInstanceOf(WebhookDeliveryError);
+        expect(err).toMatchObject({ message: 'HTTP 500', status: 500 });
+
+        await expect(postWebhook({ url: 'http://127.0.0.1:1/hooks', secret: 's', event: EVENT }))
+            .rejects.toMatchObject({ status: null });
+    });
+});